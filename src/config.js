@@ -10,11 +10,18 @@ export const config = {
     path: process.env.DATABASE_PATH || './fitness.db',
   },
   
+  // LLM для AI-коуча (src/services/llm.js)
   openai: {
-    apiKey: process.env.OPENAI_API_KEY || '',
+    provider: process.env.LLM_PROVIDER || 'openai', // openai | openai-compatible | stub
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || '',
+    baseUrl: process.env.LLM_BASE_URL || '', // для openai-compatible, например http://localhost:11434/v1
     model: process.env.AI_MODEL || 'gpt-4o-mini',
     maxTokens: parseInt(process.env.AI_MAX_TOKENS || '500', 10),
     temperature: parseFloat(process.env.AI_TEMPERATURE || '0.7'),
+    // Программа тренировок в JSON заметно длиннее ответа в чате
+    programMaxTokens: parseInt(process.env.AI_PROGRAM_MAX_TOKENS || '3000', 10),
+    // Бюджет контекста чата: промпт, дневник и история диалога; старая часть диалога сворачивается
+    contextTokens: parseInt(process.env.AI_CONTEXT_TOKENS || '3000', 10),
   },
   
   telegram: {
@@ -34,6 +41,26 @@ export const config = {
     origins: (process.env.CORS_ORIGINS || 'http://localhost:5173,http://localhost:5174,https://fitmarket-tg-webapp.netlify.app').split(','),
   },
   
+  records: {
+    // Формула расчётного 1ПМ: epley | brzycki
+    oneRepMaxFormula: process.env.ONE_REP_MAX_FORMULA === 'brzycki' ? 'brzycki' : 'epley',
+  },
+
+  reviews: {
+    // Сколько записанных тренировок по бесплатной программе нужно, чтобы оставить отзыв без покупки
+    minSessions: parseInt(process.env.REVIEW_MIN_SESSIONS || '3', 10),
+  },
+
+  purchases: {
+    // auto — транзакции MongoDB, если сервер их поддерживает; saga — всегда сага с компенсацией
+    mode: process.env.PURCHASE_MODE === 'saga' ? 'saga' : 'auto',
+  },
+
+  disputes: {
+    // Сколько дней после покупки можно открыть заявку на возврат
+    windowDays: parseInt(process.env.REFUND_WINDOW_DAYS || '14', 10),
+  },
+
   rateLimit: {
     freeTierAiRequests: parseInt(process.env.FREE_TIER_AI_REQUESTS || '10', 10),
     proTierAiRequests: parseInt(process.env.PRO_TIER_AI_REQUESTS || '-1', 10),
@@ -177,16 +177,23 @@ async function createDepositInvoice(userId, amountUSD, description = 'Попол
   };
 }
 
-// Создать инвойс для покупки программы
-async function createPurchaseInvoice(userId, programId, programTitle, priceUSD, trainerId) {
+// Создать инвойс для покупки программы.
+// priceUSD — цена со скидкой; pricing: { listPrice, discount } попадает в payload,
+// чтобы вебхук записал покупку с той же скидкой
+async function createPurchaseInvoice(userId, programId, programTitle, priceUSD, trainerId, pricing = {}) {
   const api = getCryptoPay();
   if (!api) throw new Error('CryptoBot не настроен');
 
+  const listPrice = pricing.listPrice ?? priceUSD;
+  const discount = pricing.discount
+    ? { id: pricing.discount.id, kind: pricing.discount.kind, code: pricing.discount.code, amount: pricing.discount.amount }
+    : null;
+
   const invoice = await api.createInvoice({
     asset: 'USDT',
     amount: priceUSD,
-    description: `Покупка: ${programTitle}`,
-    payload: JSON.stringify({ type: 'purchase', userId, programId, trainerId, priceUSD }),
+    description: discount?.code ? `Покупка: ${programTitle} (промокод ${discount.code})` : `Покупка: ${programTitle}`,
+    payload: JSON.stringify({ type: 'purchase', userId, programId, trainerId, priceUSD, listPrice, discount }),
     paidBtnName: 'callback',
     expiresIn: 1800,
   });
@@ -197,11 +204,48 @@ async function createPurchaseInvoice(userId, programId, programTitle, priceUSD,
     programId,
     trainerId,
     priceUSD,
+    listPrice,
+    discount,
     type: 'purchase',
     createdAt: new Date(),
     payUrl: invoice.pay_url,
   });
 
+  return {
+    invoiceId: invoice.invoice_id,
+    payUrl: invoice.pay_url,
+    amount: priceUSD,
+    listPrice,
+    discount,
+    asset: 'USDT',
+    expiresAt: new Date(Date.now() + 1800 * 1000),
+  };
+}
+
+// Создать инвойс для покупки комплекта: доли программ считаются при оплате (вебхук)
+async function createBundleInvoice(userId, bundleId, bundleTitle, priceUSD) {
+  const api = getCryptoPay();
+  if (!api) throw new Error('CryptoBot не настроен');
+
+  const invoice = await api.createInvoice({
+    asset: 'USDT',
+    amount: priceUSD,
+    description: `Покупка комплекта: ${bundleTitle}`,
+    payload: JSON.stringify({ type: 'bundle', userId, bundleId, priceUSD }),
+    paidBtnName: 'callback',
+    expiresIn: 1800,
+  });
+
+  pendingInvoices.set(invoice.invoice_id, {
+    invoiceId: invoice.invoice_id,
+    userId,
+    bundleId,
+    priceUSD,
+    type: 'bundle',
+    createdAt: new Date(),
+    payUrl: invoice.pay_url,
+  });
+
   return {
     invoiceId: invoice.invoice_id,
     payUrl: invoice.pay_url,
@@ -264,7 +308,10 @@ async function handleCryptoWebhook(update) {
     amount: Number.isFinite(amount) ? amount : fallbackAmount,
     asset: invoice.asset,
     programId: pending?.programId || payloadData.programId,
+    bundleId: pending?.bundleId || payloadData.bundleId,
     trainerId: pending?.trainerId || payloadData.trainerId,
+    listPrice: pending?.listPrice ?? payloadData.listPrice,
+    discount: pending?.discount || payloadData.discount || null,
     paidAt: invoice.paid_at,
   };
 }
@@ -298,6 +345,7 @@ export {
   getCryptoPay,
   createDepositInvoice,
   createPurchaseInvoice,
+  createBundleInvoice,
   checkInvoiceStatus,
   handleCryptoWebhook,
   getCryptoBalance,
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import { connectMongoDB } from './mongodb.js';
+import { Program, WorkoutLog } from './models.js';
+import { programWorkoutsSchema, logExercisesSchema } from '../schemas/training.js';
+
+// Миграция тренировочных данных к канонической схеме (src/schemas/training.js)
+// Запуск: npm run db:migrate:training [-- --dry-run]
+// Записи, которые не проходят валидацию даже после нормализации, не изменяются —
+// их id выводятся в лог для ручного исправления.
+// Снимки ProgramVersion не трогаются: это неизменяемые копии того, что купил покупатель.
+// Новая версия в каноническом формате появится при следующем изменении программы тренером.
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Схемы сами нормализуют старые форматы перед проверкой
+async function migrateCollection(label, model, field, schema) {
+  const stats = { total: 0, updated: 0, invalid: [] };
+  const cursor = model.find({}, { id: 1, [field]: 1 }).lean().cursor();
+
+  for await (const doc of cursor) {
+    stats.total++;
+    const parsed = schema.safeParse(doc[field] || []);
+    const docId = doc.id || String(doc._id);
+
+    if (!parsed.success) {
+      const issue = parsed.error.issues[0];
+      stats.invalid.push(docId);
+      console.warn(`⚠️ ${label} ${docId}: ${issue.path.join('.')} — ${issue.message}`);
+      continue;
+    }
+
+    if (JSON.stringify(parsed.data) === JSON.stringify(doc[field])) continue;
+
+    stats.updated++;
+    if (!dryRun) {
+      await model.collection.updateOne({ _id: doc._id }, { $set: { [field]: parsed.data } });
+    }
+  }
+
+  console.log(`${label}: всего ${stats.total}, ${dryRun ? 'будет обновлено' : 'обновлено'} ${stats.updated}, некорректных ${stats.invalid.length}`);
+  return stats;
+}
+
+async function migrate() {
+  console.log(`🔄 Migrating training data${dryRun ? ' (dry run)' : ''}...`);
+  await connectMongoDB();
+
+  const results = [
+    await migrateCollection('Program', Program, 'workouts', programWorkoutsSchema),
+    await migrateCollection('WorkoutLog', WorkoutLog, 'exercises', logExercisesSchema),
+  ];
+
+  const invalid = results.reduce((sum, r) => sum + r.invalid.length, 0);
+  console.log(invalid > 0
+    ? `⚠️ Migration finished, ${invalid} records need manual fixes`
+    : '✅ Training data migrated successfully!');
+}
+
+try {
+  await migrate();
+} catch (error) {
+  console.error('❌ Migration failed:', error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.connection.close();
+}
@@ -34,6 +34,7 @@ const userSchema = new Schema({
     last_seen_news_id: { type: String, default: '' }, // ID последней прочитанной новости
     ai_requests_count: { type: Number, default: 0 },
     ai_requests_reset_date: { type: Date },
+    workout_review_push: { type: Boolean, default: false }, // присылать разбор тренировки в бот
 }, {
     timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
     collection: 'fitmarket_users'
@@ -61,7 +62,39 @@ const trainerRequestSchema = new Schema({
     collection: 'fitmarket_trainer_requests'
 });
 
+// ==================== TRAINER PROFILE ====================
+// Публичная витрина тренера. Текст тренер правит сам (PUT /api/trainer/profile),
+// сертификаты попадают сюда только из одобренной заявки
+const trainerProfileSchema = new Schema({
+    telegram_id: { type: Number, required: true, unique: true },
+    bio: { type: String, default: '' },
+    experience: { type: String, default: '' },
+    specialization: { type: String, default: '' },
+    certificates: { type: [String], default: [] }, // URL фото сертификатов
+    followers_count: { type: Number, default: 0 },
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    collection: 'fitmarket_trainer_profiles'
+});
+
+const trainerFollowSchema = new Schema({
+    trainer_id: { type: Number, required: true },
+    telegram_id: { type: Number, required: true },
+    created_at: { type: Date, default: Date.now },
+}, {
+    timestamps: false,
+    collection: 'fitmarket_trainer_follows'
+});
+trainerFollowSchema.index({ trainer_id: 1, telegram_id: 1 }, { unique: true });
+trainerFollowSchema.index({ telegram_id: 1, created_at: -1 });
+
 // ==================== PROGRAM ====================
+// Что видно в программе до покупки (src/services/programPreview.js)
+const programPreviewSchema = new Schema({
+    mode: { type: String, enum: ['none', 'first_week', 'sample_workout', 'exercise_list'], default: 'none' },
+    workout_index: { type: Number, default: 0 }, // тренировка-пример для sample_workout
+}, { _id: false });
+
 const programSchema = new Schema({
     id: { type: String, required: true, unique: true },
     author_id: { type: Number, required: true, index: true },
@@ -73,35 +106,176 @@ const programSchema = new Schema({
     price: { type: Number, default: 0 },
     is_published: { type: Boolean, default: false, index: true },
     is_personal: { type: Boolean, default: false },
-    workouts: { type: Array, default: [] }, // JSON array
+    workouts: { type: Array, default: [] }, // JSON array, схема: src/schemas/training.js
+    preview: { type: programPreviewSchema, default: () => ({}) },
     purchase_count: { type: Number, default: 0 },
+    // Средняя оценка по отзывам покупателей — для сортировки каталога
+    rating_avg: { type: Number, default: 0 },
+    rating_count: { type: Number, default: 0 },
+    // Распределение выручки (задаёт админ): null — ставка тренера или общая
+    commission_percent: { type: Number, default: null },
+    referral_telegram_id: { type: Number, default: null }, // Третья сторона, получающая долю с продаж
+    referral_percent: { type: Number, default: 0 },
+    current_version: { type: Number, default: 1 },
+    // Мягкое удаление: программа скрыта из каталога, но покупатели сохраняют доступ
+    is_archived: { type: Boolean, default: false },
+    archived_at: { type: Date },
 }, {
     timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
     collection: 'fitmarket_programs'
 });
+// Каталог: опубликованные программы с сортировкой (src/database/users.js searchPublishedPrograms)
+programSchema.index({ is_published: 1, is_archived: 1, created_at: -1, id: -1 });
+programSchema.index({ is_published: 1, is_archived: 1, purchase_count: -1, id: -1 });
+programSchema.index({ is_published: 1, is_archived: 1, price: 1, id: 1 });
+// Поиск по названию и описанию
+programSchema.index(
+    { title: 'text', description: 'text' },
+    { default_language: 'russian', weights: { title: 3, description: 1 } }
+);
+
+// ==================== PROGRAM VERSION ====================
+// Снимок содержимого программы после каждой правки
+const programVersionSchema = new Schema({
+    program_id: { type: String, required: true },
+    version: { type: Number, required: true },
+    title: { type: String, default: '' },
+    description: { type: String, default: '' },
+    category: { type: String, default: 'general' },
+    difficulty: { type: String, default: 'intermediate' },
+    duration_weeks: { type: Number, default: 4 },
+    workouts: { type: Array, default: [] },
+    created_by: { type: Number },
+    created_at: { type: Date, default: Date.now },
+}, {
+    timestamps: false,
+    collection: 'fitmarket_program_versions'
+});
+programVersionSchema.index({ program_id: 1, version: 1 }, { unique: true });
 
 // ==================== WORKOUT LOG ====================
+// Разбор тренировки AI-коучем (src/services/workoutReview.js)
+const workoutReviewSchema = new Schema({
+    status: { type: String, enum: ['pending', 'ready', 'failed'], default: 'pending' },
+    content: { type: String, default: '' },
+    insights: { type: Schema.Types.Mixed, default: null }, // рассчитанные факты: застой, спад, рекомендации
+    provider: { type: String, default: null },
+    model: { type: String, default: null },
+    total_tokens: { type: Number, default: 0 },
+    ai_charged: { type: Boolean, default: false }, // запрос к LLM за эту тренировку уже списан с лимита AI
+    error: { type: String, default: '' },
+    created_at: { type: Date, default: Date.now },
+}, { _id: false });
+
 const workoutLogSchema = new Schema({
     id: { type: String, required: true, unique: true },
     telegram_id: { type: Number, required: true, index: true },
     program_id: { type: String },
     workout_title: { type: String, default: 'Тренировка' },
-    exercises: { type: Array, default: [] }, // JSON array
+    exercises: { type: Array, default: [] }, // JSON array, схема: src/schemas/training.js
     duration: { type: Number, default: 0 },
     volume: { type: Number, default: 0 }, // Общий объём в кг
     notes: { type: String, default: '' },
+    review: { type: workoutReviewSchema, default: null },
+    // День расписания прохождения программы, к которому относится тренировка
+    enrollment_id: { type: String, default: null },
+    enrollment_week: { type: Number, default: null },
+    enrollment_day: { type: Number, default: null },
     completed_at: { type: Date, default: Date.now },
 }, {
     timestamps: false,
     collection: 'fitmarket_workout_logs'
 });
-// Compound index for history queries (sorted by date)
-workoutLogSchema.index({ telegram_id: 1, completed_at: -1 });
+// Compound index for history queries (sorted by date, id — курсор пагинации)
+workoutLogSchema.index({ telegram_id: 1, completed_at: -1, id: -1 });
+// Фильтры истории
+workoutLogSchema.index({ telegram_id: 1, program_id: 1, completed_at: -1 });
+workoutLogSchema.index({ telegram_id: 1, 'exercises.name': 1, completed_at: -1 });
+workoutLogSchema.index({ enrollment_id: 1, completed_at: 1 });
+// Полнотекстовый поиск по названию и заметкам (запрос всегда содержит telegram_id)
+workoutLogSchema.index(
+    { telegram_id: 1, workout_title: 'text', notes: 'text' },
+    { default_language: 'russian', weights: { workout_title: 2, notes: 1 } }
+);
+
+// ==================== PROGRAM REVIEW ====================
+// Отзыв покупателя (или прошедшего программу) с ответом тренера; скрытые не входят в рейтинг
+const reviewReplySchema = new Schema({
+    text: { type: String, required: true },
+    created_at: { type: Date, default: Date.now },
+    updated_at: { type: Date, default: Date.now },
+}, { _id: false });
+
+const programReviewSchema = new Schema({
+    id: { type: String, required: true, unique: true },
+    program_id: { type: String, required: true },
+    telegram_id: { type: Number, required: true },
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    text: { type: String, default: '' },
+    verified_by: { type: String, enum: ['purchase', 'sessions'], default: 'purchase' }, // основание для отзыва
+    trainer_reply: { type: reviewReplySchema, default: null },
+    is_hidden: { type: Boolean, default: false },
+    hidden_by: { type: Number, default: null },
+    hidden_reason: { type: String, default: '' },
+    hidden_at: { type: Date, default: null },
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    collection: 'fitmarket_program_reviews'
+});
+// Один отзыв на программу от пользователя (повторная отправка — правка)
+programReviewSchema.index({ program_id: 1, telegram_id: 1 }, { unique: true });
+programReviewSchema.index({ program_id: 1, is_hidden: 1, created_at: -1, id: -1 });
+
+// ==================== ENROLLMENT ====================
+// Прохождение программы: старт, паузы и расписание по неделям (src/services/enrollments.js)
+const enrollmentSchema = new Schema({
+    id: { type: String, required: true, unique: true },
+    telegram_id: { type: Number, required: true },
+    program_id: { type: String, required: true },
+    program_version: { type: Number, default: 1 },
+    status: { type: String, enum: ['active', 'paused', 'completed', 'cancelled'], default: 'active' },
+    started_at: { type: Date, default: Date.now },
+    paused_at: { type: Date, default: null },
+    paused_ms: { type: Number, default: 0 }, // суммарная длительность завершённых пауз
+    finished_at: { type: Date, default: null },
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    collection: 'fitmarket_enrollments'
+});
+enrollmentSchema.index({ telegram_id: 1, status: 1, started_at: -1 });
 
 // ==================== PURCHASE ====================
+// Ставки, применённые при продаже — чтобы выплаты оставались объяснимыми после смены ставок
+const revenueShareSchema = new Schema({
+    platform_percent: { type: Number, default: 0 },
+    source: { type: String, default: 'default', enum: ['default', 'trainer', 'program', 'promotion'] },
+    promotion_id: { type: String, default: null },
+    trainer_share: { type: Number, default: 0 },
+    platform_share: { type: Number, default: 0 },
+    referral_id: { type: Number, default: null },
+    referral_percent: { type: Number, default: 0 },
+    referral_share: { type: Number, default: 0 },
+}, { _id: false });
+
+// Скидка, применённая к покупке (amount покупки — уже со скидкой)
+const appliedDiscountSchema = new Schema({
+    discount_id: { type: String, required: true },
+    kind: { type: String, required: true, enum: ['coupon', 'sale', 'cross_sell'] },
+    code: { type: String, default: null },
+    amount: { type: Number, default: 0 },
+}, { _id: false });
+
 const purchaseSchema = new Schema({
     telegram_id: { type: Number, required: true, index: true },
     program_id: { type: String, required: true },
+    program_version: { type: Number, default: null }, // null — куплено до версионирования (версия 1)
+    amount: { type: Number, default: 0 }, // фактически списано
+    list_price: { type: Number, default: null }, // цена программы до скидки
+    discount: { type: appliedDiscountSchema, default: null },
+    bundle_id: { type: String, default: null }, // куплено в составе комплекта
+    payment_method: { type: String, default: 'balance', enum: ['balance', 'crypto'] },
+    order_id: { type: String, default: '' },
+    revenue_share: { type: revenueShareSchema, default: null },
     purchased_at: { type: Date, default: Date.now },
 }, {
     timestamps: false,
@@ -109,16 +283,179 @@ const purchaseSchema = new Schema({
 });
 purchaseSchema.index({ telegram_id: 1, program_id: 1 }, { unique: true });
 
+// ==================== DISCOUNT ====================
+// Скидки тренера на свои программы:
+//   coupon — по промокоду, с лимитом использований всего и на покупателя
+//   sale   — распродажа на период, применяется автоматически
+//   cross_sell — программа из набора дешевле, если у покупателя уже есть другая программа набора,
+//                купленная отдельно (не в составе Bundle)
+// program_ids пустой — скидка на все программы тренера.
+// Использование промокода, зарезервированное под неоплаченный инвойс CryptoBot
+const discountReservationSchema = new Schema({
+    invoice_id: { type: String, required: true },
+    telegram_id: { type: Number, required: true },
+    expires_at: { type: Date, required: true },
+}, { _id: false });
+
+const discountSchema = new Schema({
+    id: { type: String, required: true, unique: true },
+    author_id: { type: Number, required: true },
+    kind: { type: String, required: true, enum: ['coupon', 'sale', 'cross_sell'] },
+    code: { type: String, default: null }, // только у coupon, в верхнем регистре
+    discount_type: { type: String, required: true, enum: ['percent', 'fixed'] },
+    value: { type: Number, required: true },
+    program_ids: { type: [String], default: [] },
+    starts_at: { type: Date, default: null },
+    ends_at: { type: Date, default: null },
+    max_uses: { type: Number, default: null },
+    max_uses_per_user: { type: Number, default: null },
+    used_count: { type: Number, default: 0 },
+    pending_orders: { type: [String], default: [] }, // незавершённые заказы, уже учтённые в used_count
+    reservations: { type: [discountReservationSchema], default: [] }, // тоже учтены в used_count
+    is_active: { type: Boolean, default: true },
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    collection: 'fitmarket_discounts'
+});
+discountSchema.index({ code: 1 }, { unique: true, partialFilterExpression: { code: { $type: 'string' } } });
+discountSchema.index({ author_id: 1, is_active: 1, kind: 1 });
+discountSchema.index({ 'reservations.expires_at': 1 });
+
+// ==================== BUNDLE ====================
+// Комплект программ за одну цену. Программы могут быть разных тренеров (комплект собирает админ);
+// выручка делится между программами пропорционально их цене.
+const bundleSchema = new Schema({
+    id: { type: String, required: true, unique: true },
+    author_id: { type: Number, required: true, index: true },
+    title: { type: String, required: true },
+    description: { type: String, default: '' },
+    program_ids: { type: [String], required: true },
+    price: { type: Number, required: true },
+    is_published: { type: Boolean, default: false },
+    is_archived: { type: Boolean, default: false },
+    purchase_count: { type: Number, default: 0 },
+    pending_orders: { type: [String], default: [] }, // незавершённые заказы, уже учтённые в purchase_count
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    collection: 'fitmarket_bundles'
+});
+bundleSchema.index({ is_published: 1, is_archived: 1, created_at: -1 });
+bundleSchema.index({ program_ids: 1 });
+
+// ==================== PURCHASE ORDER ====================
+// Журнал оформления покупки: шаги выполняются в транзакции MongoDB,
+// а без replica set — как сага с компенсацией и дозавершением после сбоя
+
+// Программа в заказе комплекта: своя доля цены и своё распределение выручки
+const purchaseOrderItemSchema = new Schema({
+    program_id: { type: String, required: true },
+    program_version: { type: Number, default: 1 },
+    author_id: { type: Number },
+    amount: { type: Number, default: 0 },
+    list_price: { type: Number, default: 0 },
+    revenue_share: { type: revenueShareSchema, required: true },
+}, { _id: false });
+
+const purchaseOrderSchema = new Schema({
+    id: { type: String, required: true, unique: true },
+    telegram_id: { type: Number, required: true, index: true },
+    program_id: { type: String, default: '' }, // у комплекта пусто — программы в items
+    bundle_id: { type: String, default: null },
+    items: { type: [purchaseOrderItemSchema], default: undefined },
+    program_version: { type: Number, default: 1 },
+    author_id: { type: Number },
+    payment_method: { type: String, required: true, enum: ['balance', 'crypto'] },
+    invoice_id: { type: String, default: '' },
+    amount: { type: Number, default: 0 },
+    list_price: { type: Number, default: null },
+    discount: { type: appliedDiscountSchema, default: null },
+    revenue_share: { type: revenueShareSchema, required: true }, // у комплекта — суммы по всем программам
+    ledger_txn_id: { type: String, required: true },
+    mode: { type: String, default: 'transaction', enum: ['transaction', 'saga'] },
+    status: {
+        type: String,
+        default: 'PENDING',
+        enum: ['PENDING', 'COMPLETED', 'FAILED', 'COMPENSATED', 'REFUNDED'],
+        index: true
+    },
+    completed_steps: { type: [String], default: [] },
+    error: { type: String, default: '' },
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    collection: 'fitmarket_purchase_orders'
+});
+purchaseOrderSchema.index({ invoice_id: 1 });
+
+// ==================== PURCHASE DISPUTE ====================
+// Заявка покупателя на возврат. Одобренный возврат проводится отдельной транзакцией журнала
+// (refund_txn_id); шаги фиксируются в completed_steps, чтобы прерванный возврат можно было довести.
+const purchaseDisputeSchema = new Schema({
+    id: { type: String, required: true, unique: true },
+    telegram_id: { type: Number, required: true, index: true },
+    program_id: { type: String, required: true },
+    author_id: { type: Number, default: null },
+    order_id: { type: String, required: true },
+    amount: { type: Number, default: 0 },
+    payment_method: { type: String, default: 'balance', enum: ['balance', 'crypto'] },
+    purchased_at: { type: Date, required: true },
+    reason: { type: String, required: true },
+    status: {
+        type: String,
+        default: 'PENDING',
+        enum: ['PENDING', 'PROCESSING', 'APPROVED', 'REJECTED'],
+        index: true
+    },
+    reviewed_by: { type: Number, default: null },
+    reviewed_at: { type: Date, default: null },
+    resolution_comment: { type: String, default: '' },
+    refund_txn_id: { type: String, default: '' },
+    completed_steps: { type: [String], default: [] },
+    error: { type: String, default: '' },
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    collection: 'fitmarket_purchase_disputes'
+});
+// Одна открытая заявка на покупку (у комплекта — на каждую программу заказа)
+purchaseDisputeSchema.index(
+    { order_id: 1, program_id: 1 },
+    { unique: true, partialFilterExpression: { status: { $in: ['PENDING', 'PROCESSING'] } } }
+);
+purchaseDisputeSchema.index({ refund_txn_id: 1 });
+
+// ==================== AI THREAD ====================
+// Диалог с AI-коучем. Старые сообщения сворачиваются в summary, чтобы не превышать контекст модели.
+const aiThreadSchema = new Schema({
+    id: { type: String, required: true, unique: true },
+    user_id: { type: Number, required: true },
+    title: { type: String, default: 'Новый диалог' },
+    summary: { type: String, default: '' },
+    summarized_until: { type: Schema.Types.ObjectId, default: null }, // _id последнего свёрнутого сообщения
+    message_count: { type: Number, default: 0 },
+    last_message_at: { type: Date, default: null },
+}, {
+    timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+    collection: 'fitmarket_ai_threads'
+});
+aiThreadSchema.index({ user_id: 1, updated_at: -1 });
+
 // ==================== AI MESSAGE ====================
 const aiMessageSchema = new Schema({
     user_id: { type: Number, required: true, index: true },
+    thread_id: { type: String, default: null },
     role: { type: String, required: true, enum: ['user', 'assistant', 'system'] },
     content: { type: String, required: true },
+    // Кто сгенерировал ответ и сколько токенов ушло (только у ответов assistant)
+    provider: { type: String, default: null },
+    model: { type: String, default: null },
+    prompt_tokens: { type: Number, default: 0 },
+    completion_tokens: { type: Number, default: 0 },
+    total_tokens: { type: Number, default: 0 },
     created_at: { type: Date, default: Date.now },
 }, {
     timestamps: false,
     collection: 'fitmarket_ai_messages'
 });
+aiMessageSchema.index({ thread_id: 1, _id: 1 });
 
 // ==================== NEWS ====================
 const newsSchema = new Schema({
@@ -178,10 +515,11 @@ const withdrawalRequestSchema = new Schema({
 // ==================== CRYPTO INVOICE ====================
 const cryptoInvoiceSchema = new Schema({
     invoice_id: { type: String, required: true, unique: true },
-    type: { type: String, required: true, enum: ['deposit', 'purchase'] },
+    type: { type: String, required: true, enum: ['deposit', 'purchase', 'bundle'] },
     status: { type: String, default: 'PROCESSING', enum: ['PROCESSING', 'DONE', 'FAILED'], index: true },
     telegram_id: { type: Number },
     program_id: { type: String },
+    bundle_id: { type: String },
     amount: { type: Number },
     asset: { type: String, default: 'USDT' },
     error: { type: String, default: '' },
@@ -196,8 +534,16 @@ const exerciseRecordSchema = new Schema({
     telegram_id: { type: Number, required: true, index: true },
     exercise_name: { type: String, required: true },
     best_weight: { type: Number, default: 0 },
+    best_weight_reps: { type: Number, default: 0 }, // повторения в подходе с лучшим весом
     best_reps: { type: Number, default: 0 },
-    best_volume: { type: Number, default: 0 }, // weight * reps
+    best_volume: { type: Number, default: 0 }, // weight * reps лучшего подхода
+    best_e1rm: { type: Number, default: 0 }, // расчётный 1ПМ
+    // Лучшее количество повторений для каждого рабочего веса
+    reps_at_weight: [{
+        _id: false,
+        weight: { type: Number, required: true },
+        reps: { type: Number, required: true },
+    }],
     updated_at: { type: Date, default: Date.now },
 }, {
     timestamps: false,
@@ -205,7 +551,25 @@ const exerciseRecordSchema = new Schema({
 });
 exerciseRecordSchema.index({ telegram_id: 1, exercise_name: 1 }, { unique: true });
 
-// Export models
+// ==================== PERSONAL RECORD (история рекордов) ====================
+const personalRecordSchema = new Schema({
+    id: { type: String, required: true, unique: true },
+    telegram_id: { type: Number, required: true },
+    exercise_name: { type: String, required: true },
+    type: { type: String, enum: ['weight', 'reps_at_weight', 'volume', 'e1rm'], required: true },
+    value: { type: Number, required: true },
+    previous_value: { type: Number, default: null },
+    weight: { type: Number, default: 0 },
+    reps: { type: Number, default: 0 },
+    workout_id: { type: String, default: null },
+    achieved_at: { type: Date, default: Date.now },
+}, {
+    timestamps: false,
+    collection: 'fitmarket_personal_records'
+});
+personalRecordSchema.index({ telegram_id: 1, exercise_name: 1, achieved_at: -1 });
+personalRecordSchema.index({ workout_id: 1 });
+
 // ==================== SETTINGS ====================
 const settingsSchema = new Schema({
     key: { type: String, required: true, unique: true },
@@ -215,4 +579,73 @@ const settingsSchema = new Schema({
     collection: 'fitmarket_settings'
 });
 
+// ==================== LEDGER ENTRY ====================
+// Двойная запись: каждое движение денег — транзакция (txn_id) из нескольких проводок,
+// сумма amount внутри транзакции равна нулю. telegram_id = 0 — внешний мир (CryptoBot, комиссия без админа).
+const ledgerEntrySchema = new Schema({
+    id: { type: String, required: true, unique: true },
+    txn_id: { type: String, required: true, index: true },
+    telegram_id: { type: Number, required: true },
+    amount: { type: Number, required: true }, // + зачисление, - списание
+    balance_after: { type: Number, default: null }, // null для внешнего счёта
+    type: {
+        type: String,
+        required: true,
+        enum: [
+            'OPENING_BALANCE',
+            'DEPOSIT',
+            'PURCHASE',
+            'PURCHASE_REVERSAL',
+            'SALE_INCOME',
+            'PLATFORM_FEE',
+            'REFERRAL_INCOME',
+            'WITHDRAWAL',
+            'WITHDRAWAL_REFUND',
+            'WITHDRAWAL_FEE',
+            'ADJUSTMENT',
+        ]
+    },
+    counterparty_id: { type: Number, default: null },
+    reference_type: { type: String, default: '' }, // crypto_invoice, program, bundle, withdrawal
+    reference_id: { type: String, default: '' },
+    description: { type: String, default: '' },
+    created_at: { type: Date, default: Date.now },
+}, {
+    timestamps: false,
+    collection: 'fitmarket_ledger_entries'
+});
+// Выписка пользователя (sorted by date)
+ledgerEntrySchema.index({ telegram_id: 1, created_at: -1, id: -1 });
+
+// Проводки неизменяемы: исправления делаются только новой транзакцией
+const rejectLedgerMutation = function () {
+    throw new Error('Ledger entries are immutable');
+};
+ledgerEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], rejectLedgerMutation);
+ledgerEntrySchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectLedgerMutation);
 
+// ==================== EXPORT MODELS ====================
+export const User = mongoose.model('User', userSchema);
+export const TrainerRequest = mongoose.model('TrainerRequest', trainerRequestSchema);
+export const TrainerProfile = mongoose.model('TrainerProfile', trainerProfileSchema);
+export const TrainerFollow = mongoose.model('TrainerFollow', trainerFollowSchema);
+export const Program = mongoose.model('Program', programSchema);
+export const ProgramVersion = mongoose.model('ProgramVersion', programVersionSchema);
+export const WorkoutLog = mongoose.model('WorkoutLog', workoutLogSchema);
+export const Enrollment = mongoose.model('Enrollment', enrollmentSchema);
+export const ProgramReview = mongoose.model('ProgramReview', programReviewSchema);
+export const Purchase = mongoose.model('Purchase', purchaseSchema);
+export const Bundle = mongoose.model('Bundle', bundleSchema);
+export const PurchaseOrder = mongoose.model('PurchaseOrder', purchaseOrderSchema);
+export const PurchaseDispute = mongoose.model('PurchaseDispute', purchaseDisputeSchema);
+export const Discount = mongoose.model('Discount', discountSchema);
+export const AIMessage = mongoose.model('AIMessage', aiMessageSchema);
+export const AIThread = mongoose.model('AIThread', aiThreadSchema);
+export const News = mongoose.model('News', newsSchema);
+export const SupportMessage = mongoose.model('SupportMessage', supportMessageSchema);
+export const WithdrawalRequest = mongoose.model('WithdrawalRequest', withdrawalRequestSchema);
+export const CryptoInvoice = mongoose.model('CryptoInvoice', cryptoInvoiceSchema);
+export const ExerciseRecord = mongoose.model('ExerciseRecord', exerciseRecordSchema);
+export const PersonalRecord = mongoose.model('PersonalRecord', personalRecordSchema);
+export const Settings = mongoose.model('Settings', settingsSchema);
+export const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
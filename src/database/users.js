@@ -4,14 +4,25 @@
 import {
   User,
   TrainerRequest,
+  TrainerProfile,
+  TrainerFollow,
   Program,
+  ProgramVersion,
   WorkoutLog,
+  Enrollment,
+  ProgramReview,
   Purchase,
+  PurchaseDispute,
+  Bundle,
   AIMessage,
+  AIThread,
   News,
   SupportMessage,
-  ExerciseRecord
+  ExerciseRecord,
+  PersonalRecord,
+  LedgerEntry
 } from './models.js';
+import { config } from '../config.js';
 
 // ==========================================
 // USERS
@@ -55,6 +66,7 @@ export async function getUser(telegramId) {
     balance: user.balance || 0,
     lastSeenNewsId: user.last_seen_news_id || '',
     aiRequestsCount: user.ai_requests_count,
+    workoutReviewPush: user.workout_review_push || false,
     createdAt: user.created_at,
     updatedAt: user.updated_at,
   };
@@ -290,6 +302,7 @@ export async function approveTrainerRequest(requestId, reviewerId) {
 
   // Add TRAINER role (не перезаписывает существующие роли)
   await addRole(request.telegram_id, 'TRAINER');
+  await syncTrainerProfileFromRequest(request);
 
   return TrainerRequest.findOne({ id: requestId }).lean();
 }
@@ -310,14 +323,203 @@ export async function rejectTrainerRequest(requestId, reviewerId, reason = '') {
   return TrainerRequest.findOne({ id: requestId }).lean();
 }
 
+// ==========================================
+// TRAINER PROFILES
+// ==========================================
+
+const TRAINER_MATCH = { $or: [{ roles: 'TRAINER' }, { role: 'TRAINER' }] };
+
+// Данные одобренной заявки переносятся в витрину; сертификат добавляется к уже одобренным
+async function syncTrainerProfileFromRequest(request) {
+  const update = {
+    $set: {
+      bio: request.bio || '',
+      experience: request.experience || '',
+      specialization: request.specialization || '',
+    },
+  };
+  if (request.cert_photo_url) update.$addToSet = { certificates: request.cert_photo_url };
+  await TrainerProfile.updateOne({ telegram_id: request.telegram_id }, update, { upsert: true });
+}
+
+// Витрины тренеров, одобренных до их появления, заполняются из последней одобренной заявки
+async function ensureTrainerProfile(telegramId) {
+  if (await TrainerProfile.exists({ telegram_id: telegramId })) return;
+
+  const request = await TrainerRequest.findOne({ telegram_id: telegramId, status: 'APPROVED' })
+    .sort({ reviewed_at: -1 })
+    .lean();
+  if (request) {
+    await syncTrainerProfileFromRequest(request);
+  } else {
+    await TrainerProfile.updateOne({ telegram_id: telegramId }, { $setOnInsert: { bio: '' } }, { upsert: true });
+  }
+}
+
+// Профиль + одобренная заявка (для тренеров, одобренных до появления витрин) + статистика программ
+function trainerProfilePipeline(match) {
+  return [
+    { $match: { $and: [TRAINER_MATCH, match] } },
+    {
+      $lookup: {
+        from: TrainerProfile.collection.name,
+        localField: 'telegram_id',
+        foreignField: 'telegram_id',
+        as: 'profile',
+      },
+    },
+    {
+      $lookup: {
+        from: TrainerRequest.collection.name,
+        localField: 'telegram_id',
+        foreignField: 'telegram_id',
+        pipeline: [{ $match: { status: 'APPROVED' } }, { $sort: { reviewed_at: -1 } }, { $limit: 1 }],
+        as: 'request',
+      },
+    },
+    {
+      $lookup: {
+        from: Program.collection.name,
+        localField: 'telegram_id',
+        foreignField: 'author_id',
+        pipeline: [
+          { $match: { is_personal: { $ne: true } } },
+          {
+            $group: {
+              _id: null,
+              programs: {
+                $sum: { $cond: [{ $and: ['$is_published', { $ne: ['$is_archived', true] }] }, 1, 0] },
+              },
+              sales: { $sum: { $ifNull: ['$purchase_count', 0] } },
+              ratingSum: { $sum: { $multiply: [{ $ifNull: ['$rating_avg', 0] }, { $ifNull: ['$rating_count', 0] }] } },
+              ratingCount: { $sum: { $ifNull: ['$rating_count', 0] } },
+            },
+          },
+        ],
+        as: 'stats',
+      },
+    },
+    {
+      $set: {
+        profile: { $first: '$profile' },
+        request: { $first: '$request' },
+        stats: { $first: '$stats' },
+      },
+    },
+    { $set: { sales: { $ifNull: ['$stats.sales', 0] } } },
+  ];
+}
+
+function mapTrainerProfile(row) {
+  const source = row.profile || row.request || {};
+  const certificates = row.profile
+    ? row.profile.certificates || []
+    : (row.request?.cert_photo_url ? [row.request.cert_photo_url] : []);
+  const ratingCount = row.stats?.ratingCount || 0;
+
+  return {
+    telegramId: row.telegram_id,
+    displayName: row.display_name || `${row.first_name || ''} ${row.last_name || ''}`.trim() || 'Тренер',
+    username: row.username,
+    avatarUrl: row.avatar_url || '',
+    bio: source.bio || '',
+    experience: source.experience || '',
+    specialization: source.specialization || '',
+    certificates,
+    followersCount: row.profile?.followers_count || 0,
+    stats: {
+      programsCount: row.stats?.programs || 0,
+      salesCount: row.sales || 0,
+      rating: {
+        average: ratingCount > 0 ? Math.round(row.stats.ratingSum / ratingCount * 100) / 100 : 0,
+        count: ratingCount,
+      },
+    },
+  };
+}
+
+// Тренеры, самые продаваемые первыми. Возвращает { trainers, hasMore }
+export async function getTrainers({ limit = 20, offset = 0 } = {}) {
+  const rows = await User.aggregate([
+    ...trainerProfilePipeline({}),
+    { $sort: { sales: -1, telegram_id: 1 } },
+    { $skip: offset },
+    { $limit: limit + 1 },
+  ]);
+  return { trainers: rows.slice(0, limit).map(mapTrainerProfile), hasMore: rows.length > limit };
+}
+
+// null — пользователь не найден или не тренер
+export async function getTrainerProfile(telegramId) {
+  const [row] = await User.aggregate(trainerProfilePipeline({ telegram_id: telegramId }));
+  return row ? mapTrainerProfile(row) : null;
+}
+
+// updates: { bio, experience, specialization } — сертификаты меняются только через заявку
+export async function updateTrainerProfile(telegramId, updates) {
+  const updateObj = {};
+  if (updates.bio !== undefined) updateObj.bio = updates.bio;
+  if (updates.experience !== undefined) updateObj.experience = updates.experience;
+  if (updates.specialization !== undefined) updateObj.specialization = updates.specialization;
+
+  await ensureTrainerProfile(telegramId);
+  await TrainerProfile.updateOne({ telegram_id: telegramId }, { $set: updateObj });
+  return getTrainerProfile(telegramId);
+}
+
+export async function isFollowingTrainer(trainerId, telegramId) {
+  return !!(await TrainerFollow.exists({ trainer_id: trainerId, telegram_id: telegramId }));
+}
+
+// Счётчик меняется, только если подписка действительно создана или удалена
+export async function followTrainer(trainerId, telegramId) {
+  const result = await TrainerFollow.updateOne(
+    { trainer_id: trainerId, telegram_id: telegramId },
+    { $setOnInsert: { created_at: new Date() } },
+    { upsert: true }
+  );
+  if (result.upsertedCount > 0) {
+    await ensureTrainerProfile(trainerId);
+    await TrainerProfile.updateOne({ telegram_id: trainerId }, { $inc: { followers_count: 1 } });
+  }
+}
+
+export async function unfollowTrainer(trainerId, telegramId) {
+  const result = await TrainerFollow.deleteOne({ trainer_id: trainerId, telegram_id: telegramId });
+  if (result.deletedCount > 0) {
+    await TrainerProfile.updateOne({ telegram_id: trainerId }, { $inc: { followers_count: -1 } });
+  }
+}
+
 // ==========================================
 // PROGRAMS
 // ==========================================
 
+// Поля, изменение которых создаёт новую версию программы
+const VERSIONED_PROGRAM_FIELDS = ['title', 'description', 'category', 'difficulty', 'duration_weeks', 'workouts'];
+
+async function saveProgramVersion(prog, version, createdBy) {
+  await ProgramVersion.create({
+    program_id: prog.id,
+    version,
+    title: prog.title,
+    description: prog.description,
+    category: prog.category,
+    difficulty: prog.difficulty,
+    duration_weeks: prog.duration_weeks,
+    workouts: prog.workouts || [],
+    created_by: createdBy,
+  });
+}
+
+function mapPreviewToDb(preview) {
+  return { mode: preview?.mode || 'none', workout_index: preview?.workoutIndex ?? 0 };
+}
+
 export async function createProgram(authorId, programData) {
   const id = programData.id || `prog_${Date.now()}`;
 
-  await Program.create({
+  const created = await Program.create({
     id,
     author_id: authorId,
     title: programData.title || 'Без названия',
@@ -329,7 +531,10 @@ export async function createProgram(authorId, programData) {
     is_published: programData.isPublished || false,
     is_personal: programData.isPersonal || false,
     workouts: programData.workouts || [],
+    preview: mapPreviewToDb(programData.preview),
+    current_version: 1,
   });
+  await saveProgramVersion(created.toObject(), 1, authorId);
 
   return getProgram(id);
 }
@@ -350,13 +555,19 @@ export async function getProgram(programId) {
     isPublished: prog.is_published,
     isPersonal: prog.is_personal,
     workouts: prog.workouts,
+    preview: { mode: prog.preview?.mode || 'none', workoutIndex: prog.preview?.workout_index ?? 0 },
     purchaseCount: prog.purchase_count,
+    currentVersion: prog.current_version || 1,
+    isArchived: prog.is_archived || false,
+    archivedAt: prog.archived_at || null,
+    rating: { average: prog.rating_avg || 0, count: prog.rating_count || 0 },
     createdAt: prog.created_at,
     updatedAt: prog.updated_at,
   };
 }
 
-export async function updateProgram(programId, updates) {
+// Правка содержимого создаёт новую версию; покупатели остаются на купленной
+export async function updateProgram(programId, updates, { editorId } = {}) {
   const updateObj = {};
   if (updates.title !== undefined) updateObj.title = updates.title;
   if (updates.description !== undefined) updateObj.description = updates.description;
@@ -367,51 +578,319 @@ export async function updateProgram(programId, updates) {
   if (updates.isPublished !== undefined) updateObj.is_published = updates.isPublished;
   if (updates.isPersonal !== undefined) updateObj.is_personal = updates.isPersonal;
   if (updates.workouts !== undefined) updateObj.workouts = updates.workouts;
+  // Превью — настройка витрины, а не содержимое: новую версию не создаёт
+  if (updates.preview !== undefined) updateObj.preview = mapPreviewToDb(updates.preview);
 
-  if (Object.keys(updateObj).length > 0) {
+  if (Object.keys(updateObj).length === 0) {
+    return getProgram(programId);
+  }
+
+  if (!VERSIONED_PROGRAM_FIELDS.some(field => updateObj[field] !== undefined)) {
     await Program.updateOne({ id: programId }, { $set: updateObj });
+    return getProgram(programId);
   }
 
+  const prog = await Program.findOne({ id: programId }).lean();
+  if (!prog) return null;
+
+  // Программы, созданные до версионирования: сохраняем исходное содержимое как версию 1
+  const currentVersion = prog.current_version || 1;
+  if (!await ProgramVersion.exists({ program_id: programId, version: currentVersion })) {
+    await saveProgramVersion(prog, currentVersion, prog.author_id);
+  }
+
+  const nextVersion = currentVersion + 1;
+  const updated = await Program.findOneAndUpdate(
+    { id: programId, current_version: prog.current_version ?? null },
+    { $set: { ...updateObj, current_version: nextVersion } },
+    { new: true }
+  ).lean();
+  if (!updated) {
+    throw new Error('Программа была изменена параллельно, повторите попытку');
+  }
+  await saveProgramVersion(updated, nextVersion, editorId ?? prog.author_id);
+
   return getProgram(programId);
 }
 
+// Удаление — мягкая архивация: программа пропадает из каталога, купленные копии остаются
 export async function deleteProgram(programId) {
-  const result = await Program.deleteOne({ id: programId });
-  return result.deletedCount > 0;
+  const result = await Program.updateOne(
+    { id: programId, is_archived: { $ne: true } },
+    { $set: { is_archived: true, is_published: false, archived_at: new Date() } }
+  );
+  return result.modifiedCount > 0;
 }
 
-export async function getPublishedPrograms() {
-  const programs = await Program.find({ is_published: true })
-    .sort({ created_at: -1 })
+// ==========================================
+// PROGRAM VERSIONS
+// ==========================================
+
+export async function getProgramVersions(programId) {
+  const versions = await ProgramVersion.find({ program_id: programId })
+    .sort({ version: 1 })
     .lean();
 
-  const enriched = [];
-  for (const prog of programs) {
-    const author = await getUser(prog.author_id);
-    enriched.push({
-      id: prog.id,
-      authorId: prog.author_id,
-      authorName: author ? `${author.firstName} ${author.lastName}`.trim() : 'Тренер',
-      title: prog.title,
-      description: prog.description,
-      category: prog.category,
-      difficulty: prog.difficulty,
-      durationWeeks: prog.duration_weeks,
-      price: prog.price,
-      isPublished: prog.is_published,
-      workouts: prog.workouts,
-      purchaseCount: prog.purchase_count,
-      createdAt: prog.created_at,
+  return versions.map(v => ({
+    version: v.version,
+    title: v.title,
+    description: v.description,
+    category: v.category,
+    difficulty: v.difficulty,
+    durationWeeks: v.duration_weeks,
+    workouts: v.workouts,
+    createdBy: v.created_by,
+    createdAt: v.created_at,
+  }));
+}
+
+// Содержимое программы в указанной версии (для legacy-программ без снимков — текущее содержимое)
+export async function getProgramVersion(programId, version) {
+  const snapshot = await ProgramVersion.findOne({ program_id: programId, version }).lean();
+  if (snapshot) {
+    return {
+      version: snapshot.version,
+      title: snapshot.title,
+      description: snapshot.description,
+      category: snapshot.category,
+      difficulty: snapshot.difficulty,
+      durationWeeks: snapshot.duration_weeks,
+      workouts: snapshot.workouts,
+      createdAt: snapshot.created_at,
+    };
+  }
+
+  const prog = await getProgram(programId);
+  if (!prog || prog.currentVersion !== version) return null;
+  return {
+    version,
+    title: prog.title,
+    description: prog.description,
+    category: prog.category,
+    difficulty: prog.difficulty,
+    durationWeeks: prog.durationWeeks,
+    workouts: prog.workouts,
+    createdAt: prog.updatedAt,
+  };
+}
+
+// Накладывает на программу содержимое купленной версии
+async function applyPurchasedVersion(program, purchasedVersion) {
+  if (purchasedVersion === program.currentVersion) return program;
+  const snapshot = await getProgramVersion(program.id, purchasedVersion);
+  if (!snapshot) return program;
+
+  return {
+    ...program,
+    title: snapshot.title,
+    description: snapshot.description,
+    category: snapshot.category,
+    difficulty: snapshot.difficulty,
+    durationWeeks: snapshot.durationWeeks,
+    workouts: snapshot.workouts,
+  };
+}
+
+// Программа глазами покупателя: купленная версия + информация об обновлении
+export async function getProgramForBuyer(program, purchase) {
+  const purchasedVersion = purchase.programVersion || 1;
+  const content = await applyPurchasedVersion(program, purchasedVersion);
+  return {
+    ...content,
+    purchasedVersion,
+    latestVersion: program.currentVersion,
+    upgradeAvailable: !program.isArchived && purchasedVersion < program.currentVersion,
+  };
+}
+
+// Сортировки каталога; второй ключ id делает порядок однозначным для курсора
+const PROGRAM_SORTS = {
+  newest: { field: 'created_at', order: -1 },
+  popular: { field: 'purchase_count', order: -1 },
+  price_asc: { field: 'price', order: 1 },
+  price_desc: { field: 'price', order: -1 },
+  rating: { field: 'rating_avg', order: -1 },
+};
+
+export const PROGRAM_SEARCH_DEFAULT_LIMIT = 20;
+
+// Курсор каталога: base64url от [значение поля сортировки, id] последней карточки
+function encodeProgramsCursor(sort, card) {
+  const value = PROGRAM_SORTS[sort].field === 'created_at' ? card.createdAt : card.sortValue;
+  return Buffer.from(JSON.stringify([value, card.id])).toString('base64url');
+}
+
+function decodeProgramsCursor(sort, cursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof id !== 'string') return null;
+    if (PROGRAM_SORTS[sort].field === 'created_at') {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime()) ? null : { value: date, id };
+    }
+    return typeof value === 'number' ? { value, id } : null;
+  } catch {
+    return null;
+  }
+}
+
+function mapProgramCard(prog) {
+  const author = prog.author || null;
+  const authorName = author
+    ? (author.display_name || `${author.first_name || ''} ${author.last_name || ''}`.trim())
+    : '';
+
+  return {
+    id: prog.id,
+    authorId: prog.author_id,
+    authorName: authorName || 'Тренер',
+    author: author ? {
+      telegramId: author.telegram_id,
+      username: author.username,
+      firstName: author.first_name,
+      lastName: author.last_name,
+      displayName: author.display_name || '',
+      avatarUrl: author.avatar_url || '',
+    } : null,
+    title: prog.title,
+    description: prog.description,
+    category: prog.category,
+    difficulty: prog.difficulty,
+    durationWeeks: prog.duration_weeks,
+    price: prog.price,
+    isPublished: prog.is_published,
+    isArchived: prog.is_archived || false,
+    workoutsCount: prog.workouts_count,
+    purchaseCount: prog.purchase_count || 0,
+    rating: { average: prog.rating_avg || 0, count: prog.rating_count || 0 },
+    createdAt: prog.created_at,
+    sortValue: prog.sort_value,
+  };
+}
+
+// Стадии конвейера: карточка программы без содержимого тренировок, автор — одним $lookup
+function programCardStages(extraFields = {}) {
+  return [
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: 'author_id',
+        foreignField: 'telegram_id',
+        pipeline: [
+          { $project: { _id: 0, telegram_id: 1, username: 1, first_name: 1, last_name: 1, display_name: 1, avatar_url: 1 } },
+        ],
+        as: 'author',
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        id: 1,
+        author_id: 1,
+        author: { $first: '$author' },
+        title: 1,
+        description: 1,
+        category: 1,
+        difficulty: 1,
+        duration_weeks: 1,
+        price: 1,
+        is_published: 1,
+        is_archived: 1,
+        workouts_count: { $size: { $ifNull: ['$workouts', []] } },
+        purchase_count: 1,
+        rating_avg: 1,
+        rating_count: 1,
+        created_at: 1,
+        ...extraFields,
+      },
+    },
+  ];
+}
+
+// Карточки программ по id в порядке programIds (отсутствующие пропускаются)
+export async function getProgramCards(programIds) {
+  const rows = await Program.aggregate([
+    { $match: { id: { $in: programIds } } },
+    ...programCardStages(),
+  ]);
+  const cards = new Map(rows.map(row => [row.id, mapProgramCard(row)]));
+  return programIds.filter(id => cards.has(id)).map(id => {
+    const { sortValue, ...card } = cards.get(id);
+    return card;
+  });
+}
+
+// Каталог опубликованных программ: карточки без содержимого тренировок, автор — одним $lookup.
+// filters: { q, category, difficulty, minPrice, maxPrice, minWeeks, maxWeeks, trainerId, sort, limit, cursor }
+// Возвращает { programs, nextCursor }; некорректный курсор — ошибка с code = 'invalid_cursor'.
+export async function searchPublishedPrograms(filters = {}) {
+  const sort = PROGRAM_SORTS[filters.sort] ? filters.sort : 'newest';
+  const { field, order } = PROGRAM_SORTS[sort];
+  const limit = filters.limit || PROGRAM_SEARCH_DEFAULT_LIMIT;
+
+  const match = { is_published: true, is_archived: { $ne: true } };
+  // $text должен быть в первом $match конвейера
+  if (filters.q) match.$text = { $search: filters.q };
+  if (filters.category) match.category = filters.category;
+  if (filters.difficulty) match.difficulty = filters.difficulty;
+  if (filters.trainerId) match.author_id = filters.trainerId;
+  if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
+    match.price = {};
+    if (filters.minPrice !== undefined) match.price.$gte = filters.minPrice;
+    if (filters.maxPrice !== undefined) match.price.$lte = filters.maxPrice;
+  }
+  if (filters.minWeeks !== undefined || filters.maxWeeks !== undefined) {
+    match.duration_weeks = {};
+    if (filters.minWeeks !== undefined) match.duration_weeks.$gte = filters.minWeeks;
+    if (filters.maxWeeks !== undefined) match.duration_weeks.$lte = filters.maxWeeks;
+  }
+
+  // У программ, созданных до появления поля, значения нет — сортируем их как 0
+  const pipeline = [
+    { $match: match },
+    { $addFields: { sort_value: field === 'created_at' ? `$${field}` : { $ifNull: [`$${field}`, 0] } } },
+  ];
+
+  if (filters.cursor) {
+    const cursor = decodeProgramsCursor(sort, filters.cursor);
+    if (!cursor) {
+      const error = new Error('Invalid cursor');
+      error.code = 'invalid_cursor';
+      throw error;
+    }
+    const op = order === -1 ? '$lt' : '$gt';
+    pipeline.push({
+      $match: {
+        $or: [
+          { sort_value: { [op]: cursor.value } },
+          { sort_value: cursor.value, id: { [op]: cursor.id } },
+        ],
+      },
     });
   }
 
-  return enriched;
+  pipeline.push(
+    { $sort: { sort_value: order, id: order } },
+    { $limit: limit + 1 },
+    ...programCardStages({ sort_value: 1 })
+  );
+
+  const rows = await Program.aggregate(pipeline);
+  const hasMore = rows.length > limit;
+  const cards = rows.slice(0, limit).map(mapProgramCard);
+  const nextCursor = hasMore ? encodeProgramsCursor(sort, cards[cards.length - 1]) : null;
+
+  return {
+    programs: cards.map(({ sortValue, ...card }) => card),
+    nextCursor,
+  };
 }
 
 export async function getPersonalPrograms(telegramId) {
   const programs = await Program.find({
     author_id: telegramId,
-    is_personal: true
+    is_personal: true,
+    is_archived: { $ne: true },
   }).sort({ created_at: -1 }).lean();
 
   return programs.map(prog => ({
@@ -427,6 +906,7 @@ export async function getTrainerPrograms(trainerId) {
     author_id: trainerId,
     is_personal: false,
     is_published: true,
+    is_archived: { $ne: true },
   })
     .sort({ created_at: -1 })
     .lean();
@@ -436,10 +916,13 @@ export async function getTrainerPrograms(trainerId) {
     title: prog.title,
     description: prog.description,
     category: prog.category,
+    difficulty: prog.difficulty,
+    durationWeeks: prog.duration_weeks,
     price: prog.price,
     isPublished: prog.is_published,
     workouts: prog.workouts,
     purchaseCount: prog.purchase_count,
+    rating: { average: prog.rating_avg || 0, count: prog.rating_count || 0 },
     createdAt: prog.created_at,
   }));
 }
@@ -460,15 +943,106 @@ export async function createWorkoutLog(telegramId, logData) {
     duration: logData.duration || 0,
     volume: logData.volume || 0,
     notes: logData.notes || '',
+    enrollment_id: logData.enrollment?.id || null,
+    enrollment_week: logData.enrollment?.week || null,
+    enrollment_day: logData.enrollment?.day || null,
     completed_at: new Date(),
   });
 
   return { id };
 }
 
-export async function getWorkoutLogs(telegramId, limit = 50) {
-  const logs = await WorkoutLog.find({ telegram_id: telegramId })
-    .sort({ completed_at: -1 })
+function mapWorkoutLog(log) {
+  return {
+    id: log.id,
+    telegramId: log.telegram_id,
+    programId: log.program_id,
+    workoutTitle: log.workout_title,
+    exercises: log.exercises,
+    duration: log.duration,
+    volume: log.volume || 0,
+    notes: log.notes,
+    enrollmentId: log.enrollment_id || null,
+    enrollmentWeek: log.enrollment_week || null,
+    enrollmentDay: log.enrollment_day || null,
+    completedAt: log.completed_at,
+  };
+}
+
+export async function getWorkoutLog(logId) {
+  const log = await WorkoutLog.findOne({ id: logId }).lean();
+  return log ? mapWorkoutLog(log) : null;
+}
+
+// updates: { programId, workoutTitle, exercises, duration, volume, notes, completedAt, enrollment }
+// enrollment: { id, week, day } или null — день расписания прохождения программы
+export async function updateWorkoutLog(logId, updates) {
+  const updateObj = {};
+  if (updates.programId !== undefined) updateObj.program_id = updates.programId;
+  if (updates.workoutTitle !== undefined) updateObj.workout_title = updates.workoutTitle || 'Тренировка';
+  if (updates.exercises !== undefined) updateObj.exercises = updates.exercises;
+  if (updates.duration !== undefined) updateObj.duration = updates.duration;
+  if (updates.volume !== undefined) updateObj.volume = updates.volume;
+  if (updates.notes !== undefined) updateObj.notes = updates.notes;
+  if (updates.completedAt !== undefined) updateObj.completed_at = updates.completedAt;
+  if (updates.enrollment !== undefined) {
+    updateObj.enrollment_id = updates.enrollment?.id || null;
+    updateObj.enrollment_week = updates.enrollment?.week || null;
+    updateObj.enrollment_day = updates.enrollment?.day || null;
+  }
+
+  const log = await WorkoutLog.findOneAndUpdate(
+    { id: logId },
+    { $set: updateObj },
+    { new: true }
+  ).lean();
+  return log ? mapWorkoutLog(log) : null;
+}
+
+export async function deleteWorkoutLog(logId) {
+  const result = await WorkoutLog.deleteOne({ id: logId });
+  return result.deletedCount > 0;
+}
+
+// Курсор истории: "<completed_at ISO>_<id>" — id разводит тренировки, записанные в одну миллисекунду
+export function getWorkoutLogsCursor(log) {
+  return `${new Date(log.completedAt).toISOString()}_${log.id}`;
+}
+
+export function parseWorkoutLogsCursor(cursor) {
+  const separator = String(cursor).indexOf('_');
+  if (separator === -1) return null;
+
+  const completedAt = new Date(cursor.slice(0, separator));
+  const id = cursor.slice(separator + 1);
+  if (Number.isNaN(completedAt.getTime()) || !id) return null;
+  return { completedAt, id };
+}
+
+// options: { limit, cursor, programId, exercise, from, to, search }
+export async function getWorkoutLogs(telegramId, options = {}) {
+  const { limit = 50, cursor, programId, exercise, from, to, search } = options;
+  const query = { telegram_id: telegramId };
+
+  if (programId) query.program_id = programId;
+  if (exercise) query['exercises.name'] = exercise;
+  if (from || to) {
+    query.completed_at = {};
+    if (from) query.completed_at.$gte = from;
+    if (to) query.completed_at.$lte = to;
+  }
+  if (search) query.$text = { $search: search };
+
+  const after = cursor ? parseWorkoutLogsCursor(cursor) : null;
+  if (after) {
+    query.$or = [
+      { completed_at: { $lt: after.completedAt } },
+      { completed_at: after.completedAt, id: { $lt: after.id } },
+    ];
+  }
+
+  const logs = await WorkoutLog.find(query)
+    .sort({ completed_at: -1, id: -1 })
     .limit(limit)
     .lean();
 
@@ -486,31 +1060,159 @@ export async function getWorkoutLogs(telegramId, limit = 50) {
   }));
 }
 
+// Сводка для профиля; подробная аналитика — src/services/workoutAnalytics.js
 export async function getWorkoutStats(telegramId) {
-  const logs = await WorkoutLog.find({ telegram_id: telegramId }).lean();
+  const now = Date.now();
+  const weekAgo = new Date(now - 7 * 24 * 60 * 60 * 1000);
+  const monthAgo = new Date(now - 30 * 24 * 60 * 60 * 1000);
+
+  const [stats] = await WorkoutLog.aggregate([
+    { $match: { telegram_id: telegramId } },
+    {
+      $group: {
+        _id: null,
+        totalWorkouts: { $sum: 1 },
+        totalDuration: { $sum: { $ifNull: ['$duration', 0] } },
+        totalExercises: { $sum: { $size: { $ifNull: ['$exercises', []] } } },
+        weeklyWorkouts: { $sum: { $cond: [{ $gte: ['$completed_at', weekAgo] }, 1, 0] } },
+        monthlyWorkouts: { $sum: { $cond: [{ $gte: ['$completed_at', monthAgo] }, 1, 0] } },
+      },
+    },
+  ]);
+
+  return {
+    totalWorkouts: stats?.totalWorkouts || 0,
+    totalDuration: stats?.totalDuration || 0,
+    totalExercises: stats?.totalExercises || 0,
+    weeklyWorkouts: stats?.weeklyWorkouts || 0,
+    monthlyWorkouts: stats?.monthlyWorkouts || 0,
+  };
+}
+
+// ==========================================
+// ENROLLMENTS
+// ==========================================
 
+function mapEnrollment(enrollment) {
   return {
-    totalWorkouts: logs.length,
-    totalDuration: logs.reduce((sum, l) => sum + (l.duration || 0), 0),
-    totalExercises: logs.reduce((sum, l) => sum + (l.exercises?.length || 0), 0),
+    id: enrollment.id,
+    telegramId: enrollment.telegram_id,
+    programId: enrollment.program_id,
+    programVersion: enrollment.program_version,
+    status: enrollment.status,
+    startedAt: enrollment.started_at,
+    pausedAt: enrollment.paused_at || null,
+    pausedMs: enrollment.paused_ms || 0,
+    finishedAt: enrollment.finished_at || null,
+    createdAt: enrollment.created_at,
   };
 }
 
+const OPEN_ENROLLMENT_STATUSES = ['active', 'paused'];
+
+// Одновременно проходится одна программа: начатая ранее отменяется
+export async function createEnrollment(telegramId, { programId, programVersion = 1, startedAt = new Date() }) {
+  await Enrollment.updateMany(
+    { telegram_id: telegramId, status: { $in: OPEN_ENROLLMENT_STATUSES } },
+    { $set: { status: 'cancelled', finished_at: new Date() } }
+  );
+
+  const enrollment = await Enrollment.create({
+    id: `enr_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    telegram_id: telegramId,
+    program_id: programId,
+    program_version: programVersion,
+    started_at: startedAt,
+  });
+  return mapEnrollment(enrollment.toObject());
+}
+
+export async function getEnrollment(enrollmentId) {
+  const enrollment = await Enrollment.findOne({ id: enrollmentId }).lean();
+  return enrollment ? mapEnrollment(enrollment) : null;
+}
+
+export async function getCurrentEnrollment(telegramId) {
+  const enrollment = await Enrollment.findOne({ telegram_id: telegramId, status: { $in: OPEN_ENROLLMENT_STATUSES } })
+    .sort({ started_at: -1 })
+    .lean();
+  return enrollment ? mapEnrollment(enrollment) : null;
+}
+
+export async function getActiveEnrollmentForProgram(telegramId, programId) {
+  const enrollment = await Enrollment.findOne({ telegram_id: telegramId, program_id: programId, status: 'active' })
+    .sort({ started_at: -1 })
+    .lean();
+  return enrollment ? mapEnrollment(enrollment) : null;
+}
+
+export async function getEnrollments(telegramId) {
+  const enrollments = await Enrollment.find({ telegram_id: telegramId }).sort({ started_at: -1 }).lean();
+  return enrollments.map(mapEnrollment);
+}
+
+// Переходы статуса атомарны: условие на текущий статус защищает от двойного нажатия
+export async function pauseEnrollment(enrollmentId) {
+  const enrollment = await Enrollment.findOneAndUpdate(
+    { id: enrollmentId, status: 'active' },
+    { $set: { status: 'paused', paused_at: new Date() } },
+    { new: true }
+  ).lean();
+  return enrollment ? mapEnrollment(enrollment) : null;
+}
+
+export async function resumeEnrollment(enrollmentId) {
+  const current = await Enrollment.findOne({ id: enrollmentId, status: 'paused' }).lean();
+  if (!current) return null;
+
+  const pausedMs = Math.max(Date.now() - new Date(current.paused_at).getTime(), 0);
+  const enrollment = await Enrollment.findOneAndUpdate(
+    { id: enrollmentId, status: 'paused', paused_at: current.paused_at },
+    { $set: { status: 'active', paused_at: null }, $inc: { paused_ms: pausedMs } },
+    { new: true }
+  ).lean();
+  return enrollment ? mapEnrollment(enrollment) : null;
+}
+
+export async function completeEnrollment(enrollmentId) {
+  const enrollment = await Enrollment.findOneAndUpdate(
+    { id: enrollmentId, status: { $in: OPEN_ENROLLMENT_STATUSES } },
+    { $set: { status: 'completed', finished_at: new Date() } },
+    { new: true }
+  ).lean();
+  return enrollment ? mapEnrollment(enrollment) : null;
+}
+
+export async function getEnrollmentWorkoutLogs(enrollmentId) {
+  const logs = await WorkoutLog.find({ enrollment_id: enrollmentId }).sort({ completed_at: 1 }).lean();
+  return logs.map(mapWorkoutLog);
+}
+
 // ==========================================
 // PURCHASES
 // ==========================================
 
-export async function purchaseProgram(telegramId, programId) {
+// details: { programVersion, amount, paymentMethod, orderId, revenueShare } — сведения об оплате из сервиса покупок
+export async function purchaseProgram(telegramId, programId, { session = null, details = {} } = {}) {
   try {
-    await Purchase.create({
+    await Purchase.create([{
       telegram_id: telegramId,
       program_id: programId,
-    });
+      program_version: details.programVersion || null,
+      amount: details.amount || 0,
+      list_price: details.listPrice ?? null,
+      discount: details.discount || null,
+      bundle_id: details.bundleId || null,
+      payment_method: details.paymentMethod || 'balance',
+      order_id: details.orderId || '',
+      revenue_share: details.revenueShare || null,
+    }], { session });
 
     // Increment purchase count
     await Program.updateOne(
       { id: programId },
-      { $inc: { purchase_count: 1 } }
+      { $inc: { purchase_count: 1 } },
+      { session }
     );
 
     return { success: true };
@@ -523,6 +1225,19 @@ export async function purchaseProgram(telegramId, programId) {
   }
 }
 
+// Откат выдачи доступа (компенсация незавершённой покупки)
+export async function revokePurchase(telegramId, programId, { session = null } = {}) {
+  const result = await Purchase.deleteOne({ telegram_id: telegramId, program_id: programId }, { session });
+  if (result.deletedCount > 0) {
+    await Program.updateOne(
+      { id: programId },
+      { $inc: { purchase_count: -1 } },
+      { session }
+    );
+  }
+  return result.deletedCount > 0;
+}
+
 export async function hasPurchased(telegramId, programId) {
   const purchase = await Purchase.findOne({
     telegram_id: telegramId,
@@ -531,15 +1246,59 @@ export async function hasPurchased(telegramId, programId) {
   return !!purchase;
 }
 
+export async function getPurchase(telegramId, programId) {
+  const purchase = await Purchase.findOne({
+    telegram_id: telegramId,
+    program_id: programId
+  }).lean();
+  if (!purchase) return null;
+
+  return {
+    programId: purchase.program_id,
+    programVersion: purchase.program_version || 1,
+    amount: purchase.amount || 0,
+    listPrice: purchase.list_price ?? purchase.amount ?? 0,
+    discountCode: purchase.discount?.code || null,
+    paymentMethod: purchase.payment_method,
+    orderId: purchase.order_id || '',
+    purchasedAt: purchase.purchased_at,
+  };
+}
+
+// Переход покупателя на последнюю версию программы
+export async function upgradePurchasedProgram(telegramId, programId) {
+  const program = await getProgram(programId);
+  if (!program || program.isArchived) return null;
+
+  await Purchase.updateOne(
+    { telegram_id: telegramId, program_id: programId },
+    { $set: { program_version: program.currentVersion } }
+  );
+  return program.currentVersion;
+}
+
+// Какие из программ куплены пользователем — одним запросом для списков.
+// excludeBundles — не учитывать программы, полученные в составе комплекта (Bundle)
+export async function getPurchasedProgramIds(telegramId, programIds, { excludeBundles = false } = {}) {
+  const query = { telegram_id: telegramId, program_id: { $in: programIds } };
+  if (excludeBundles) {
+    query.bundle_id = null;
+  }
+  const purchases = await Purchase.find(query, { program_id: 1 }).lean();
+  return new Set(purchases.map(p => p.program_id));
+}
+
 export async function getPurchasedPrograms(telegramId) {
   const purchases = await Purchase.find({ telegram_id: telegramId }).lean();
 
+  // Архивные программы тоже возвращаются — покупатель сохраняет доступ
   const programs = [];
   for (const p of purchases) {
     const prog = await getProgram(p.program_id);
     if (prog) {
+      const content = await getProgramForBuyer(prog, { programVersion: p.program_version });
       programs.push({
-        ...prog,
+        ...content,
         purchasedAt: p.purchased_at,
       });
     }
@@ -549,15 +1308,523 @@ export async function getPurchasedPrograms(telegramId) {
 }
 
 // ==========================================
-// AI MESSAGES
+// BUNDLES
+// ==========================================
+
+function mapBundle(bundle) {
+  return {
+    id: bundle.id,
+    authorId: bundle.author_id,
+    title: bundle.title,
+    description: bundle.description || '',
+    programIds: bundle.program_ids || [],
+    price: bundle.price,
+    isPublished: bundle.is_published || false,
+    isArchived: bundle.is_archived || false,
+    purchaseCount: bundle.purchase_count || 0,
+    createdAt: bundle.created_at,
+    updatedAt: bundle.updated_at,
+  };
+}
+
+export async function createBundle(authorId, { title, description = '', programIds, price, isPublished = false }) {
+  const bundle = await Bundle.create({
+    id: `bundle_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    author_id: authorId,
+    title,
+    description,
+    program_ids: programIds,
+    price,
+    is_published: isPublished,
+  });
+  return mapBundle(bundle.toObject());
+}
+
+export async function getBundle(bundleId) {
+  const bundle = await Bundle.findOne({ id: bundleId }).lean();
+  return bundle ? mapBundle(bundle) : null;
+}
+
+export async function updateBundle(bundleId, updates) {
+  const fields = {
+    title: 'title',
+    description: 'description',
+    programIds: 'program_ids',
+    price: 'price',
+    isPublished: 'is_published',
+    isArchived: 'is_archived',
+  };
+  const $set = {};
+  for (const [key, column] of Object.entries(fields)) {
+    if (updates[key] !== undefined) $set[column] = updates[key];
+  }
+
+  const bundle = await Bundle.findOneAndUpdate({ id: bundleId }, { $set }, { new: true }).lean();
+  return bundle ? mapBundle(bundle) : null;
+}
+
+export async function getPublishedBundles({ limit = 20, offset = 0 } = {}) {
+  const bundles = await Bundle.find({ is_published: true, is_archived: { $ne: true } })
+    .sort({ created_at: -1 })
+    .skip(offset)
+    .limit(limit)
+    .lean();
+  return bundles.map(mapBundle);
+}
+
+export async function getTrainerBundles(authorId) {
+  const bundles = await Bundle.find({ author_id: authorId }).sort({ created_at: -1 }).lean();
+  return bundles.map(mapBundle);
+}
+
+// Продажа комплекта заказом orderId. До завершения заказа его id лежит в pending_orders,
+// чтобы дозавершение покупки после сбоя не учло продажу дважды
+export async function addBundleSale(bundleId, orderId, { session = null } = {}) {
+  await Bundle.updateOne(
+    { id: bundleId, pending_orders: { $ne: orderId } },
+    { $inc: { purchase_count: 1 }, $addToSet: { pending_orders: orderId } },
+    { session }
+  );
+}
+
+export async function hasBundleSale(bundleId, orderId) {
+  return Boolean(await Bundle.exists({ id: bundleId, pending_orders: orderId }));
+}
+
+// Откат незавершённой покупки комплекта
+export async function removeBundleSale(bundleId, orderId) {
+  await Bundle.updateOne(
+    { id: bundleId, pending_orders: orderId },
+    { $inc: { purchase_count: -1 }, $pull: { pending_orders: orderId } }
+  );
+}
+
+export async function settleBundleSale(bundleId, orderId, { session = null } = {}) {
+  await Bundle.updateOne({ id: bundleId }, { $pull: { pending_orders: orderId } }, { session });
+}
+
+// ==========================================
+// PURCHASE DISPUTES
+// ==========================================
+
+function mapPurchaseDispute(dispute) {
+  return {
+    id: dispute.id,
+    telegramId: dispute.telegram_id,
+    programId: dispute.program_id,
+    authorId: dispute.author_id,
+    orderId: dispute.order_id,
+    amount: dispute.amount || 0,
+    paymentMethod: dispute.payment_method,
+    purchasedAt: dispute.purchased_at,
+    reason: dispute.reason,
+    status: dispute.status,
+    reviewedBy: dispute.reviewed_by || null,
+    reviewedAt: dispute.reviewed_at || null,
+    resolutionComment: dispute.resolution_comment || '',
+    refundTxnId: dispute.refund_txn_id,
+    completedSteps: dispute.completed_steps || [],
+    error: dispute.error || '',
+    createdAt: dispute.created_at,
+    updatedAt: dispute.updated_at,
+  };
+}
+
+// Была ли по покупке заявка (в том числе отклонённая) — повторно по той же покупке не подаётся
+export async function hasPurchaseDispute(orderId, programId) {
+  return !!await PurchaseDispute.exists({ order_id: orderId, program_id: programId });
+}
+
+// null — по покупке уже есть открытая заявка
+export async function createPurchaseDispute(telegramId, purchase, { authorId, reason }) {
+  try {
+    const dispute = await PurchaseDispute.create({
+      id: `dsp_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      telegram_id: telegramId,
+      program_id: purchase.programId,
+      author_id: authorId ?? null,
+      order_id: purchase.orderId,
+      amount: purchase.amount,
+      payment_method: purchase.paymentMethod,
+      purchased_at: purchase.purchasedAt,
+      reason,
+      refund_txn_id: createLedgerTxnId(),
+    });
+    return mapPurchaseDispute(dispute.toObject());
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+}
+
+export async function getPurchaseDispute(disputeId) {
+  const dispute = await PurchaseDispute.findOne({ id: disputeId }).lean();
+  return dispute ? mapPurchaseDispute(dispute) : null;
+}
+
+export async function getUserPurchaseDisputes(telegramId) {
+  const disputes = await PurchaseDispute.find({ telegram_id: telegramId }).sort({ created_at: -1 }).lean();
+  return disputes.map(mapPurchaseDispute);
+}
+
+// Для модератора: по умолчанию — ожидающие решения и зависшие возвраты, старые первыми
+export async function getPurchaseDisputes({ status } = {}) {
+  const query = status ? { status } : { status: { $in: ['PENDING', 'PROCESSING'] } };
+  const disputes = await PurchaseDispute.find(query).sort({ created_at: 1 }).limit(200).lean();
+  return disputes.map(mapPurchaseDispute);
+}
+
+// Модератор берёт заявку в работу. Возврат, прерванный раньше staleBefore, можно повторить;
+// null — заявка уже решена или возврат выполняется прямо сейчас
+export async function claimPurchaseDispute(disputeId, moderatorId, { comment = '', staleBefore }) {
+  const dispute = await PurchaseDispute.findOneAndUpdate(
+    {
+      id: disputeId,
+      $or: [{ status: 'PENDING' }, { status: 'PROCESSING', updated_at: { $lt: staleBefore } }],
+    },
+    { $set: { status: 'PROCESSING', reviewed_by: moderatorId, resolution_comment: comment, error: '' } },
+    { new: true }
+  ).lean();
+  return dispute ? mapPurchaseDispute(dispute) : null;
+}
+
+// Прерванный возврат: заявка остаётся PROCESSING до повторного одобрения
+export async function setPurchaseDisputeError(disputeId, error) {
+  await PurchaseDispute.updateOne({ id: disputeId }, { $set: { error } });
+}
+
+export async function rejectPurchaseDispute(disputeId, moderatorId, comment = '') {
+  const dispute = await PurchaseDispute.findOneAndUpdate(
+    { id: disputeId, status: 'PENDING' },
+    {
+      $set: {
+        status: 'REJECTED',
+        reviewed_by: moderatorId,
+        reviewed_at: new Date(),
+        resolution_comment: comment,
+      },
+    },
+    { new: true }
+  ).lean();
+  return dispute ? mapPurchaseDispute(dispute) : null;
+}
+
+// ==========================================
+// PROGRAM REVIEWS
 // ==========================================
 
-export async function saveAIMessage(userId, role, content) {
+const REVIEW_AUTHOR_PROJECTION = { _id: 0, telegram_id: 1, username: 1, first_name: 1, last_name: 1, display_name: 1, avatar_url: 1 };
+
+function mapProgramReview(review) {
+  const author = review.author || null;
+  return {
+    id: review.id,
+    programId: review.program_id,
+    telegramId: review.telegram_id,
+    author: author ? {
+      telegramId: author.telegram_id,
+      username: author.username,
+      firstName: author.first_name,
+      lastName: author.last_name,
+      displayName: author.display_name || '',
+      avatarUrl: author.avatar_url || '',
+    } : null,
+    rating: review.rating,
+    text: review.text,
+    verifiedBy: review.verified_by,
+    trainerReply: review.trainer_reply ? {
+      text: review.trainer_reply.text,
+      createdAt: review.trainer_reply.created_at,
+      updatedAt: review.trainer_reply.updated_at,
+    } : null,
+    isHidden: review.is_hidden || false,
+    hiddenReason: review.is_hidden ? review.hidden_reason : '',
+    createdAt: review.created_at,
+    updatedAt: review.updated_at,
+  };
+}
+
+// Оставить отзыв может покупатель, а по бесплатной программе — тот, кто записал
+// не меньше config.reviews.minSessions тренировок по ней. Автор программы — нет.
+// Возвращает { allowed, verifiedBy, reason }
+export async function getReviewEligibility(telegramId, program) {
+  if (program.authorId === telegramId) {
+    return { allowed: false, reason: 'own_program' };
+  }
+  if (await hasPurchased(telegramId, program.id)) {
+    return { allowed: true, verifiedBy: 'purchase' };
+  }
+  if (program.price === 0) {
+    const sessions = await WorkoutLog.countDocuments({ telegram_id: telegramId, program_id: program.id });
+    if (sessions >= config.reviews.minSessions) {
+      return { allowed: true, verifiedBy: 'sessions' };
+    }
+    return { allowed: false, reason: 'not_enough_sessions', sessions, requiredSessions: config.reviews.minSessions };
+  }
+  return { allowed: false, reason: 'not_purchased' };
+}
+
+// Средняя оценка по видимым отзывам хранится в программе — для каталога и сортировки
+export async function refreshProgramRating(programId) {
+  const [stats] = await ProgramReview.aggregate([
+    { $match: { program_id: programId, is_hidden: false } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+  ]);
+
+  const rating = {
+    average: stats ? Math.round(stats.average * 100) / 100 : 0,
+    count: stats?.count || 0,
+  };
+  await Program.updateOne(
+    { id: programId },
+    { $set: { rating_avg: rating.average, rating_count: rating.count } }
+  );
+  return rating;
+}
+
+// Повторная отправка правит отзыв; скрытый модератором отзыв остаётся скрытым
+export async function upsertProgramReview(telegramId, programId, { rating, text, verifiedBy }) {
+  const result = await ProgramReview.findOneAndUpdate(
+    { program_id: programId, telegram_id: telegramId },
+    {
+      $set: { rating, text, verified_by: verifiedBy },
+      $setOnInsert: { id: `review_${Date.now()}_${Math.random().toString(36).slice(2, 8)}` },
+    },
+    { upsert: true, new: true, includeResultMetadata: true }
+  ).lean();
+
+  await refreshProgramRating(programId);
+  return { review: mapProgramReview(result.value), created: !result.lastErrorObject?.updatedExisting };
+}
+
+export async function getProgramReview(reviewId) {
+  const review = await ProgramReview.findOne({ id: reviewId }).lean();
+  return review ? mapProgramReview(review) : null;
+}
+
+// Курсор отзывов: "<created_at ISO>_<id>", как у истории тренировок
+function parseReviewsCursor(cursor) {
+  const separator = String(cursor).indexOf('_');
+  if (separator === -1) return null;
+  const createdAt = new Date(cursor.slice(0, separator));
+  const id = cursor.slice(separator + 1);
+  return Number.isNaN(createdAt.getTime()) || !id ? null : { createdAt, id };
+}
+
+// Отзывы программы, свежие первыми, с авторами одним $lookup.
+// Возвращает { reviews, nextCursor } или null при некорректном курсоре.
+export async function getProgramReviews(programId, { limit = 20, cursor = null, includeHidden = false } = {}) {
+  const match = { program_id: programId };
+  if (!includeHidden) match.is_hidden = false;
+
+  if (cursor) {
+    const parsed = parseReviewsCursor(cursor);
+    if (!parsed) return null;
+    match.$or = [
+      { created_at: { $lt: parsed.createdAt } },
+      { created_at: parsed.createdAt, id: { $lt: parsed.id } },
+    ];
+  }
+
+  const rows = await ProgramReview.aggregate([
+    { $match: match },
+    { $sort: { created_at: -1, id: -1 } },
+    { $limit: limit + 1 },
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: 'telegram_id',
+        foreignField: 'telegram_id',
+        pipeline: [{ $project: REVIEW_AUTHOR_PROJECTION }],
+        as: 'author',
+      },
+    },
+    { $set: { author: { $first: '$author' } } },
+  ]);
+
+  const reviews = rows.slice(0, limit).map(mapProgramReview);
+  const last = reviews[reviews.length - 1];
+  return {
+    reviews,
+    nextCursor: rows.length > limit ? `${new Date(last.createdAt).toISOString()}_${last.id}` : null,
+  };
+}
+
+// Распределение оценок 1–5 по видимым отзывам
+export async function getProgramRatingDistribution(programId) {
+  const groups = await ProgramReview.aggregate([
+    { $match: { program_id: programId, is_hidden: false } },
+    { $group: { _id: '$rating', count: { $sum: 1 } } },
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  for (const group of groups) distribution[group._id] = group.count;
+  return distribution;
+}
+
+// У отзыва один публичный ответ тренера; повторный ответ заменяет текст
+export async function setReviewReply(reviewId, text) {
+  const now = new Date();
+  const review = await ProgramReview.findOneAndUpdate(
+    { id: reviewId },
+    [{
+      $set: {
+        trainer_reply: {
+          text,
+          created_at: { $ifNull: ['$trainer_reply.created_at', now] },
+          updated_at: now,
+        },
+      },
+    }],
+    { new: true, updatePipeline: true }
+  ).lean();
+  return review ? mapProgramReview(review) : null;
+}
+
+export async function deleteReviewReply(reviewId) {
+  const review = await ProgramReview.findOneAndUpdate(
+    { id: reviewId },
+    { $set: { trainer_reply: null } },
+    { new: true }
+  ).lean();
+  return review ? mapProgramReview(review) : null;
+}
+
+export async function setReviewHidden(reviewId, hidden, { moderatorId = null, reason = '' } = {}) {
+  const review = await ProgramReview.findOneAndUpdate(
+    { id: reviewId },
+    {
+      $set: hidden
+        ? { is_hidden: true, hidden_by: moderatorId, hidden_reason: reason, hidden_at: new Date() }
+        : { is_hidden: false, hidden_by: null, hidden_reason: '', hidden_at: null },
+    },
+    { new: true }
+  ).lean();
+  if (!review) return null;
+
+  await refreshProgramRating(review.program_id);
+  return mapProgramReview(review);
+}
+
+// ==========================================
+// AI THREADS & MESSAGES
+// ==========================================
+
+function mapAIThread(thread) {
+  return {
+    id: thread.id,
+    title: thread.title,
+    messageCount: thread.message_count || 0,
+    lastMessageAt: thread.last_message_at,
+    createdAt: thread.created_at,
+    updatedAt: thread.updated_at,
+  };
+}
+
+function mapAIMessage(message) {
+  return {
+    id: String(message._id),
+    role: message.role,
+    content: message.content,
+    createdAt: message.created_at,
+  };
+}
+
+export async function createAIThread(userId, title) {
+  const thread = await AIThread.create({
+    id: `thread_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    user_id: userId,
+    title: title || 'Новый диалог',
+  });
+  return mapAIThread(thread.toObject());
+}
+
+// Сообщения, сохранённые до появления диалогов, собираем в один диалог
+async function migrateLegacyAIMessages(userId) {
+  const legacy = await AIMessage.findOne({ user_id: userId, thread_id: null }, { _id: 1 }).lean();
+  if (!legacy) return;
+
+  const thread = await createAIThread(userId, 'Чат с коучем');
+  const result = await AIMessage.updateMany({ user_id: userId, thread_id: null }, { $set: { thread_id: thread.id } });
+  const last = await AIMessage.findOne({ thread_id: thread.id }).sort({ _id: -1 }).lean();
+  await AIThread.updateOne(
+    { id: thread.id },
+    { $set: { message_count: result.modifiedCount, last_message_at: last?.created_at || null } }
+  );
+}
+
+export async function getAIThreads(userId) {
+  await migrateLegacyAIMessages(userId);
+  const threads = await AIThread.find({ user_id: userId }).sort({ updated_at: -1 }).lean();
+  return threads.map(mapAIThread);
+}
+
+// Внутреннее представление с полями свёртки — для построения контекста
+export async function getAIThread(threadId) {
+  const thread = await AIThread.findOne({ id: threadId }).lean();
+  if (!thread) return null;
+  return {
+    ...mapAIThread(thread),
+    userId: thread.user_id,
+    summary: thread.summary || '',
+    summarizedUntil: thread.summarized_until,
+  };
+}
+
+export async function renameAIThread(threadId, title) {
+  const thread = await AIThread.findOneAndUpdate(
+    { id: threadId },
+    { $set: { title } },
+    { new: true }
+  ).lean();
+  return thread ? mapAIThread(thread) : null;
+}
+
+export async function deleteAIThread(threadId) {
+  await AIMessage.deleteMany({ thread_id: threadId });
+  const result = await AIThread.deleteOne({ id: threadId });
+  return result.deletedCount > 0;
+}
+
+export async function updateAIThreadSummary(threadId, summary, summarizedUntil) {
+  await AIThread.updateOne(
+    { id: threadId },
+    { $set: { summary, summarized_until: summarizedUntil } }
+  );
+}
+
+// meta: { threadId, provider, model, usage: { promptTokens, completionTokens, totalTokens } }
+export async function saveAIMessage(userId, role, content, meta = {}) {
   await AIMessage.create({
     user_id: userId,
+    thread_id: meta.threadId || null,
     role,
     content,
+    provider: meta.provider || null,
+    model: meta.model || null,
+    prompt_tokens: meta.usage?.promptTokens || 0,
+    completion_tokens: meta.usage?.completionTokens || 0,
+    total_tokens: meta.usage?.totalTokens || 0,
   });
+
+  if (meta.threadId) {
+    await AIThread.updateOne(
+      { id: meta.threadId },
+      { $inc: { message_count: 1 }, $set: { last_message_at: new Date() } }
+    );
+  }
+}
+
+// Сообщения диалога в хронологическом порядке; after — _id, после которого брать сообщения
+export async function getAIThreadMessages(threadId, { after = null, limit = 0 } = {}) {
+  const query = { thread_id: threadId };
+  if (after) query._id = { $gt: after };
+
+  let cursor = AIMessage.find(query).sort({ _id: limit ? -1 : 1 });
+  if (limit) cursor = cursor.limit(limit);
+  const messages = await cursor.lean();
+
+  return (limit ? messages.reverse() : messages).map(mapAIMessage);
 }
 
 export async function getAIHistory(userId, limit = 20) {
@@ -574,12 +1841,31 @@ export async function getAIHistory(userId, limit = 20) {
 
 export async function clearAIHistory(userId) {
   await AIMessage.deleteMany({ user_id: userId });
+  await AIThread.deleteMany({ user_id: userId });
+}
+
+// Атомарно резервирует запрос к AI: счётчик увеличивается, только если лимит ещё не исчерпан
+// (limit = -1 — безлимит). Возвращает новое значение счётчика или null, если резервировать нельзя.
+export async function reserveAIRequest(userId, limit) {
+  const filter = { telegram_id: userId };
+  if (limit !== -1) {
+    filter.ai_requests_count = { $not: { $gte: limit } }; // подходит и документ без счётчика
+  }
+
+  const user = await User.findOneAndUpdate(
+    filter,
+    { $inc: { ai_requests_count: 1 } },
+    { new: true, projection: { ai_requests_count: 1 } }
+  ).lean();
+
+  return user ? user.ai_requests_count : null;
 }
 
-export async function incrementAIRequests(userId) {
+// Возвращает зарезервированный запрос, если обращение к модели не удалось
+export async function releaseAIRequest(userId) {
   await User.updateOne(
-    { telegram_id: userId },
-    { $inc: { ai_requests_count: 1 } }
+    { telegram_id: userId, ai_requests_count: { $gt: 0 } },
+    { $inc: { ai_requests_count: -1 } }
   );
 }
 
@@ -701,34 +1987,16 @@ export async function getExerciseRecords(telegramId) {
   for (const r of records) {
     result[r.exercise_name] = {
       weight: r.best_weight,
+      weightReps: r.best_weight_reps || 0,
       reps: r.best_reps,
       volume: r.best_volume,
+      e1rm: r.best_e1rm || 0,
+      repsAtWeight: r.reps_at_weight || [],
     };
   }
   return result;
 }
 
-export async function saveExerciseRecords(telegramId, records) {
-  // records is an object like { "Жим лёжа": { weight: 100, reps: 8 }, ... }
-  for (const [exerciseName, data] of Object.entries(records)) {
-    const volume = (data.weight || 0) * (data.reps || 0);
-
-    await ExerciseRecord.updateOne(
-      { telegram_id: telegramId, exercise_name: exerciseName },
-      {
-        $set: {
-          best_weight: data.weight || 0,
-          best_reps: data.reps || 0,
-          best_volume: volume,
-          updated_at: new Date(),
-        }
-      },
-      { upsert: true }
-    );
-  }
-  return true;
-}
-
 // ==========================================
 // NOTIFICATIONS (Last Seen News)
 // ==========================================
@@ -745,25 +2013,67 @@ export async function updateLastSeenNews(telegramId, newsId) {
 // ACCOUNT RESET (Admin)
 // ==========================================
 
+// Неопубликованные программы автора (личные, черновики, снятые с продажи) удаляются,
+// если их никто не покупал. Купленные архивируются, как в deleteProgram: покупатели сохраняют доступ.
+// Уже архивные программы не трогаем.
+async function removeUnpublishedPrograms(authorId) {
+  const programIds = await Program.distinct('id', {
+    author_id: authorId,
+    is_published: false,
+    is_archived: { $ne: true },
+  });
+  if (programIds.length === 0) return { deleted: 0, archived: 0 };
+
+  const purchasedIds = await Purchase.distinct('program_id', {
+    program_id: { $in: programIds },
+    telegram_id: { $ne: authorId },
+  });
+
+  const archived = await Program.updateMany(
+    { id: { $in: purchasedIds } },
+    { $set: { is_archived: true, is_published: false, archived_at: new Date() } }
+  );
+  const deleted = await Program.deleteMany({
+    id: { $in: programIds.filter(id => !purchasedIds.includes(id)) },
+  });
+  return { deleted: deleted.deletedCount, archived: archived.modifiedCount };
+}
+
 export async function resetUserAccount(telegramId) {
   // Удаляем все тренировки пользователя
   await WorkoutLog.deleteMany({ telegram_id: telegramId });
 
-  // Удаляем все личные программы пользователя
-  await Program.deleteMany({ author_id: telegramId, is_published: false });
+  // Удаляем неопубликованные программы пользователя
+  await removeUnpublishedPrograms(telegramId);
 
   // Удаляем все покупки
   await Purchase.deleteMany({ telegram_id: telegramId });
+  // Открытые заявки на возврат теряют смысл; решённые остаются как история движения денег
+  await PurchaseDispute.deleteMany({ telegram_id: telegramId, status: 'PENDING' });
 
   // Удаляем рекорды упражнений
   await ExerciseRecord.deleteMany({ telegram_id: telegramId });
+  await PersonalRecord.deleteMany({ telegram_id: telegramId });
+
+  // Удаляем прохождения программ
+  await Enrollment.deleteMany({ telegram_id: telegramId });
+
+  // Удаляем отзывы и пересчитываем рейтинг программ
+  const reviewedPrograms = await ProgramReview.distinct('program_id', { telegram_id: telegramId });
+  await ProgramReview.deleteMany({ telegram_id: telegramId });
+  for (const programId of reviewedPrograms) {
+    await refreshProgramRating(programId);
+  }
+
+  // Удаляем диалоги с AI-коучем
+  await clearAIHistory(telegramId);
 
-  // Сбрасываем баланс но СОХРАНЯЕМ роль!
+  // Сбрасываем баланс (через журнал) но СОХРАНЯЕМ роль!
+  await setUserBalance(telegramId, 0, { description: 'Сброс аккаунта' });
   await User.updateOne(
     { telegram_id: telegramId },
     {
       $set: {
-        balance: 0,
         last_seen_news_id: '',
         ai_requests_count: 0,
       }
@@ -777,28 +2087,238 @@ export async function resetUserAccount(telegramId) {
 // BALANCE
 // ==========================================
 
-export async function updateUserBalance(telegramId, amount) {
-  await User.updateOne(
+// Внешний счёт (CryptoBot, выплаты, комиссия без настроенного админа)
+export const EXTERNAL_ACCOUNT_ID = 0;
+
+const LEDGER_EPSILON = 0.005;
+
+export function createLedgerTxnId() {
+  return `txn_${Date.now()}_${Math.floor(Math.random() * 100000)}`;
+}
+
+function createLedgerEntryId() {
+  return `le_${Date.now()}_${Math.floor(Math.random() * 100000)}`;
+}
+
+// Записывает проводку пользователя и, для операций с внешним миром, зеркальную проводку внешнего счёта.
+// entry: { type, txnId, counterpartyId, referenceType, referenceId, description, external, session }
+async function writeLedgerEntries(telegramId, amount, balanceAfter, entry = {}) {
+  const txnId = entry.txnId || createLedgerTxnId();
+  const balanceBefore = balanceAfter - amount;
+  const session = entry.session || null;
+
+  // Первая проводка пользователя: фиксируем баланс, накопленный до появления журнала
+  if (Math.abs(balanceBefore) > LEDGER_EPSILON && !await LedgerEntry.exists({ telegram_id: telegramId }).session(session)) {
+    const openingTxnId = createLedgerTxnId();
+    await LedgerEntry.create([
+      {
+        id: createLedgerEntryId(),
+        txn_id: openingTxnId,
+        telegram_id: telegramId,
+        amount: balanceBefore,
+        balance_after: balanceBefore,
+        type: 'OPENING_BALANCE',
+        counterparty_id: EXTERNAL_ACCOUNT_ID,
+        description: 'Баланс до ведения журнала',
+      },
+      {
+        id: createLedgerEntryId(),
+        txn_id: openingTxnId,
+        telegram_id: EXTERNAL_ACCOUNT_ID,
+        amount: -balanceBefore,
+        type: 'OPENING_BALANCE',
+        counterparty_id: telegramId,
+        description: 'Баланс до ведения журнала',
+      },
+    ], { session });
+  }
+
+  const docs = [{
+    id: createLedgerEntryId(),
+    txn_id: txnId,
+    telegram_id: telegramId,
+    amount,
+    balance_after: balanceAfter,
+    type: entry.type || 'ADJUSTMENT',
+    counterparty_id: entry.counterpartyId ?? (entry.external ? EXTERNAL_ACCOUNT_ID : null),
+    reference_type: entry.referenceType || '',
+    reference_id: entry.referenceId != null ? String(entry.referenceId) : '',
+    description: entry.description || '',
+  }];
+
+  if (entry.external) {
+    docs.push({
+      ...docs[0],
+      id: createLedgerEntryId(),
+      telegram_id: EXTERNAL_ACCOUNT_ID,
+      amount: -amount,
+      balance_after: null,
+      counterparty_id: telegramId,
+    });
+  }
+
+  await LedgerEntry.create(docs, { session });
+  return txnId;
+}
+
+// Проводка только по внешнему счёту (например, доля платформы, когда ADMIN_TELEGRAM_ID не задан)
+export async function recordExternalLedgerEntry(amount, entry = {}) {
+  await LedgerEntry.create([{
+    id: createLedgerEntryId(),
+    txn_id: entry.txnId || createLedgerTxnId(),
+    telegram_id: EXTERNAL_ACCOUNT_ID,
+    amount,
+    balance_after: null,
+    type: entry.type || 'ADJUSTMENT',
+    counterparty_id: entry.counterpartyId ?? null,
+    reference_type: entry.referenceType || '',
+    reference_id: entry.referenceId != null ? String(entry.referenceId) : '',
+    description: entry.description || '',
+  }], { session: entry.session || null });
+  return true;
+}
+
+export async function updateUserBalance(telegramId, amount, entry = {}) {
+  const user = await User.findOneAndUpdate(
     { telegram_id: telegramId },
-    { $inc: { balance: amount } }
-  );
+    { $inc: { balance: amount } },
+    { new: true, projection: { balance: 1 }, session: entry.session || null }
+  ).lean();
+  if (!user) return false;
+
+  await writeLedgerEntries(telegramId, amount, user.balance, entry);
   return true;
 }
 
-export async function debitUserBalanceIfEnough(telegramId, amount) {
+export async function debitUserBalanceIfEnough(telegramId, amount, entry = {}) {
   if (!Number.isFinite(amount) || amount <= 0) return false;
-  const result = await User.updateOne(
+  const user = await User.findOneAndUpdate(
     { telegram_id: telegramId, balance: { $gte: amount } },
-    { $inc: { balance: -amount } }
-  );
-  const modified = result.modifiedCount ?? result.nModified ?? 0;
-  return modified > 0;
+    { $inc: { balance: -amount } },
+    { new: true, projection: { balance: 1 }, session: entry.session || null }
+  ).lean();
+  if (!user) return false;
+
+  await writeLedgerEntries(telegramId, -amount, user.balance, entry);
+  return true;
 }
 
-export async function setUserBalance(telegramId, balance) {
-  await User.updateOne(
+export async function setUserBalance(telegramId, balance, entry = {}) {
+  const previous = await User.findOneAndUpdate(
     { telegram_id: telegramId },
-    { $set: { balance: balance } }
-  );
+    { $set: { balance: balance } },
+    { new: false, projection: { balance: 1 }, session: entry.session || null }
+  ).lean();
+  if (!previous) return false;
+
+  const delta = balance - (previous.balance || 0);
+  if (Math.abs(delta) > LEDGER_EPSILON) {
+    await writeLedgerEntries(telegramId, delta, balance, { type: 'ADJUSTMENT', external: true, ...entry });
+  }
   return true;
 }
+
+// Начисление доли платформы: админу, либо на внешний счёт, если админ не настроен.
+// Отрицательная сумма — сторно ранее начисленной доли.
+export async function creditPlatformShare(amount, entry = {}) {
+  if (!amount) return false;
+  if (config.adminTelegramId) {
+    return updateUserBalance(config.adminTelegramId, amount, { type: 'PLATFORM_FEE', ...entry });
+  }
+  // Деньги из внешнего мира, которые никому не зачисляются, просто остаются снаружи
+  if (entry.external) return true;
+  return recordExternalLedgerEntry(amount, { type: 'PLATFORM_FEE', ...entry });
+}
+
+// ==========================================
+// LEDGER (выписка и сверка)
+// ==========================================
+
+// Курсор выписки: проводки одной транзакции пишутся в одну миллисекунду, поэтому к дате добавляется id
+export function getLedgerEntriesCursor(entry) {
+  return `${new Date(entry.createdAt).toISOString()}_${entry.id}`;
+}
+
+export function parseLedgerEntriesCursor(cursor) {
+  const separator = String(cursor).indexOf('_');
+  if (separator === -1) return null;
+
+  const createdAt = new Date(cursor.slice(0, separator));
+  const id = cursor.slice(separator + 1);
+  if (Number.isNaN(createdAt.getTime()) || !id) return null;
+  return { createdAt, id };
+}
+
+export async function getLedgerEntries(telegramId, { limit = 50, cursor } = {}) {
+  const query = { telegram_id: telegramId };
+  const after = cursor ? parseLedgerEntriesCursor(cursor) : null;
+  if (after) {
+    query.$or = [
+      { created_at: { $lt: after.createdAt } },
+      { created_at: after.createdAt, id: { $lt: after.id } },
+    ];
+  }
+
+  const entries = await LedgerEntry.find(query)
+    .sort({ created_at: -1, id: -1 })
+    .limit(limit)
+    .lean();
+
+  return entries.map(e => ({
+    id: e.id,
+    txnId: e.txn_id,
+    type: e.type,
+    amount: e.amount,
+    balanceAfter: e.balance_after,
+    counterpartyId: e.counterparty_id,
+    referenceType: e.reference_type,
+    referenceId: e.reference_id,
+    description: e.description,
+    createdAt: e.created_at,
+  }));
+}
+
+// Пересчитывает балансы из журнала и возвращает расхождения
+export async function reconcileBalances() {
+  const [ledgerTotals, users, unbalancedTxns] = await Promise.all([
+    LedgerEntry.aggregate([
+      { $match: { telegram_id: { $ne: EXTERNAL_ACCOUNT_ID } } },
+      { $group: { _id: '$telegram_id', total: { $sum: '$amount' }, entries: { $sum: 1 } } },
+    ]),
+    User.find({}, { telegram_id: 1, balance: 1 }).lean(),
+    LedgerEntry.aggregate([
+      { $group: { _id: '$txn_id', total: { $sum: '$amount' }, types: { $addToSet: '$type' } } },
+      { $match: { $or: [{ total: { $gt: LEDGER_EPSILON } }, { total: { $lt: -LEDGER_EPSILON } }] } },
+    ]),
+  ]);
+
+  const totalsByUser = new Map(ledgerTotals.map(t => [t._id, t]));
+  const mismatches = [];
+
+  for (const user of users) {
+    const stored = user.balance || 0;
+    const ledger = totalsByUser.get(user.telegram_id);
+    const ledgerBalance = ledger ? ledger.total : 0;
+    const difference = Math.round((stored - ledgerBalance) * 100) / 100;
+
+    if (Math.abs(difference) > LEDGER_EPSILON) {
+      mismatches.push({
+        telegramId: user.telegram_id,
+        storedBalance: stored,
+        ledgerBalance: Math.round(ledgerBalance * 100) / 100,
+        difference,
+        ledgerEntries: ledger ? ledger.entries : 0,
+      });
+    }
+  }
+
+  return {
+    checkedUsers: users.length,
+    mismatches,
+    unbalancedTransactions: unbalancedTxns.map(t => ({
+      txnId: t._id,
+      total: Math.round(t.total * 100) / 100,
+      types: t.types,
+    })),
+  };
+}
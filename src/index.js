@@ -1,13 +1,17 @@
 import express from 'express';
 import cors from 'cors';
 import { config } from './config.js';
-import { startBot } from './bot.js';
+import { bot, startBot } from './bot.js';
 import apiRouter from './routes/api.js';
 import { initCryptoPay } from './cryptoBot.js';
 import cryptoRouter from './routes/crypto.js';
 import contentRouter from './routes/content.js';
+import aiRouter from './routes/ai.js';
 
 import { WithdrawalRequest } from './database/models.js';
+import { recoverPendingPurchases } from './services/purchases.js';
+import { releaseExpiredDiscountReservations } from './services/discounts.js';
+import { setNotificationSender } from './services/notifications.js';
 
 const app = express();
 
@@ -23,6 +27,7 @@ app.use(cors({
     config.telegram.webappUrl,
   ],
   credentials: true,
+  exposedHeaders: ['X-Next-Cursor'], // курсор каталога GET /api/content/programs
 }));
 app.use(express.json({
   verify: (req, res, buf) => {
@@ -42,6 +47,8 @@ const RATE_LIMIT = 100; // запросов
 const RATE_WINDOW = 60000; // 1 минута
 const WITHDRAWAL_PROCESSING_TIMEOUT_MS = 10 * 60 * 1000; // 10 минут
 const WITHDRAWAL_PROCESSING_CHECK_INTERVAL_MS = 5 * 60 * 1000; // 5 минут
+const PURCHASE_RECOVERY_INTERVAL_MS = 60 * 1000; // 1 минута
+const DISCOUNT_RESERVATION_CHECK_INTERVAL_MS = 5 * 60 * 1000; // 5 минут
 
 app.use((req, res, next) => {
   const ip = req.ip || req.headers['x-forwarded-for'] || 'unknown';
@@ -77,6 +84,7 @@ setInterval(() => {
 app.use('/api', apiRouter);
 app.use('/api/crypto', cryptoRouter);
 app.use('/api/content', contentRouter);
+app.use('/api/ai', aiRouter);
 
 
 // Root endpoint
@@ -128,6 +136,30 @@ async function start() {
       }
     }, WITHDRAWAL_PROCESSING_CHECK_INTERVAL_MS);
 
+    // Дозавершение покупок, прерванных падением процесса
+    setInterval(async () => {
+      try {
+        const recovered = await recoverPendingPurchases();
+        if (recovered > 0) {
+          console.warn(`⚠️ Дозавершено покупок после сбоя: ${recovered}`);
+        }
+      } catch (error) {
+        console.error('❌ Ошибка восстановления покупок:', error);
+      }
+    }, PURCHASE_RECOVERY_INTERVAL_MS);
+
+    // Промокоды, зарезервированные под неоплаченные и истёкшие инвойсы CryptoBot
+    setInterval(async () => {
+      try {
+        const released = await releaseExpiredDiscountReservations();
+        if (released > 0) {
+          console.log(`🎟️ Снято резервов промокодов по истёкшим инвойсам: ${released}`);
+        }
+      } catch (error) {
+        console.error('❌ Ошибка снятия резервов промокодов:', error);
+      }
+    }, DISCOUNT_RESERVATION_CHECK_INTERVAL_MS);
+
     // Инициализация CryptoBot
     initCryptoPay(config.cryptoBot?.token);
 
@@ -139,6 +171,8 @@ async function start() {
 
     // Запуск Telegram бота
     if (config.telegram.botToken) {
+      // Уведомления из сервисов отправляются через Bot API и без запущенного polling
+      setNotificationSender((telegramId, text, extra) => bot.telegram.sendMessage(telegramId, text, extra));
       try {
         await startBot();
       } catch (botError) {
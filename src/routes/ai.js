@@ -1,22 +1,54 @@
+// AI Coach Routes - MongoDB Version
 import { Router } from 'express';
-import { getDatabase } from '../database/mock-db.js';
-import { config } from '../config.js';
-import OpenAI from 'openai';
 import { z } from 'zod';
+import { config } from '../config.js';
+import { authMiddleware } from './api.js';
+import {
+  createProgram,
+  getWorkoutLogs,
+  getExerciseRecords,
+  saveAIMessage,
+  getAIHistory,
+  clearAIHistory,
+  createAIThread,
+  getAIThreads,
+  getAIThread,
+  getAIThreadMessages,
+  renameAIThread,
+  deleteAIThread,
+} from '../database/users.js';
+import { getLLMProvider } from '../services/llm.js';
+import { generateProgram, programGenerationSchema } from '../services/programGenerator.js';
+import { buildThreadHistory } from '../services/aiThreads.js';
+import { releaseAIQuota, reserveAIQuota } from '../services/aiQuota.js';
+import { formatZodError } from '../schemas/training.js';
 
 const router = Router();
 
-// Инициализация OpenAI
-const openai = config.openai.apiKey 
-  ? new OpenAI({ apiKey: config.openai.apiKey })
-  : null;
+// Провайдер LLM (OpenAI, совместимый сервер или заглушка) — см. src/services/llm.js
+const llm = getLLMProvider();
+
+const completionOptions = {
+  maxTokens: config.openai.maxTokens,
+  temperature: config.openai.temperature,
+};
 
 // Валидация запроса
 const aiQuerySchema = z.object({
-  user_id: z.number(),
-  message: z.string().min(1).max(500),
+  message: z.string().trim().min(1).max(500),
+  threadId: z.string().min(1).max(100).optional(),
+});
+
+const threadTitleSchema = z.object({
+  title: z.string().trim().min(1).max(100),
 });
 
+const CONTEXT_WORKOUTS_LIMIT = 5;
+const CONTEXT_RECORDS_LIMIT = 10;
+const THREAD_TITLE_LENGTH = 50;
+const THREAD_MESSAGES_LIMIT = 100;
+const FALLBACK_RESPONSE = 'Извините, не могу ответить.';
+
 // Системный промпт для AI
 const SYSTEM_PROMPT = `Ты — персональный фитнес-коуч. У тебя есть доступ к тренировочному дневнику пользователя.
 
@@ -30,202 +62,401 @@ const SYSTEM_PROMPT = `Ты — персональный фитнес-коуч.
 
 ФОКУС: прогрессия нагрузок, восстановление, техника выполнения упражнений.`;
 
-// Функция для подготовки контекста из тренировок
-function prepareWorkoutContext(userId) {
-  const db = getDatabase();
-  
-  // Получаем последние 5 тренировок
-  const recentWorkouts = db.prepare(`
-    SELECT w.date, w.duration_minutes, w.notes,
-           e.exercise_name, e.muscle_group, e.sets_data
-    FROM workouts w
-    LEFT JOIN exercises e ON e.workout_id = w.id
-    WHERE w.user_id = ?
-    ORDER BY w.date DESC
-    LIMIT 5
-  `).all(userId);
-  
+// Контекст из дневника тренировок и рекордов пользователя
+async function prepareWorkoutContext(telegramId) {
+  const [recentWorkouts, records] = await Promise.all([
+    getWorkoutLogs(telegramId, { limit: CONTEXT_WORKOUTS_LIMIT }),
+    getExerciseRecords(telegramId),
+  ]);
+
   if (recentWorkouts.length === 0) {
     return 'У пользователя пока нет записей тренировок.';
   }
-  
-  // Формируем краткое описание
-  const workoutsByDate = recentWorkouts.reduce((acc, row) => {
-    if (!acc[row.date]) {
-      acc[row.date] = {
-        duration: row.duration_minutes,
-        notes: row.notes,
-        exercises: [],
-      };
+
+  let context = 'ПОСЛЕДНИЕ ТРЕНИРОВКИ:\n';
+  for (const workout of recentWorkouts) {
+    const date = new Date(workout.completedAt).toISOString().slice(0, 10);
+    context += `\n${date} — ${workout.workoutTitle} (${workout.duration || '?'} мин):\n`;
+
+    for (const exercise of workout.exercises || []) {
+      const sets = Array.isArray(exercise.sets) ? exercise.sets.filter(s => s.completed !== false) : [];
+      const maxWeight = Math.max(0, ...sets.map(s => s.weight || 0));
+      context += `- ${exercise.name}: ${sets.length} подходов, макс вес ${maxWeight}кг\n`;
     }
-    if (row.exercise_name) {
-      const sets = JSON.parse(row.sets_data);
-      acc[row.date].exercises.push({
-        name: row.exercise_name,
-        muscle_group: row.muscle_group,
-        sets: sets.length,
-        max_weight: Math.max(...sets.map((s) => s.weight)),
-      });
+    if (workout.notes) {
+      context += `Заметки: ${workout.notes}\n`;
     }
-    return acc;
-  }, {});
-  
-  let context = 'ПОСЛЕДНИЕ ТРЕНИРОВКИ:\n';
-  for (const [date, data] of Object.entries(workoutsByDate)) {
-    context += `\n${date} (${data.duration || '?'} мин):\n`;
-    data.exercises.forEach((ex) => {
-      context += `- ${ex.name}: ${ex.sets} подходов, макс вес ${ex.max_weight}кг\n`;
-    });
   }
-  
+
+  const topRecords = Object.entries(records)
+    .sort(([, a], [, b]) => (b.e1rm || b.weight) - (a.e1rm || a.weight))
+    .slice(0, CONTEXT_RECORDS_LIMIT);
+
+  if (topRecords.length > 0) {
+    context += '\nЛИЧНЫЕ РЕКОРДЫ:\n';
+    for (const [name, record] of topRecords) {
+      context += `- ${name}: ${record.weight}кг × ${record.weightReps || record.reps}`;
+      context += record.e1rm ? `, расчётный 1ПМ ${record.e1rm}кг\n` : '\n';
+    }
+  }
+
   return context;
 }
 
-// Проверка лимита запросов
-function checkAiRateLimit(userId) {
-  const db = getDatabase();
-  
-  const user = db.prepare(`
-    SELECT subscription_tier, ai_requests_count, ai_requests_reset_date
-    FROM users WHERE telegram_id = ?
-  `).get(userId);
-  
-  if (!user) {
-    return { allowed: false, remaining: 0 };
-  }
-  
-  // Проверяем, нужно ли сбросить счётчик (новый месяц)
-  const now = new Date();
-  const resetDate = user.ai_requests_reset_date 
-    ? new Date(user.ai_requests_reset_date)
-    : null;
-  
-  if (!resetDate || now.getMonth() !== resetDate.getMonth()) {
-    // Сбрасываем счётчик
-    db.prepare(`
-      UPDATE users 
-      SET ai_requests_count = 0, ai_requests_reset_date = ?
-      WHERE telegram_id = ?
-    `).run(now.toISOString(), userId);
-    
-    user.ai_requests_count = 0;
-  }
-  
-  // Проверяем лимит
-  const limit = user.subscription_tier === 'pro' 
-    ? config.rateLimit.proTierAiRequests 
-    : config.rateLimit.freeTierAiRequests;
-  
-  if (limit === -1) {
-    return { allowed: true, remaining: -1 }; // Безлимит
-  }
-  
-  const remaining = limit - user.ai_requests_count;
-  return { allowed: remaining > 0, remaining };
+function sendRateLimitExceeded(res) {
+  res.status(429).json({
+    error: 'AI request limit exceeded. Upgrade to Pro for unlimited requests.',
+    remaining: 0,
+  });
+}
+
+// Сообщения для LLM: промпт, контекст дневника, история диалога (в пределах бюджета токенов) и новый вопрос
+async function buildChatMessages(telegramId, message, thread) {
+  const workoutContext = await prepareWorkoutContext(telegramId);
+  const prompt = [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'system', content: workoutContext },
+  ];
+  const question = { role: 'user', content: message };
+  const chatHistory = thread ? await buildThreadHistory(llm, thread, [...prompt, question]) : [];
+
+  return [...prompt, ...chatHistory, question];
+}
+
+// Диалог текущего пользователя; чужой или несуществующий — 404
+async function loadOwnThread(req, res, threadId) {
+  const thread = await getAIThread(threadId);
+  if (!thread || thread.userId !== req.user.telegramId) {
+    res.status(404).json({ error: 'Диалог не найден' });
+    return null;
+  }
+  return thread;
+}
+
+// Общие проверки чата: сервис настроен, сообщение валидно, диалог свой, лимит не исчерпан.
+// Возвращает { message, thread, rateLimit } с уже зарезервированным запросом
+// или отправляет ошибку и возвращает null.
+// Без threadId диалог создаётся после первого успешного ответа (thread = null).
+async function prepareChatRequest(req, res, input) {
+  if (!llm) {
+    res.status(503).json({
+      error: 'AI service not configured. Please set OPENAI_API_KEY or LLM_PROVIDER.'
+    });
+    return null;
+  }
+
+  const parsed = aiQuerySchema.safeParse(input);
+  if (!parsed.success) {
+    res.status(400).json({ error: 'Сообщение должно содержать от 1 до 500 символов' });
+    return null;
+  }
+
+  let thread = null;
+  if (parsed.data.threadId) {
+    thread = await loadOwnThread(req, res, parsed.data.threadId);
+    if (!thread) return null;
+  }
+
+  // Резервируем запрос из лимита
+  const rateLimit = await reserveAIQuota(req.user.telegramId);
+  if (!rateLimit.allowed) {
+    sendRateLimitExceeded(res);
+    return null;
+  }
+
+  return { message: parsed.data.message, thread, rateLimit };
+}
+
+// Сохраняем диалог после успешного ответа. Возвращает { threadId, remaining }.
+async function completeChat(telegramId, chat, aiResponse, usage) {
+  const threadId = chat.thread?.id
+    || (await createAIThread(telegramId, chat.message.slice(0, THREAD_TITLE_LENGTH))).id;
+
+  await saveAIMessage(telegramId, 'user', chat.message, { threadId, provider: llm.name, model: llm.model });
+  await saveAIMessage(telegramId, 'assistant', aiResponse, { threadId, provider: llm.name, model: llm.model, usage });
+
+  return { threadId, remaining: chat.rateLimit.remaining };
 }
 
 // POST /api/ai/chat - Отправить сообщение AI
-router.post('/chat', async (req, res) => {
+router.post('/chat', authMiddleware, async (req, res) => {
   try {
-    if (!openai) {
-      return res.status(503).json({ 
-        error: 'AI service not configured. Please set OPENAI_API_KEY.' 
+    const chat = await prepareChatRequest(req, res, req.body);
+    if (!chat) return;
+
+    const telegramId = req.user.telegramId;
+    let completion;
+    try {
+      const messages = await buildChatMessages(telegramId, chat.message, chat.thread);
+      completion = await llm.complete(messages, completionOptions);
+    } catch (error) {
+      await releaseAIQuota(telegramId);
+      throw error;
+    }
+
+    const aiResponse = completion.content || FALLBACK_RESPONSE;
+    const { threadId, remaining } = await completeChat(telegramId, chat, aiResponse, completion.usage);
+
+    res.json({
+      success: true,
+      response: aiResponse,
+      threadId,
+      remaining,
+    });
+  } catch (error) {
+    console.error('Error in AI chat:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==========================================
+// STREAMING (Server-Sent Events)
+// ==========================================
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// События: token { content } по мере генерации, done { response, threadId, remaining } в конце,
+// error { error } при сбое после начала стрима
+async function streamChat(req, res, input) {
+  const chat = await prepareChatRequest(req, res, input);
+  if (!chat) return;
+
+  const telegramId = req.user.telegramId;
+  let messages;
+  try {
+    messages = await buildChatMessages(telegramId, chat.message, chat.thread);
+  } catch (error) {
+    await releaseAIQuota(telegramId);
+    throw error;
+  }
+
+  // Клиент закрыл соединение — прерываем запрос к LLM, ничего не сохраняем и резерв возвращаем
+  const controller = new AbortController();
+  let finished = false;
+  res.on('close', () => {
+    if (!finished) controller.abort();
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // отключает буферизацию в nginx-прокси
+  });
+
+  try {
+    const stream = llm.stream(messages, { ...completionOptions, signal: controller.signal });
+    for await (const chunk of stream) {
+      sendEvent(res, 'token', { content: chunk.content });
+    }
+    finished = true;
+
+    const response = stream.result.content || FALLBACK_RESPONSE;
+    const { threadId, remaining } = await completeChat(telegramId, chat, response, stream.result.usage);
+
+    sendEvent(res, 'done', { response, threadId, remaining });
+    res.end();
+  } catch (error) {
+    // Модель не дошла до конца ответа — запрос не засчитывается
+    if (!finished) {
+      await releaseAIQuota(telegramId).catch(err => console.error('Error releasing AI request:', err));
+    }
+    finished = true;
+    if (controller.signal.aborted) {
+      console.log(`AI stream aborted by client ${telegramId}`);
+      return;
+    }
+    console.error('Error in AI chat stream:', error);
+    sendEvent(res, 'error', { error: 'Internal server error' });
+    res.end();
+  }
+}
+
+// GET /api/ai/chat/stream?message=&threadId= - Стриминг ответа AI.
+// initData передаётся только в заголовке X-Telegram-Init-Data (не в URL, чтобы не попадать в логи),
+// поэтому поток читается через fetch, а не EventSource.
+router.get('/chat/stream', authMiddleware, async (req, res) => {
+  try {
+    await streamChat(req, res, { message: req.query.message, threadId: req.query.threadId });
+  } catch (error) {
+    console.error('Error in AI chat stream:', error);
+    if (!res.headersSent) res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/ai/chat/stream - Стриминг ответа AI (для fetch)
+router.post('/chat/stream', authMiddleware, async (req, res) => {
+  try {
+    await streamChat(req, res, req.body);
+  } catch (error) {
+    console.error('Error in AI chat stream:', error);
+    if (!res.headersSent) res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==========================================
+// ГЕНЕРАЦИЯ ПРОГРАММ
+// ==========================================
+
+// POST /api/ai/programs/generate - Сгенерировать личную программу
+// body: { goals, daysPerWeek, equipment, experience, injuries, durationWeeks }
+router.post('/programs/generate', authMiddleware, async (req, res) => {
+  try {
+    if (!llm) {
+      return res.status(503).json({
+        error: 'AI service not configured. Please set OPENAI_API_KEY or LLM_PROVIDER.'
       });
     }
-    
-    const data = aiQuerySchema.parse(req.body);
-    
-    // Проверяем rate limit
-    const rateLimit = checkAiRateLimit(data.user_id);
+
+    const parsed = programGenerationSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json(formatZodError(parsed.error));
+    }
+
+    const telegramId = req.user.telegramId;
+
+    // Генерация расходует тот же лимит, что и чат
+    const rateLimit = await reserveAIQuota(telegramId);
     if (!rateLimit.allowed) {
-      return res.status(429).json({ 
-        error: 'AI request limit exceeded. Upgrade to Pro for unlimited requests.',
-        remaining: 0,
-      });
+      return sendRateLimitExceeded(res);
     }
-    
-    // Подготавливаем контекст
-    const workoutContext = prepareWorkoutContext(data.user_id);
-    
-    // Получаем историю чата (последние 4 сообщения)
-    const db = getDatabase();
-    const chatHistory = db.prepare(`
-      SELECT role, content FROM ai_messages
-      WHERE user_id = ?
-      ORDER BY created_at DESC
-      LIMIT 4
-    `).all(data.user_id);
-    
-    // Формируем сообщения для OpenAI
-    const messages = [
-      { role: 'system', content: SYSTEM_PROMPT },
-      { role: 'system', content: workoutContext },
-      ...chatHistory.reverse().map(msg => ({
-        role: msg.role,
-        content: msg.content,
-      })),
-      { role: 'user', content: data.message },
-    ];
-    
-    // Запрос к OpenAI
-    const completion = await openai.chat.completions.create({
-      model: config.openai.model,
-      messages,
-      max_tokens: config.openai.maxTokens,
-      temperature: config.openai.temperature,
+
+    let generated;
+    try {
+      generated = await generateProgram(llm, parsed.data);
+    } catch (error) {
+      await releaseAIQuota(telegramId);
+      throw error;
+    }
+
+    const program = await createProgram(telegramId, {
+      ...generated.program,
+      category: generated.program.category || 'ai',
+      price: 0,
+      isPersonal: true,
+      isPublished: false,
     });
-    
-    const aiResponse = completion.choices[0]?.message?.content || 'Извините, не могу ответить.';
-    
-    // Сохраняем сообщения в БД
-    const saveMessage = db.prepare(`
-      INSERT INTO ai_messages (user_id, role, content)
-      VALUES (?, ?, ?)
-    `);
-    
-    saveMessage.run(data.user_id, 'user', data.message);
-    saveMessage.run(data.user_id, 'assistant', aiResponse);
-    
-    // Увеличиваем счётчик запросов
-    db.prepare(`
-      UPDATE users 
-      SET ai_requests_count = ai_requests_count + 1
-      WHERE telegram_id = ?
-    `).run(data.user_id);
-    
-    res.json({
-      response: aiResponse,
-      remaining: rateLimit.remaining - 1,
+
+    res.status(201).json({
+      success: true,
+      program,
+      attempts: generated.attempts,
+      remaining: rateLimit.remaining,
     });
-    
   } catch (error) {
-    if (error instanceof z.ZodError) {
-      return res.status(400).json({ error: error.errors });
+    if (error.code === 'generation_failed') {
+      console.error('AI program generation failed:', error.message);
+      return res.status(502).json({ error: 'Не удалось сгенерировать программу. Попробуйте ещё раз.' });
     }
-    console.error('Error in AI chat:', error);
+    console.error('Error generating program:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==========================================
+// ДИАЛОГИ
+// ==========================================
+
+// GET /api/ai/threads - Диалоги текущего пользователя, свежие сверху
+router.get('/threads', authMiddleware, async (req, res) => {
+  try {
+    const threads = await getAIThreads(req.user.telegramId);
+    res.json({ success: true, threads });
+  } catch (error) {
+    console.error('Error fetching AI threads:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/ai/threads - Новый пустой диалог
+router.post('/threads', authMiddleware, async (req, res) => {
+  try {
+    const parsed = threadTitleSchema.partial().safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json(formatZodError(parsed.error));
+    }
+
+    const thread = await createAIThread(req.user.telegramId, parsed.data.title);
+    res.json({ success: true, thread });
+  } catch (error) {
+    console.error('Error creating AI thread:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/ai/threads/:id - Диалог с последними сообщениями
+router.get('/threads/:id', authMiddleware, async (req, res) => {
+  try {
+    const thread = await loadOwnThread(req, res, req.params.id);
+    if (!thread) return;
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || THREAD_MESSAGES_LIMIT, 1), THREAD_MESSAGES_LIMIT);
+    const messages = await getAIThreadMessages(thread.id, { limit });
+    const { userId, summary, summarizedUntil, ...publicThread } = thread;
+
+    res.json({ success: true, thread: publicThread, messages });
+  } catch (error) {
+    console.error('Error fetching AI thread:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// GET /api/ai/history/:user_id - Получить историю чата
-router.get('/history/:user_id', (req, res) => {
+// PUT /api/ai/threads/:id - Переименовать диалог
+router.put('/threads/:id', authMiddleware, async (req, res) => {
   try {
-    const userId = parseInt(req.params.user_id);
-    const limit = parseInt(req.query.limit) || 20;
-    const db = getDatabase();
-    
-    const messages = db.prepare(`
-      SELECT * FROM ai_messages
-      WHERE user_id = ?
-      ORDER BY created_at DESC
-      LIMIT ?
-    `).all(userId, limit);
-    
-    res.json(messages.reverse());
+    const parsed = threadTitleSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json(formatZodError(parsed.error));
+    }
+
+    const thread = await loadOwnThread(req, res, req.params.id);
+    if (!thread) return;
+
+    const updated = await renameAIThread(thread.id, parsed.data.title);
+    res.json({ success: true, thread: updated });
+  } catch (error) {
+    console.error('Error renaming AI thread:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// DELETE /api/ai/threads/:id - Удалить диалог вместе с сообщениями
+router.delete('/threads/:id', authMiddleware, async (req, res) => {
+  try {
+    const thread = await loadOwnThread(req, res, req.params.id);
+    if (!thread) return;
+
+    await deleteAIThread(thread.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting AI thread:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/ai/history - История чата текущего пользователя
+router.get('/history', authMiddleware, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const messages = await getAIHistory(req.user.telegramId, limit);
+    res.json({ success: true, messages });
   } catch (error) {
     console.error('Error fetching AI history:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// DELETE /api/ai/history - Очистить историю чата (все диалоги)
+router.delete('/history', authMiddleware, async (req, res) => {
+  try {
+    await clearAIHistory(req.user.telegramId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error clearing AI history:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 export default router;
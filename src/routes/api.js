@@ -17,28 +17,121 @@ import {
   getProgram,
   updateProgram,
   deleteProgram,
-  getPublishedPrograms,
+  searchPublishedPrograms,
   getPersonalPrograms,
   getTrainerPrograms,
-  createWorkoutLog,
+  getTrainers,
+  getTrainerProfile,
+  updateTrainerProfile,
+  isFollowingTrainer,
+  followTrainer,
+  unfollowTrainer,
   getWorkoutLogs,
+  getWorkoutLog,
+  updateWorkoutLog,
+  deleteWorkoutLog,
+  getWorkoutLogsCursor,
+  parseWorkoutLogsCursor,
   getWorkoutStats,
   purchaseProgram,
   hasPurchased,
+  getPurchase,
+  getPurchasedProgramIds,
+  upgradePurchasedProgram,
   getPurchasedPrograms,
+  getProgramVersions,
+  getProgramForBuyer,
   getExerciseRecords,
-  saveExerciseRecords,
+  getReviewEligibility,
+  upsertProgramReview,
+  getProgramReview,
+  getProgramReviews,
+  getProgramRatingDistribution,
+  setReviewReply,
+  deleteReviewReply,
+  setReviewHidden,
+  getUserPurchaseDisputes,
+  getPurchaseDisputes,
+  createBundle,
+  getBundle,
+  updateBundle,
+  getPublishedBundles,
+  getTrainerBundles,
+  createEnrollment,
+  getEnrollment,
+  getEnrollments,
+  getCurrentEnrollment,
+  getActiveEnrollmentForProgram,
+  pauseEnrollment,
+  resumeEnrollment,
   updateLastSeenNews,
   resetUserAccount,
-  updateUserBalance,
-  debitUserBalanceIfEnough,
+  getLedgerEntries,
+  getLedgerEntriesCursor,
+  parseLedgerEntriesCursor,
+  reconcileBalances,
 } from '../database/users.js';
 import { Settings, User } from '../database/models.js';
+import { purchaseWithBalance, purchaseBundleWithBalance } from '../services/purchases.js';
+import {
+  validateBundlePrograms,
+  validateBundlePrice,
+  checkBundlePurchase,
+  getBundleDetails,
+} from '../services/bundles.js';
+import { quoteProgramPrice, getTrainerDiscounts, createDiscount, updateDiscount } from '../services/discounts.js';
+import { approvePurchaseDispute, declinePurchaseDispute, openPurchaseDispute } from '../services/disputes.js';
+import { diffProgramVersions } from '../services/programVersions.js';
+import {
+  rebuildExerciseRecords,
+  getExerciseNames,
+  getPersonalRecordHistory,
+} from '../services/personalRecords.js';
+import { scheduleWorkoutReview, getWorkoutReview, haveWorkingSetsChanged } from '../services/workoutReview.js';
+import { logWorkout } from '../services/workoutLogs.js';
+import { getWorkoutAnalytics, ANALYTICS_GROUP_BY } from '../services/workoutAnalytics.js';
+import { planTodayWorkout } from '../services/progression.js';
+import { buildProgramPreview } from '../services/programPreview.js';
+import { getTrainerSalesReport, exportTrainerSalesCsv, SALES_GROUP_BY } from '../services/salesReport.js';
+import { getEffectiveStart, getEnrollmentOverview, resolveEnrollmentDay } from '../services/enrollments.js';
+import {
+  isValidPercent,
+  getDefaultCommissionPercent,
+  setDefaultCommissionPercent,
+  getTrainerCommissionPercents,
+  setTrainerCommissionPercent,
+  setProgramRevenueShare,
+  getCommissionPromotions,
+  addCommissionPromotion,
+  removeCommissionPromotion,
+} from '../services/revenueShare.js';
+import {
+  programCreateSchema,
+  programUpdateSchema,
+  workoutLogSchema,
+  workoutLogUpdateSchema,
+  enrollmentCreateSchema,
+  programSearchQuerySchema,
+  workoutHistoryQuerySchema,
+  formatZodError,
+} from '../schemas/training.js';
+import { reportPeriodQuerySchema } from '../schemas/reports.js';
+import { bundleCreateSchema, bundleUpdateSchema } from '../schemas/bundles.js';
+import { discountCreateSchema, discountUpdateSchema } from '../schemas/discounts.js';
+import {
+  disputeCreateSchema,
+  disputeResolveSchema,
+  DISPUTE_STATUSES,
+} from '../schemas/disputes.js';
+import { trainerProfileUpdateSchema } from '../schemas/trainerProfile.js';
+import {
+  programReviewSchema,
+  reviewReplySchema,
+  reviewHideSchema,
+} from '../schemas/reviews.js';
 
 const router = express.Router();
 
-const roundMoney = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
-
 // ==========================================
 // MIDDLEWARE: Валидация Telegram initData с HMAC-SHA256
 // ==========================================
@@ -207,6 +300,14 @@ function requireTrainer(req, res, next) {
   next();
 }
 
+// Middleware: Проверка роли администратора
+function requireAdmin(req, res, next) {
+  if (req.user.role !== 'ADMIN') {
+    return res.status(403).json({ error: 'Доступ запрещён' });
+  }
+  next();
+}
+
 // Экспортируем хелперы для использования в других файлах
 export { hasRole, hasAnyRole };
 
@@ -235,7 +336,7 @@ router.get('/user/me', authMiddleware, async (req, res) => {
 // POST /api/user/update - Обновить профиль
 router.post('/user/update', authMiddleware, async (req, res) => {
   try {
-    const { displayName, avatarUrl } = req.body;
+    const { displayName, avatarUrl, workoutReviewPush } = req.body;
 
     // Валидация displayName
     if (displayName !== undefined) {
@@ -258,10 +359,15 @@ router.post('/user/update', authMiddleware, async (req, res) => {
       }
     }
 
+    if (workoutReviewPush !== undefined && typeof workoutReviewPush !== 'boolean') {
+      return res.status(400).json({ error: 'workoutReviewPush должен быть true или false' });
+    }
+
     // Обновляем только переданные поля
     const updateData = {};
     if (displayName !== undefined) updateData.display_name = displayName.trim();
     if (avatarUrl !== undefined) updateData.avatar_url = avatarUrl;
+    if (workoutReviewPush !== undefined) updateData.workout_review_push = workoutReviewPush;
 
     if (Object.keys(updateData).length > 0) {
       await User.updateOne(
@@ -324,6 +430,51 @@ router.post('/admin/reset-account', authMiddleware, async (req, res) => {
   }
 });
 
+// GET /api/admin/ledger/reconcile - Сверка балансов с журналом (только админ)
+router.get('/admin/ledger/reconcile', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const report = await reconcileBalances();
+    if (report.mismatches.length > 0 || report.unbalancedTransactions.length > 0) {
+      console.warn(`⚠️ Ledger reconcile: ${report.mismatches.length} balance mismatches, ${report.unbalancedTransactions.length} unbalanced transactions`);
+    }
+
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('Error reconciling ledger:', error);
+    res.status(500).json({ error: 'Ошибка сверки' });
+  }
+});
+
+// ==========================================
+// BALANCE API
+// ==========================================
+
+// GET /api/balance/transactions?limit=&cursor= - Выписка по балансу
+router.get('/balance/transactions', authMiddleware, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const cursor = typeof req.query.cursor === 'string' ? req.query.cursor : null;
+    if (req.query.cursor !== undefined && !(cursor && parseLedgerEntriesCursor(cursor))) {
+      return res.status(400).json({ error: 'Некорректный параметр cursor' });
+    }
+
+    const transactions = await getLedgerEntries(req.user.telegramId, { limit, cursor });
+    const nextCursor = transactions.length === limit
+      ? getLedgerEntriesCursor(transactions[transactions.length - 1])
+      : null;
+
+    res.json({
+      success: true,
+      balance: req.user.balance,
+      transactions,
+      nextCursor,
+    });
+  } catch (error) {
+    console.error('Error getting balance transactions:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
 // ==========================================
 // GLOBAL SETTINGS API
 // ==========================================
@@ -398,6 +549,154 @@ router.post('/settings/new-year-theme', authMiddleware, async (req, res) => {
   }
 });
 
+// ==========================================
+// COMMISSIONS API (распределение выручки, только админ)
+// ==========================================
+
+// GET /api/admin/commissions - Текущие ставки и промо-акции
+router.get('/admin/commissions', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const [defaultPercent, trainers, promotions] = await Promise.all([
+      getDefaultCommissionPercent(),
+      getTrainerCommissionPercents(),
+      getCommissionPromotions(),
+    ]);
+    res.json({ success: true, defaultPercent, trainers, promotions });
+  } catch (error) {
+    console.error('Error getting commissions:', error);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// PUT /api/admin/commissions/default - Общая ставка платформы
+router.put('/admin/commissions/default', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const percent = Number(req.body.percent);
+    if (!isValidPercent(percent)) {
+      return res.status(400).json({ error: 'Некорректное значение комиссии' });
+    }
+
+    await setDefaultCommissionPercent(percent);
+    console.log(`💸 ${req.user.telegramId} set default commission to ${percent}%`);
+    res.json({ success: true, percent });
+  } catch (error) {
+    console.error('Error setting default commission:', error);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// PUT /api/admin/commissions/trainers/:telegramId - Ставка тренера (percent: null — снять)
+router.put('/admin/commissions/trainers/:telegramId', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const trainerId = parseInt(req.params.telegramId);
+    if (isNaN(trainerId)) {
+      return res.status(400).json({ error: 'Telegram ID должен быть числом' });
+    }
+
+    const percent = req.body.percent === null ? null : Number(req.body.percent);
+    if (percent !== null && !isValidPercent(percent)) {
+      return res.status(400).json({ error: 'Некорректное значение комиссии' });
+    }
+
+    await setTrainerCommissionPercent(trainerId, percent);
+    console.log(`💸 ${req.user.telegramId} set commission for trainer ${trainerId} to ${percent}`);
+    res.json({ success: true, trainerId, percent });
+  } catch (error) {
+    console.error('Error setting trainer commission:', error);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// PUT /api/admin/commissions/programs/:id - Ставка программы и реферальная доля
+router.put('/admin/commissions/programs/:id', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { percent, referralTelegramId, referralPercent } = req.body;
+    const updates = {};
+
+    if (percent !== undefined) {
+      if (percent !== null && !isValidPercent(Number(percent))) {
+        return res.status(400).json({ error: 'Некорректное значение комиссии' });
+      }
+      updates.commissionPercent = percent === null ? null : Number(percent);
+    }
+    if (referralTelegramId !== undefined) {
+      if (referralTelegramId !== null && isNaN(parseInt(referralTelegramId))) {
+        return res.status(400).json({ error: 'Telegram ID должен быть числом' });
+      }
+      updates.referralTelegramId = referralTelegramId === null ? null : parseInt(referralTelegramId);
+      // Доля несуществующему пользователю не могла бы быть начислена — покупки программы падали бы
+      if (updates.referralTelegramId !== null && !await getUser(updates.referralTelegramId)) {
+        return res.status(400).json({ error: 'Пользователь для реферальной доли не найден' });
+      }
+    }
+    if (referralPercent !== undefined) {
+      if (!isValidPercent(Number(referralPercent))) {
+        return res.status(400).json({ error: 'Некорректная реферальная доля' });
+      }
+      updates.referralPercent = Number(referralPercent);
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Нет изменений' });
+    }
+
+    const found = await setProgramRevenueShare(req.params.id, updates);
+    if (!found) {
+      return res.status(404).json({ error: 'Программа не найдена' });
+    }
+
+    console.log(`💸 ${req.user.telegramId} updated revenue share of program ${req.params.id}`);
+    res.json({ success: true, programId: req.params.id, ...updates });
+  } catch (error) {
+    console.error('Error setting program commission:', error);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// POST /api/admin/commissions/promotions - Промо-период с пониженной (нулевой) комиссией
+router.post('/admin/commissions/promotions', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { title, percent = 0, startsAt, endsAt, trainerId, programId } = req.body;
+    const starts = new Date(startsAt);
+    const ends = new Date(endsAt);
+
+    if (Number.isNaN(starts.getTime()) || Number.isNaN(ends.getTime()) || ends <= starts) {
+      return res.status(400).json({ error: 'Некорректный период акции' });
+    }
+    if (!isValidPercent(Number(percent))) {
+      return res.status(400).json({ error: 'Некорректное значение комиссии' });
+    }
+
+    const promotion = await addCommissionPromotion({
+      title,
+      percent: Number(percent),
+      startsAt: starts,
+      endsAt: ends,
+      trainerId: trainerId ? parseInt(trainerId) : null,
+      programId: programId || null,
+    });
+
+    res.status(201).json({ success: true, promotion });
+  } catch (error) {
+    console.error('Error creating commission promotion:', error);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
+// DELETE /api/admin/commissions/promotions/:id - Удалить промо-акцию
+router.delete('/admin/commissions/promotions/:id', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const removed = await removeCommissionPromotion(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Акция не найдена' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing commission promotion:', error);
+    res.status(500).json({ error: 'Ошибка сервера' });
+  }
+});
+
 // ==========================================
 // TRAINER REQUEST API (заявки на тренера)
 // ==========================================
@@ -504,6 +803,76 @@ router.post('/moderator/requests/:id/reject', authMiddleware, requireModerator,
   });
 });
 
+// GET /api/moderator/disputes?status= - Заявки на возврат (по умолчанию — нерешённые)
+router.get('/moderator/disputes', authMiddleware, requireModerator, async (req, res) => {
+  const { status } = req.query;
+  if (status && !DISPUTE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: 'Некорректный статус' });
+  }
+
+  try {
+    const disputes = await getPurchaseDisputes({ status });
+    const programs = new Map();
+    const enriched = await Promise.all(disputes.map(async (d) => {
+      if (!programs.has(d.programId)) programs.set(d.programId, getProgram(d.programId));
+      const [user, program] = await Promise.all([getUser(d.telegramId), programs.get(d.programId)]);
+      return {
+        ...d,
+        user: user ? {
+          firstName: user.firstName,
+          lastName: user.lastName,
+          username: user.username,
+        } : null,
+        programTitle: program?.title || '',
+      };
+    }));
+
+    res.json({ success: true, count: enriched.length, disputes: enriched });
+  } catch (error) {
+    console.error('Error getting disputes:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// POST /api/moderator/disputes/:id/approve - Одобрить возврат (body: { comment? })
+// Повторное одобрение продолжает прерванный возврат
+router.post('/moderator/disputes/:id/approve', authMiddleware, requireModerator, async (req, res) => {
+  try {
+    const parsed = disputeResolveSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json(formatZodError(parsed.error));
+    }
+
+    const result = await approvePurchaseDispute(req.params.id, req.user.telegramId, parsed.data.comment);
+    if (!result.success) {
+      return sendDisputeError(res, result);
+    }
+    res.json({ success: true, message: 'Возврат выполнен', dispute: result.dispute });
+  } catch (error) {
+    console.error('Error approving dispute:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// POST /api/moderator/disputes/:id/reject - Отклонить заявку на возврат (body: { comment? })
+router.post('/moderator/disputes/:id/reject', authMiddleware, requireModerator, async (req, res) => {
+  try {
+    const parsed = disputeResolveSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json(formatZodError(parsed.error));
+    }
+
+    const result = await declinePurchaseDispute(req.params.id, req.user.telegramId, parsed.data.comment);
+    if (!result.success) {
+      return sendDisputeError(res, result);
+    }
+    res.json({ success: true, message: 'Заявка отклонена', dispute: result.dispute });
+  } catch (error) {
+    console.error('Error rejecting dispute:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
 // ==========================================
 // PROGRAMS API (программы тренировок)
 // ВАЖНО: Специфичные роуты (/my/*) ПЕРЕД динамическими (/:id)
@@ -533,11 +902,11 @@ router.get('/programs/my/personal', authMiddleware, async (req, res) => {
 
 // POST /api/programs/my/personal - Создать личную программу
 router.post('/programs/my/personal', authMiddleware, async (req, res) => {
-  const { title, description, workouts } = req.body;
-
-  if (!title) {
-    return res.status(400).json({ error: 'Название программы обязательно' });
+  const parsed = programCreateSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json(formatZodError(parsed.error));
   }
+  const { title, description, workouts } = parsed.data;
 
   const program = await createProgram(req.user.telegramId, {
     title,
@@ -557,11 +926,16 @@ router.put('/programs/my/personal/:id', authMiddleware, async (req, res) => {
   const { id } = req.params;
   const program = await getProgram(id);
 
-  if (!program || program.authorId !== req.user.telegramId || !program.isPersonal) {
+  if (!program || program.authorId !== req.user.telegramId || !program.isPersonal || program.isArchived) {
     return res.status(404).json({ error: 'Программа не найдена' });
   }
 
-  const updated = await updateProgram(id, req.body);
+  const parsed = programUpdateSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json(formatZodError(parsed.error));
+  }
+
+  const updated = await updateProgram(id, parsed.data, { editorId: req.user.telegramId });
 
   res.json({
     success: true,
@@ -569,157 +943,344 @@ router.put('/programs/my/personal/:id', authMiddleware, async (req, res) => {
   });
 });
 
-// GET /api/programs - Список опубликованных программ (маркетплейс)
+// GET /api/programs - Каталог опубликованных программ (маркетплейс)
+// ?q=&category=&difficulty=&minPrice=&maxPrice=&minWeeks=&maxWeeks=&trainerId=
+//  &sort=newest|popular|price_asc|price_desc|rating&limit=&cursor=
 router.get('/programs', authMiddleware, async (req, res) => {
-  const programs = await getPublishedPrograms();
+  try {
+    const parsed = programSearchQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json(formatZodError(parsed.error));
+    }
 
-  // Добавляем информацию о покупке
-  const enrichedPrograms = await Promise.all(programs.map(async (p) => {
-    const [isPurchased, author] = await Promise.all([
-      hasPurchased(req.user.telegramId, p.id),
-      getUser(p.authorId),
-    ]);
-    return {
-      ...p,
-      isPurchased,
-      author,
-    };
-  }));
+    const { programs, nextCursor } = await searchPublishedPrograms(parsed.data);
+    const purchased = await getPurchasedProgramIds(req.user.telegramId, programs.map(p => p.id));
 
-  res.json({
-    success: true,
-    programs: enrichedPrograms,
-  });
+    res.json({
+      success: true,
+      programs: programs.map(p => ({ ...p, isPurchased: purchased.has(p.id) })),
+      nextCursor,
+    });
+  } catch (error) {
+    if (error.code === 'invalid_cursor') {
+      return res.status(400).json({ error: 'Некорректный курсор' });
+    }
+    console.error('Error searching programs:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
 });
 
+// Содержимое программы, доступное пользователю: автору — текущая версия, покупателю — купленная,
+// остальным — только опубликованная бесплатная программа. null — нет доступа
+async function getAccessibleProgramContent(program, telegramId) {
+  if (program.authorId === telegramId) {
+    return program;
+  }
+  const purchase = await getPurchase(telegramId, program.id);
+  if (purchase) {
+    return getProgramForBuyer(program, purchase);
+  }
+  const isFreePublished = program.isPublished && !program.isArchived && !(program.price > 0);
+  return isFreePublished ? program : null;
+}
+
 // GET /api/programs/:id - Детали программы
 // ВАЖНО: Динамический роут ПОСЛЕ специфичных (/my/*)
 router.get('/programs/:id', authMiddleware, async (req, res) => {
-  const { id } = req.params;
-  const program = await getProgram(id);
+  try {
+    const { id } = req.params;
+    const program = await getProgram(id);
 
-  if (!program) {
-    return res.status(404).json({ error: 'Программа не найдена' });
-  }
+    if (!program) {
+      return res.status(404).json({ error: 'Программа не найдена' });
+    }
 
-  const isOwner = program.authorId === req.user.telegramId;
-  const isPurchased = await hasPurchased(req.user.telegramId, id);
-  const canView = isOwner || isPurchased || program.price === 0;
+    const isOwner = program.authorId === req.user.telegramId;
+    const purchase = isOwner ? null : await getPurchase(req.user.telegramId, id);
+    const isPurchased = !!purchase;
 
-  res.json({
-    success: true,
-    program: {
-      ...program,
-      workouts: canView ? program.workouts : [],
-    },
-    access: { isOwner, isPurchased, canView },
-  });
-});
+    // Архивная программа и неопубликованный черновик доступны только автору и тем, кто её купил
+    if ((program.isArchived || !program.isPublished) && !isOwner && !isPurchased) {
+      return res.status(404).json({ error: 'Программа не найдена' });
+    }
 
-// POST /api/programs/:id/purchase - Купить программу
-router.post('/programs/:id/purchase', authMiddleware, async (req, res) => {
-  const { id } = req.params;
-  const program = await getProgram(id);
+    const canView = isOwner || isPurchased || program.price === 0;
+    const content = isPurchased ? await getProgramForBuyer(program, purchase) : program;
 
-  if (!program) {
-    return res.status(404).json({ error: 'Программа не найдена' });
+    // Без доступа вместо содержимого — превью, выбранное автором
+    const preview = canView ? null : buildProgramPreview(content);
+
+    res.json({
+      success: true,
+      program: {
+        ...content,
+        workouts: canView ? content.workouts : preview.workouts,
+      },
+      access: { isOwner, isPurchased, canView, previewMode: preview ? preview.mode : null },
+    });
+  } catch (error) {
+    console.error('Error getting program:', error);
+    res.status(500).json({ error: 'Database error' });
   }
+});
+
+// GET /api/programs/:id/versions - История версий с изменениями
+router.get('/programs/:id/versions', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const program = await getProgram(id);
+
+    if (!program) {
+      return res.status(404).json({ error: 'Программа не найдена' });
+    }
+
+    const content = await getAccessibleProgramContent(program, req.user.telegramId);
+    if (!content) {
+      return res.status(403).json({ error: 'Доступ запрещён' });
+    }
 
-  if (await hasPurchased(req.user.telegramId, id)) {
-    return res.status(400).json({ error: 'Вы уже приобрели эту программу' });
+    const versions = await getProgramVersions(id);
+    res.json({
+      success: true,
+      currentVersion: program.currentVersion,
+      purchasedVersion: content.purchasedVersion ?? null,
+      versions: versions.map((v, i) => ({
+        version: v.version,
+        title: v.title,
+        createdAt: v.createdAt,
+        workoutsCount: v.workouts?.length || 0,
+        diff: i > 0 ? diffProgramVersions(versions[i - 1], v) : null,
+      })),
+    });
+  } catch (error) {
+    console.error('Error getting program versions:', error);
+    res.status(500).json({ error: 'Database error' });
   }
+});
 
-  const price = Number(program.price) || 0;
-  let debited = false;
+// GET /api/programs/:id/today?workout= - Сегодняшняя тренировка с весами по правилам прогрессии
+// workout — индекс тренировки в программе, по умолчанию следующая после последней выполненной
+router.get('/programs/:id/today', authMiddleware, async (req, res) => {
   try {
-    if (price > 0) {
-      const debitedOk = await debitUserBalanceIfEnough(req.user.telegramId, price);
-      if (!debitedOk) {
-        return res.status(400).json({ error: 'Недостаточно средств' });
-      }
-      debited = true;
+    const { id } = req.params;
+    const program = await getProgram(id);
+
+    if (!program) {
+      return res.status(404).json({ error: 'Программа не найдена' });
     }
 
-    const purchaseResult = await purchaseProgram(req.user.telegramId, id);
-    if (!purchaseResult.success) {
-      if (debited) {
-        await updateUserBalance(req.user.telegramId, price);
-      }
-      return res.status(400).json({ error: 'Вы уже приобрели эту программу' });
+    const content = await getAccessibleProgramContent(program, req.user.telegramId);
+    if (!content) {
+      return res.status(403).json({ error: 'Доступ запрещён' });
     }
 
-    if (price > 0) {
-      const trainerShare = roundMoney(price * 0.9);
-      const adminShare = roundMoney(price - trainerShare);
-      if (program.authorId) {
-        await updateUserBalance(program.authorId, trainerShare);
-      }
-      if (adminShare > 0 && config.adminTelegramId) {
-        await updateUserBalance(config.adminTelegramId, adminShare);
+    let workoutIndex;
+    if (req.query.workout !== undefined) {
+      workoutIndex = Number(req.query.workout);
+      if (!Number.isInteger(workoutIndex) || workoutIndex < 0 || workoutIndex >= (content.workouts?.length || 0)) {
+        return res.status(400).json({ error: 'Некорректный номер тренировки' });
       }
     }
-  } catch (error) {
-    if (debited) {
-      await updateUserBalance(req.user.telegramId, price);
+
+    // Неделя программы — от старта прохождения, если программа сейчас проходится
+    const enrollment = await getActiveEnrollmentForProgram(req.user.telegramId, id);
+    const plan = await planTodayWorkout(req.user.telegramId, content, {
+      workoutIndex,
+      startedAt: enrollment ? getEffectiveStart(enrollment) : null,
+    });
+    if (!plan) {
+      return res.status(404).json({ error: 'В программе нет тренировок' });
     }
-    throw error;
-  }
 
-  res.json({
-    success: true,
-    message: 'Программа приобретена',
-  });
+    res.json({ success: true, ...plan });
+  } catch (error) {
+    console.error('Error planning today workout:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
 });
 
-// ==========================================
-// TRAINER PROGRAMS (программы тренера)
-// ==========================================
+// POST /api/programs/:id/upgrade - Перейти на последнюю версию купленной программы
+router.post('/programs/:id/upgrade', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const purchase = await getPurchase(req.user.telegramId, id);
+    if (!purchase) {
+      return res.status(404).json({ error: 'Программа не куплена' });
+    }
 
-// GET /api/trainer/programs - Мои программы (тренер)
-router.get('/trainer/programs', authMiddleware, requireTrainer, async (req, res) => {
-  const programs = await getTrainerPrograms(req.user.telegramId);
+    const version = await upgradePurchasedProgram(req.user.telegramId, id);
+    if (!version) {
+      return res.status(400).json({ error: 'Программа в архиве, обновление недоступно' });
+    }
 
-  res.json({
-    success: true,
-    programs,
-  });
+    res.json({
+      success: true,
+      previousVersion: purchase.programVersion,
+      version,
+    });
+  } catch (error) {
+    console.error('Error upgrading program:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
 });
 
-// POST /api/trainer/programs - Создать программу (тренер)
-router.post('/trainer/programs', authMiddleware, requireTrainer, async (req, res) => {
-  const { title, description, category, difficulty, durationWeeks, price, workouts } = req.body;
-
-  if (!title) {
-    return res.status(400).json({ error: 'Название программы обязательно' });
+// GET /api/programs/:id/price?code= - Цена для покупателя с учётом скидок и промокода
+router.get('/programs/:id/price', authMiddleware, async (req, res) => {
+  const program = await getProgram(req.params.id);
+  if (!program || program.isArchived) {
+    return res.status(404).json({ error: 'Программа не найдена' });
   }
 
-  const program = await createProgram(req.user.telegramId, {
-    title,
-    description,
-    category,
-    difficulty,
-    durationWeeks,
-    price: price || 0,
-    workouts: workouts || [],
-    isPersonal: false,
-  });
+  const code = typeof req.query.code === 'string' ? req.query.code.trim() : '';
+  const quote = await quoteProgramPrice(req.user.telegramId, program, { code });
+  if (!quote.success) {
+    return res.status(400).json({ error: quote.message, code: quote.error });
+  }
 
-  res.status(201).json({
+  res.json({
     success: true,
-    program,
+    listPrice: quote.listPrice,
+    amount: quote.amount,
+    discount: quote.discount,
   });
 });
 
-// PUT /api/trainer/programs/:id - Обновить программу
-router.put('/trainer/programs/:id', authMiddleware, requireTrainer, async (req, res) => {
+// POST /api/programs/:id/purchase - Купить программу (body: { code? } — промокод)
+router.post('/programs/:id/purchase', authMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const program = await getProgram(id);
+
+    if (!program || program.isArchived) {
+      return res.status(404).json({ error: 'Программа не найдена' });
+    }
+
+    if (await hasPurchased(req.user.telegramId, id)) {
+      return res.status(400).json({ error: 'Вы уже приобрели эту программу' });
+    }
+
+    const code = typeof req.body?.code === 'string' ? req.body.code.trim() : '';
+    const quote = await quoteProgramPrice(req.user.telegramId, program, { code });
+    if (!quote.success) {
+      return res.status(400).json({ error: quote.message, code: quote.error });
+    }
+
+    const result = await purchaseWithBalance(req.user.telegramId, program, quote);
+    if (!result.success) {
+      return res.status(400).json({ error: result.message });
+    }
+
+    res.json({
+      success: true,
+      message: 'Программа приобретена',
+      amount: quote.amount,
+      discount: quote.discount,
+    });
+  } catch (error) {
+    console.error('Error purchasing program:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Код ошибки сервиса возвратов → HTTP-статус
+const DISPUTE_ERROR_STATUS = {
+  not_found: 404,
+  not_purchased: 404,
+  already_disputed: 409,
+  already_resolved: 409,
+  in_progress: 409,
+  refund_failed: 500,
+};
+
+function sendDisputeError(res, result) {
+  res.status(DISPUTE_ERROR_STATUS[result.error] || 400).json({ error: result.message, code: result.error });
+}
+
+// POST /api/programs/:id/dispute - Заявка на возврат покупки (body: { reason })
+router.post('/programs/:id/dispute', authMiddleware, async (req, res) => {
+  try {
+    const parsed = disputeCreateSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json(formatZodError(parsed.error));
+    }
+
+    const result = await openPurchaseDispute(req.user.telegramId, req.params.id, parsed.data.reason);
+    if (!result.success) {
+      return sendDisputeError(res, result);
+    }
+    res.status(201).json({ success: true, dispute: result.dispute });
+  } catch (error) {
+    console.error('Error opening purchase dispute:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// GET /api/disputes/my - Мои заявки на возврат
+router.get('/disputes/my', authMiddleware, async (req, res) => {
+  try {
+    const disputes = await getUserPurchaseDisputes(req.user.telegramId);
+    res.json({ success: true, disputes });
+  } catch (error) {
+    console.error('Error getting purchase disputes:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// ==========================================
+// TRAINER PROGRAMS (программы тренера)
+// ==========================================
+
+// GET /api/trainer/programs - Мои программы (тренер)
+router.get('/trainer/programs', authMiddleware, requireTrainer, async (req, res) => {
+  const programs = await getTrainerPrograms(req.user.telegramId);
+
+  res.json({
+    success: true,
+    programs,
+  });
+});
+
+// POST /api/trainer/programs - Создать программу (тренер)
+router.post('/trainer/programs', authMiddleware, requireTrainer, async (req, res) => {
+  const parsed = programCreateSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json(formatZodError(parsed.error));
+  }
+  const { title, description, category, difficulty, durationWeeks, price, workouts, preview } = parsed.data;
+
+  const program = await createProgram(req.user.telegramId, {
+    title,
+    description,
+    category,
+    difficulty,
+    durationWeeks,
+    price: price || 0,
+    workouts: workouts || [],
+    preview,
+    isPersonal: false,
+  });
+
+  res.status(201).json({
+    success: true,
+    program,
+  });
+});
+
+// PUT /api/trainer/programs/:id - Обновить программу
+router.put('/trainer/programs/:id', authMiddleware, requireTrainer, async (req, res) => {
   const { id } = req.params;
   const program = await getProgram(id);
 
-  if (!program || program.authorId !== req.user.telegramId) {
+  if (!program || program.authorId !== req.user.telegramId || program.isArchived) {
     return res.status(404).json({ error: 'Программа не найдена' });
   }
 
-  const updated = await updateProgram(id, req.body);
+  const parsed = programUpdateSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json(formatZodError(parsed.error));
+  }
+
+  const updated = await updateProgram(id, parsed.data, { editorId: req.user.telegramId });
 
   res.json({
     success: true,
@@ -732,7 +1293,7 @@ router.post('/trainer/programs/:id/publish', authMiddleware, requireTrainer, asy
   const { id } = req.params;
   const program = await getProgram(id);
 
-  if (!program || program.authorId !== req.user.telegramId) {
+  if (!program || program.authorId !== req.user.telegramId || program.isArchived) {
     return res.status(404).json({ error: 'Программа не найдена' });
   }
 
@@ -749,40 +1310,692 @@ router.post('/trainer/programs/:id/publish', authMiddleware, requireTrainer, asy
   });
 });
 
+const salesQuerySchema = reportPeriodQuerySchema(SALES_GROUP_BY, 'month');
+
+// GET /api/trainer/sales - Продажи тренера (?from=&to=&groupBy=day|week|month&tz=&format=csv)
+router.get('/trainer/sales', authMiddleware, requireTrainer, async (req, res) => {
+  const parsed = salesQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json(formatZodError(parsed.error));
+  }
+  const { from, to, groupBy, timezone } = parsed.data;
+
+  try {
+    if (req.query.format === 'csv') {
+      const csv = await exportTrainerSalesCsv(req.user.telegramId, { from, to });
+      const name = `sales_${from.toISOString().slice(0, 10)}_${to.toISOString().slice(0, 10)}.csv`;
+      res.type('text/csv; charset=utf-8');
+      res.attachment(name);
+      return res.send(csv);
+    }
+
+    const sales = await getTrainerSalesReport(req.user.telegramId, { from, to, groupBy, timezone });
+    res.json({ success: true, sales });
+  } catch (error) {
+    console.error('Error getting trainer sales:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// GET /api/trainer/discounts - Мои скидки и промокоды
+router.get('/trainer/discounts', authMiddleware, requireTrainer, async (req, res) => {
+  try {
+    const discounts = await getTrainerDiscounts(req.user.telegramId);
+    res.json({ success: true, discounts });
+  } catch (error) {
+    console.error('Error getting discounts:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// POST /api/trainer/discounts - Создать промокод, распродажу или кросс-продажу
+router.post('/trainer/discounts', authMiddleware, requireTrainer, async (req, res) => {
+  try {
+    const parsed = discountCreateSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json(formatZodError(parsed.error));
+    }
+
+    // Скидка действует только на собственные программы тренера
+    const ownIds = new Set((await getTrainerPrograms(req.user.telegramId)).map(p => p.id));
+    if (parsed.data.programIds.some(id => !ownIds.has(id))) {
+      return res.status(400).json({ error: 'Можно выбрать только свои программы' });
+    }
+
+    const discount = await createDiscount(req.user.telegramId, parsed.data);
+    if (!discount) {
+      return res.status(409).json({ error: 'Такой промокод уже существует' });
+    }
+    res.status(201).json({ success: true, discount });
+  } catch (error) {
+    console.error('Error creating discount:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// PUT /api/trainer/discounts/:id - Включить/выключить скидку, сменить срок и лимиты
+router.put('/trainer/discounts/:id', authMiddleware, requireTrainer, async (req, res) => {
+  try {
+    const parsed = discountUpdateSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json(formatZodError(parsed.error));
+    }
+
+    const discount = await updateDiscount(req.user.telegramId, req.params.id, parsed.data);
+    if (!discount) {
+      return res.status(404).json({ error: 'Скидка не найдена' });
+    }
+    res.json({ success: true, discount });
+  } catch (error) {
+    console.error('Error updating discount:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// ==========================================
+// BUNDLES API (комплекты программ)
+// ==========================================
+
+// Код ошибки проверки комплекта → HTTP-статус
+const BUNDLE_ERROR_STATUS = {
+  not_found: 404,
+  already_purchased: 409,
+};
+
+function sendBundleError(res, result) {
+  res.status(BUNDLE_ERROR_STATUS[result.error] || 400).json({ error: result.message, code: result.error });
+}
+
+// GET /api/bundles?limit=&offset= - Опубликованные комплекты
+router.get('/bundles', authMiddleware, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const bundles = await getPublishedBundles({ limit: limit + 1, offset });
+    const details = await Promise.all(
+      bundles.slice(0, limit).map(bundle => getBundleDetails(bundle, req.user.telegramId))
+    );
+    res.json({ success: true, bundles: details, hasMore: bundles.length > limit });
+  } catch (error) {
+    console.error('Error getting bundles:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// GET /api/bundles/:id - Комплект: программы, цена по отдельности и выгода
+router.get('/bundles/:id', authMiddleware, async (req, res) => {
+  try {
+    const bundle = await getBundle(req.params.id);
+    const isOwner = bundle && bundle.authorId === req.user.telegramId;
+    if (!bundle || (!isOwner && (!bundle.isPublished || bundle.isArchived))) {
+      return res.status(404).json({ error: 'Комплект не найден' });
+    }
+
+    res.json({ success: true, bundle: await getBundleDetails(bundle, req.user.telegramId) });
+  } catch (error) {
+    console.error('Error getting bundle:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// POST /api/bundles/:id/purchase - Купить комплект с баланса
+router.post('/bundles/:id/purchase', authMiddleware, async (req, res) => {
+  try {
+    const bundle = await getBundle(req.params.id);
+    if (!bundle) {
+      return res.status(404).json({ error: 'Комплект не найден' });
+    }
+
+    const checked = await checkBundlePurchase(req.user.telegramId, bundle);
+    if (!checked.success) {
+      return sendBundleError(res, checked);
+    }
+
+    const result = await purchaseBundleWithBalance(req.user.telegramId, bundle, checked.programs);
+    if (!result.success) {
+      return res.status(400).json({ error: result.message });
+    }
+
+    res.json({
+      success: true,
+      message: 'Комплект приобретён',
+      amount: bundle.price,
+      programIds: bundle.programIds,
+    });
+  } catch (error) {
+    console.error('Error purchasing bundle:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// GET /api/trainer/bundles - Мои комплекты
+router.get('/trainer/bundles', authMiddleware, requireTrainer, async (req, res) => {
+  try {
+    const bundles = await getTrainerBundles(req.user.telegramId);
+    res.json({ success: true, bundles });
+  } catch (error) {
+    console.error('Error getting trainer bundles:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// POST /api/trainer/bundles - Создать комплект.
+// Тренер собирает комплект из своих программ; админ может объединить программы разных тренеров
+router.post('/trainer/bundles', authMiddleware, requireTrainer, async (req, res) => {
+  try {
+    const parsed = bundleCreateSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json(formatZodError(parsed.error));
+    }
+
+    const checked = await validateBundlePrograms(req.user, parsed.data.programIds, parsed.data.price, {
+      isAdmin: hasRole(req.user, 'ADMIN'),
+    });
+    if (!checked.success) {
+      return sendBundleError(res, checked);
+    }
+
+    const bundle = await createBundle(req.user.telegramId, parsed.data);
+    res.status(201).json({ success: true, bundle });
+  } catch (error) {
+    console.error('Error creating bundle:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// PUT /api/trainer/bundles/:id - Изменить, опубликовать или снять комплект с продажи
+router.put('/trainer/bundles/:id', authMiddleware, requireTrainer, async (req, res) => {
+  try {
+    const parsed = bundleUpdateSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json(formatZodError(parsed.error));
+    }
+
+    const bundle = await getBundle(req.params.id);
+    if (!bundle || bundle.authorId !== req.user.telegramId) {
+      return res.status(404).json({ error: 'Комплект не найден' });
+    }
+
+    // Цена проверяется против суммы цен программ — и при смене цены, и при смене состава
+    const price = parsed.data.price ?? bundle.price;
+    let checked = null;
+    if (parsed.data.programIds) {
+      checked = await validateBundlePrograms(req.user, parsed.data.programIds, price, {
+        isAdmin: hasRole(req.user, 'ADMIN'),
+      });
+    } else if (parsed.data.price !== undefined) {
+      checked = await validateBundlePrice(bundle.programIds, price);
+    }
+    if (checked && !checked.success) {
+      return sendBundleError(res, checked);
+    }
+
+    const updated = await updateBundle(bundle.id, parsed.data);
+    res.json({ success: true, bundle: updated });
+  } catch (error) {
+    console.error('Error updating bundle:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// ==========================================
+// TRAINERS API (публичные профили тренеров)
+// ==========================================
+
+// GET /api/trainers?limit=&offset= - Тренеры, самые продаваемые первыми
+router.get('/trainers', authMiddleware, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { trainers, hasMore } = await getTrainers({ limit, offset });
+    res.json({ success: true, trainers, hasMore });
+  } catch (error) {
+    console.error('Error getting trainers:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// GET /api/trainers/:id - Витрина тренера: профиль, статистика и опубликованные программы
+router.get('/trainers/:id', authMiddleware, async (req, res) => {
+  try {
+    const trainerId = parseInt(req.params.id);
+    const trainer = Number.isInteger(trainerId) ? await getTrainerProfile(trainerId) : null;
+    if (!trainer) {
+      return res.status(404).json({ error: 'Тренер не найден' });
+    }
+
+    const [programs, isFollowing] = await Promise.all([
+      getTrainerPrograms(trainerId),
+      isFollowingTrainer(trainerId, req.user.telegramId),
+    ]);
+
+    res.json({
+      success: true,
+      trainer: { ...trainer, isFollowing },
+      // Карточки без содержимого тренировок — оно доступно после покупки
+      programs: programs.map(({ workouts, ...program }) => ({
+        ...program,
+        workoutsCount: workouts?.length || 0,
+      })),
+    });
+  } catch (error) {
+    console.error('Error getting trainer profile:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// POST /api/trainers/:id/follow - Подписаться на тренера
+router.post('/trainers/:id/follow', authMiddleware, async (req, res) => {
+  try {
+    const trainerId = parseInt(req.params.id);
+    if (trainerId === req.user.telegramId) {
+      return res.status(400).json({ error: 'Нельзя подписаться на себя' });
+    }
+    const trainer = Number.isInteger(trainerId) ? await getTrainerProfile(trainerId) : null;
+    if (!trainer) {
+      return res.status(404).json({ error: 'Тренер не найден' });
+    }
+
+    await followTrainer(trainerId, req.user.telegramId);
+    const updated = await getTrainerProfile(trainerId);
+    res.json({ success: true, isFollowing: true, followersCount: updated.followersCount });
+  } catch (error) {
+    console.error('Error following trainer:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// DELETE /api/trainers/:id/follow - Отписаться
+router.delete('/trainers/:id/follow', authMiddleware, async (req, res) => {
+  try {
+    const trainerId = parseInt(req.params.id);
+    if (!Number.isInteger(trainerId)) {
+      return res.status(404).json({ error: 'Тренер не найден' });
+    }
+
+    await unfollowTrainer(trainerId, req.user.telegramId);
+    const trainer = await getTrainerProfile(trainerId);
+    res.json({ success: true, isFollowing: false, followersCount: trainer?.followersCount || 0 });
+  } catch (error) {
+    console.error('Error unfollowing trainer:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// PUT /api/trainer/profile - Изменить текст своей витрины без новой заявки
+// body: { bio, experience, specialization }
+router.put('/trainer/profile', authMiddleware, requireTrainer, async (req, res) => {
+  try {
+    const parsed = trainerProfileUpdateSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json(formatZodError(parsed.error));
+    }
+
+    const trainer = await updateTrainerProfile(req.user.telegramId, parsed.data);
+    res.json({ success: true, trainer });
+  } catch (error) {
+    console.error('Error updating trainer profile:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// ==========================================
+// REVIEWS API (отзывы о программах)
+// ==========================================
+
+const REVIEW_ELIGIBILITY_ERRORS = {
+  own_program: 'Нельзя оставить отзыв на свою программу',
+  not_purchased: 'Отзыв могут оставить только покупатели программы',
+  not_enough_sessions: 'Запишите больше тренировок по программе, чтобы оставить отзыв',
+};
+
+// Отзыв программы, к которой он относится; иначе 404
+async function loadProgramReview(req, res) {
+  const review = await getProgramReview(req.params.reviewId);
+  if (!review || review.programId !== req.params.id) {
+    res.status(404).json({ error: 'Отзыв не найден' });
+    return null;
+  }
+  return review;
+}
+
+// GET /api/programs/:id/reviews?limit=&cursor= - Отзывы и сводка оценок
+// Модератор может добавить ?includeHidden=1, чтобы увидеть скрытые отзывы
+router.get('/programs/:id/reviews', authMiddleware, async (req, res) => {
+  try {
+    const program = await getProgram(req.params.id);
+    if (!program) {
+      return res.status(404).json({ error: 'Программа не найдена' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const includeHidden = req.query.includeHidden === '1' && hasAnyRole(req.user, ['MODERATOR', 'ADMIN']);
+    const [page, distribution, eligibility] = await Promise.all([
+      getProgramReviews(program.id, { limit, cursor: req.query.cursor || null, includeHidden }),
+      getProgramRatingDistribution(program.id),
+      getReviewEligibility(req.user.telegramId, program),
+    ]);
+    if (!page) {
+      return res.status(400).json({ error: 'Некорректный курсор' });
+    }
+
+    res.json({
+      success: true,
+      rating: { ...program.rating, distribution },
+      canReview: eligibility.allowed,
+      reviews: page.reviews,
+      nextCursor: page.nextCursor,
+    });
+  } catch (error) {
+    console.error('Error getting reviews:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// POST /api/programs/:id/reviews - Оставить или изменить свой отзыв
+// body: { rating: 1-5, text }
+router.post('/programs/:id/reviews', authMiddleware, async (req, res) => {
+  try {
+    const parsed = programReviewSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json(formatZodError(parsed.error));
+    }
+
+    const program = await getProgram(req.params.id);
+    if (!program) {
+      return res.status(404).json({ error: 'Программа не найдена' });
+    }
+
+    const eligibility = await getReviewEligibility(req.user.telegramId, program);
+    if (!eligibility.allowed) {
+      return res.status(403).json({
+        error: REVIEW_ELIGIBILITY_ERRORS[eligibility.reason],
+        reason: eligibility.reason,
+        sessions: eligibility.sessions,
+        requiredSessions: eligibility.requiredSessions,
+      });
+    }
+
+    const { review, created } = await upsertProgramReview(req.user.telegramId, program.id, {
+      ...parsed.data,
+      verifiedBy: eligibility.verifiedBy,
+    });
+    res.status(created ? 201 : 200).json({ success: true, review });
+  } catch (error) {
+    console.error('Error saving review:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// PUT /api/programs/:id/reviews/:reviewId/reply - Публичный ответ автора программы
+router.put('/programs/:id/reviews/:reviewId/reply', authMiddleware, async (req, res) => {
+  try {
+    const parsed = reviewReplySchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json(formatZodError(parsed.error));
+    }
+
+    const program = await getProgram(req.params.id);
+    if (!program) {
+      return res.status(404).json({ error: 'Программа не найдена' });
+    }
+    if (program.authorId !== req.user.telegramId) {
+      return res.status(403).json({ error: 'Отвечать на отзывы может только автор программы' });
+    }
+
+    const review = await loadProgramReview(req, res);
+    if (!review) return;
+
+    const updated = await setReviewReply(review.id, parsed.data.text);
+    res.json({ success: true, review: updated });
+  } catch (error) {
+    console.error('Error replying to review:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// DELETE /api/programs/:id/reviews/:reviewId/reply - Удалить ответ автора
+router.delete('/programs/:id/reviews/:reviewId/reply', authMiddleware, async (req, res) => {
+  try {
+    const program = await getProgram(req.params.id);
+    if (!program) {
+      return res.status(404).json({ error: 'Программа не найдена' });
+    }
+    if (program.authorId !== req.user.telegramId) {
+      return res.status(403).json({ error: 'Доступ запрещён' });
+    }
+
+    const review = await loadProgramReview(req, res);
+    if (!review) return;
+
+    const updated = await deleteReviewReply(review.id);
+    res.json({ success: true, review: updated });
+  } catch (error) {
+    console.error('Error deleting review reply:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// POST /api/moderator/reviews/:id/hide - Скрыть оскорбительный отзыв (не учитывается в рейтинге)
+router.post('/moderator/reviews/:id/hide', authMiddleware, requireModerator, async (req, res) => {
+  try {
+    const parsed = reviewHideSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json(formatZodError(parsed.error));
+    }
+
+    const review = await setReviewHidden(req.params.id, true, {
+      moderatorId: req.user.telegramId,
+      reason: parsed.data.reason,
+    });
+    if (!review) {
+      return res.status(404).json({ error: 'Отзыв не найден' });
+    }
+    res.json({ success: true, review });
+  } catch (error) {
+    console.error('Error hiding review:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// POST /api/moderator/reviews/:id/unhide - Вернуть отзыв
+router.post('/moderator/reviews/:id/unhide', authMiddleware, requireModerator, async (req, res) => {
+  try {
+    const review = await setReviewHidden(req.params.id, false);
+    if (!review) {
+      return res.status(404).json({ error: 'Отзыв не найден' });
+    }
+    res.json({ success: true, review });
+  } catch (error) {
+    console.error('Error unhiding review:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// ==========================================
+// ENROLLMENTS API (прохождение программ)
+// ==========================================
+
+// POST /api/enrollments - Начать программу (купленную, бесплатную или личную)
+// body: { programId, startDate? } — ранее начатая программа отменяется
+router.post('/enrollments', authMiddleware, async (req, res) => {
+  try {
+    const parsed = enrollmentCreateSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json(formatZodError(parsed.error));
+    }
+    const { programId, startDate } = parsed.data;
+
+    const program = await getProgram(programId);
+    if (!program) {
+      return res.status(404).json({ error: 'Программа не найдена' });
+    }
+
+    const content = await getAccessibleProgramContent(program, req.user.telegramId);
+    if (!content) {
+      return res.status(403).json({ error: 'Сначала купите программу' });
+    }
+    if (!content.workouts?.length) {
+      return res.status(400).json({ error: 'В программе нет тренировок' });
+    }
+
+    const enrollment = await createEnrollment(req.user.telegramId, {
+      programId,
+      programVersion: content.purchasedVersion || program.currentVersion,
+      startedAt: startDate,
+    });
+    res.json({ success: true, enrollment });
+  } catch (error) {
+    console.error('Error creating enrollment:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// GET /api/enrollments - История прохождений
+router.get('/enrollments', authMiddleware, async (req, res) => {
+  try {
+    const enrollments = await getEnrollments(req.user.telegramId);
+    res.json({ success: true, enrollments });
+  } catch (error) {
+    console.error('Error getting enrollments:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// GET /api/enrollments/current - Текущая программа: неделя и день, расписание недели,
+// пропущенные тренировки и процент выполнения
+router.get('/enrollments/current', authMiddleware, async (req, res) => {
+  try {
+    const enrollment = await getCurrentEnrollment(req.user.telegramId);
+    if (!enrollment) {
+      return res.json({ success: true, enrollment: null, progress: null });
+    }
+
+    const program = await getProgram(enrollment.programId);
+    const content = program ? await getAccessibleProgramContent(program, req.user.telegramId) : null;
+    if (!content) {
+      // Программа удалена или доступ к ней потерян
+      return res.json({ success: true, enrollment, program: null, progress: null });
+    }
+
+    const overview = await getEnrollmentOverview(enrollment, content);
+    res.json({
+      success: true,
+      enrollment: overview.enrollment,
+      program: { id: program.id, title: content.title, durationWeeks: content.durationWeeks },
+      progress: overview.progress,
+    });
+  } catch (error) {
+    console.error('Error getting current enrollment:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// POST /api/enrollments/:id/pause - Поставить прохождение на паузу
+router.post('/enrollments/:id/pause', authMiddleware, async (req, res) => {
+  try {
+    const enrollment = await getEnrollment(req.params.id);
+    if (!enrollment || enrollment.telegramId !== req.user.telegramId) {
+      return res.status(404).json({ error: 'Прохождение не найдено' });
+    }
+
+    const updated = await pauseEnrollment(enrollment.id);
+    if (!updated) {
+      return res.status(400).json({ error: 'Поставить на паузу можно только активное прохождение' });
+    }
+    res.json({ success: true, enrollment: updated });
+  } catch (error) {
+    console.error('Error pausing enrollment:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// POST /api/enrollments/:id/resume - Продолжить после паузы: расписание сдвигается на длительность паузы
+router.post('/enrollments/:id/resume', authMiddleware, async (req, res) => {
+  try {
+    const enrollment = await getEnrollment(req.params.id);
+    if (!enrollment || enrollment.telegramId !== req.user.telegramId) {
+      return res.status(404).json({ error: 'Прохождение не найдено' });
+    }
+
+    const updated = await resumeEnrollment(enrollment.id);
+    if (!updated) {
+      return res.status(400).json({ error: 'Прохождение не на паузе' });
+    }
+    res.json({ success: true, enrollment: updated });
+  } catch (error) {
+    console.error('Error resuming enrollment:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
 // ==========================================
 // WORKOUT LOG API (дневник тренировок)
 // ==========================================
 
+const workoutsQuerySchema = workoutHistoryQuerySchema(50);
+const historyQuerySchema = workoutHistoryQuerySchema(100);
+
+// Параметры истории (см. workoutHistoryQuerySchema): { options } или { error } — тело ответа 400
+function parseWorkoutHistoryQuery(query, schema) {
+  const parsed = schema.safeParse(query);
+  if (!parsed.success) {
+    return { error: formatZodError(parsed.error) };
+  }
+  if (parsed.data.cursor && !parseWorkoutLogsCursor(parsed.data.cursor)) {
+    return { error: { error: 'Некорректный параметр cursor' } };
+  }
+  return { options: parsed.data };
+}
+
 // GET /api/workouts - История тренировок
 router.get('/workouts', authMiddleware, async (req, res) => {
-  const logs = await getWorkoutLogs(req.user.telegramId);
+  const { options, error } = parseWorkoutHistoryQuery(req.query, workoutsQuerySchema);
+  if (error) {
+    return res.status(400).json(error);
+  }
+
+  const logs = await getWorkoutLogs(req.user.telegramId, options);
 
   res.json({
     success: true,
     workouts: logs,
+    nextCursor: logs.length === options.limit ? getWorkoutLogsCursor(logs[logs.length - 1]) : null,
   });
 });
 
 // POST /api/workouts - Записать тренировку
 router.post('/workouts', authMiddleware, async (req, res) => {
-  const { programId, workoutTitle, exercises, duration, notes } = req.body;
+  try {
+    const parsed = workoutLogSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json(formatZodError(parsed.error));
+    }
+    const { programId, workoutTitle, exercises, duration, notes } = parsed.data;
 
-  if (!workoutTitle) {
-    return res.status(400).json({ error: 'Название тренировки обязательно' });
-  }
+    if (!workoutTitle) {
+      return res.status(400).json({ error: 'Название тренировки обязательно' });
+    }
 
-  const log = await createWorkoutLog(req.user.telegramId, {
-    programId,
-    workoutTitle,
-    exercises: exercises || [],
-    duration: duration || 0,
-    notes,
-  });
+    const { id, personalRecords } = await logWorkout(req.user.telegramId, {
+      programId,
+      workoutTitle,
+      exercises,
+      duration,
+      notes,
+    });
 
-  res.status(201).json({
-    success: true,
-    workout: log,
-  });
+    res.status(201).json({
+      success: true,
+      workout: { id },
+      personalRecords,
+    });
+  } catch (error) {
+    console.error('Error saving workout:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
 });
 
 // GET /api/workouts/stats - Статистика тренировок
@@ -796,11 +2009,39 @@ router.get('/workouts/stats', authMiddleware, async (req, res) => {
   }
 });
 
+const analyticsQuerySchema = reportPeriodQuerySchema(ANALYTICS_GROUP_BY, 'week');
+
+// GET /api/workouts/analytics - Аналитика тренировок (?from=&to=&groupBy=week|month&tz=)
+router.get('/workouts/analytics', authMiddleware, async (req, res) => {
+  const parsed = analyticsQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json(formatZodError(parsed.error));
+  }
+  const { from, to, groupBy, timezone } = parsed.data;
+
+  try {
+    const analytics = await getWorkoutAnalytics(req.user.telegramId, { from, to, groupBy, timezone });
+    res.json({ success: true, analytics });
+  } catch (error) {
+    console.error('Error getting workout analytics:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
 // GET /api/workouts/history - Получить историю тренировок
 router.get('/workouts/history', authMiddleware, async (req, res) => {
   try {
-    const history = await getWorkoutLogs(req.user.telegramId, 100);
-    res.json({ success: true, history });
+    const { options, error } = parseWorkoutHistoryQuery(req.query, historyQuerySchema);
+    if (error) {
+      return res.status(400).json(error);
+    }
+
+    const history = await getWorkoutLogs(req.user.telegramId, options);
+    res.json({
+      success: true,
+      history,
+      nextCursor: history.length === options.limit ? getWorkoutLogsCursor(history[history.length - 1]) : null,
+    });
   } catch (error) {
     console.error('Error getting workout history:', error);
     res.status(500).json({ error: 'Database error' });
@@ -810,9 +2051,15 @@ router.get('/workouts/history', authMiddleware, async (req, res) => {
 // POST /api/workouts/log - Сохранить тренировку
 router.post('/workouts/log', authMiddleware, async (req, res) => {
   try {
-    const { programId, workoutTitle, exercises, duration, volume, notes, records } = req.body;
+    const parsed = workoutLogSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json(formatZodError(parsed.error));
+    }
+    // records от клиента игнорируются: рекорды определяются по самим подходам
+    const { programId, workoutTitle, exercises, duration, volume, notes } = parsed.data;
 
-    const result = await createWorkoutLog(req.user.telegramId, {
+    // Разбор тренировки коучем готовится в фоне: GET /api/workouts/:id/review
+    const { id, personalRecords } = await logWorkout(req.user.telegramId, {
       programId,
       workoutTitle,
       exercises,
@@ -821,14 +2068,86 @@ router.post('/workouts/log', authMiddleware, async (req, res) => {
       notes,
     });
 
-    // Сохраняем рекорды если есть
-    if (records && Object.keys(records).length > 0) {
-      await saveExerciseRecords(req.user.telegramId, records);
+    res.json({ success: true, workoutId: id, personalRecords });
+  } catch (error) {
+    console.error('Error saving workout:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// GET /api/workouts/:id/review - Разбор тренировки AI-коучем
+router.get('/workouts/:id/review', authMiddleware, async (req, res) => {
+  try {
+    const log = await getWorkoutLog(req.params.id);
+    if (!log || log.telegramId !== req.user.telegramId) {
+      return res.status(404).json({ error: 'Тренировка не найдена' });
     }
 
-    res.json({ success: true, workoutId: result.id });
+    const review = await getWorkoutReview(log.id);
+    res.json({ success: true, review: review || { status: 'none' } });
   } catch (error) {
-    console.error('Error saving workout:', error);
+    console.error('Error getting workout review:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// PUT /api/workouts/:id - Исправить записанную тренировку
+router.put('/workouts/:id', authMiddleware, async (req, res) => {
+  try {
+    const log = await getWorkoutLog(req.params.id);
+    if (!log || log.telegramId !== req.user.telegramId) {
+      return res.status(404).json({ error: 'Тренировка не найдена' });
+    }
+
+    const parsed = workoutLogUpdateSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json(formatZodError(parsed.error));
+    }
+
+    const updates = { ...parsed.data };
+    // Тренировка могла переехать в другую программу или на другой день расписания
+    if (updates.programId !== undefined || updates.completedAt !== undefined) {
+      updates.enrollment = await resolveEnrollmentDay(
+        req.user.telegramId,
+        updates.programId !== undefined ? updates.programId : log.programId,
+        updates.completedAt || log.completedAt
+      );
+    }
+
+    const updated = await updateWorkoutLog(log.id, updates);
+
+    // Рекорды пересчитываются, если могли измениться подходы или порядок тренировок
+    if (parsed.data.exercises !== undefined || parsed.data.completedAt !== undefined) {
+      const affected = new Set([...getExerciseNames(log.exercises), ...getExerciseNames(updated.exercises)]);
+      await rebuildExerciseRecords(req.user.telegramId, [...affected]);
+    }
+    // Разбор устаревает только при изменении рабочих подходов, а не заметок или даты
+    if (parsed.data.exercises !== undefined && haveWorkingSetsChanged(log.exercises, updated.exercises)) {
+      scheduleWorkoutReview(log.id);
+    }
+
+    res.json({ success: true, workout: updated });
+  } catch (error) {
+    console.error('Error updating workout:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// DELETE /api/workouts/:id - Удалить тренировку
+router.delete('/workouts/:id', authMiddleware, async (req, res) => {
+  try {
+    const log = await getWorkoutLog(req.params.id);
+    if (!log || log.telegramId !== req.user.telegramId) {
+      return res.status(404).json({ error: 'Тренировка не найдена' });
+    }
+
+    // Отметка дня прохождения снимается вместе с записью: прогресс считается по WorkoutLog.enrollment_*
+    await deleteWorkoutLog(log.id);
+    await rebuildExerciseRecords(req.user.telegramId, getExerciseNames(log.exercises));
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting workout:', error);
     res.status(500).json({ error: 'Database error' });
   }
 });
@@ -844,6 +2163,21 @@ router.get('/workouts/records', authMiddleware, async (req, res) => {
   }
 });
 
+// GET /api/workouts/records/history - История личных рекордов (?exercise=&limit=)
+router.get('/workouts/records/history', authMiddleware, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const history = await getPersonalRecordHistory(req.user.telegramId, {
+      exercise: req.query.exercise,
+      limit,
+    });
+    res.json({ success: true, history });
+  } catch (error) {
+    console.error('Error getting personal record history:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
 // GET /api/programs/my - Получить свои программы
 router.get('/programs/my', authMiddleware, async (req, res) => {
   try {
@@ -858,7 +2192,14 @@ router.get('/programs/my', authMiddleware, async (req, res) => {
 // POST /api/programs/my - Сохранить личную программу
 router.post('/programs/my', authMiddleware, async (req, res) => {
   try {
-    const { id, title, exercises } = req.body;
+    const { id } = req.body;
+
+    // Старый клиент присылает тренировки в поле exercises — схема принимает оба варианта
+    const parsed = programCreateSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json(formatZodError(parsed.error));
+    }
+    const { title, workouts } = parsed.data;
 
     // Проверяем, существует ли уже программа с таким ID
     const existingProgram = id ? await getProgram(id) : null;
@@ -867,8 +2208,8 @@ router.post('/programs/my', authMiddleware, async (req, res) => {
       // Обновляем существующую программу
       const updated = await updateProgram(id, {
         title,
-        workouts: exercises,
-      });
+        workouts,
+      }, { editorId: req.user.telegramId });
       return res.json({ success: true, program: updated });
     }
 
@@ -876,7 +2217,7 @@ router.post('/programs/my', authMiddleware, async (req, res) => {
     const program = await createProgram(req.user.telegramId, {
       id, // Используем переданный ID
       title,
-      workouts: exercises,
+      workouts,
       isPersonal: true,
       isPublished: false,
     });
@@ -3,11 +3,11 @@ import { Router } from 'express';
 import { authMiddleware, hasAnyRole } from './api.js';
 import {
     News,
-    Program,
     TrainerRequest,
     SupportMessage,
     User
 } from '../database/models.js';
+import { programCreateSchema, programUpdateSchema, programSearchQuerySchema, formatZodError } from '../schemas/training.js';
 import {
     createNews,
     getAllNews,
@@ -16,7 +16,7 @@ import {
     getProgram,
     updateProgram,
     deleteProgram,
-    getPublishedPrograms,
+    searchPublishedPrograms,
     getTrainerPrograms,
     createTrainerRequest,
     getLastTrainerRequest,
@@ -31,6 +31,7 @@ import {
     getSupportMessages,
     getUserSupportMessages,
     getUniqueSupportUsers,
+    resetUserAccount,
 } from '../database/users.js';
 
 const router = Router();
@@ -105,10 +106,18 @@ router.delete('/news/:id', authMiddleware, async (req, res) => {
 
 // ==================== ПРОГРАММЫ ====================
 
-// Получить все программы (публичные)
+// Получить опубликованные программы: те же фильтры, что у GET /api/programs.
+// Ответ остаётся массивом, курсор следующей страницы — в заголовке X-Next-Cursor
 router.get('/programs', async (req, res) => {
     try {
-        const programs = await getPublishedPrograms();
+        const parsed = programSearchQuerySchema.safeParse(req.query);
+        if (!parsed.success) {
+            return res.status(400).json(formatZodError(parsed.error));
+        }
+
+        const { programs, nextCursor } = await searchPublishedPrograms(parsed.data);
+        if (nextCursor) res.set('X-Next-Cursor', nextCursor);
+
         // Convert to expected format
         res.json(programs.map(p => ({
             id: p.id,
@@ -121,11 +130,16 @@ router.get('/programs', async (req, res) => {
             duration_weeks: p.durationWeeks,
             price: p.price,
             is_published: p.isPublished ? 1 : 0,
-            workouts: p.workouts,
+            workouts_count: p.workoutsCount,
             purchase_count: p.purchaseCount,
+            rating: p.rating.average,
+            rating_count: p.rating.count,
             created_at: p.createdAt,
         })));
     } catch (error) {
+        if (error.code === 'invalid_cursor') {
+            return res.status(400).json({ error: 'Некорректный курсор' });
+        }
         console.error('❌ Ошибка получения программ:', error);
         res.status(500).json({ error: error.message });
     }
@@ -138,15 +152,14 @@ router.post('/programs', authMiddleware, async (req, res) => {
             return res.status(403).json({ error: 'Доступ запрещён. Нужна роль тренера.' });
         }
 
-        const { title, description, category, difficulty, price, workouts, exercises, isPublished } = req.body;
-        const normalizedWorkouts = Array.isArray(workouts)
-            ? workouts
-            : Array.isArray(exercises)
-                ? exercises
-                : [];
-        const publishFlag = typeof isPublished === 'boolean'
-            ? isPublished
-            : (isPublished != null ? Boolean(isPublished) : true);
+        // Схема принимает и старое поле exercises вместо workouts
+        const parsed = programCreateSchema.safeParse(req.body);
+        if (!parsed.success) {
+            return res.status(400).json(formatZodError(parsed.error));
+        }
+
+        const { title, description, category, difficulty, price, workouts, preview, isPublished } = parsed.data;
+        const publishFlag = isPublished ?? true;
 
         const program = await createProgram(req.user.telegramId, {
             title,
@@ -154,7 +167,8 @@ router.post('/programs', authMiddleware, async (req, res) => {
             category,
             difficulty,
             price: price || 0,
-            workouts: normalizedWorkouts,
+            workouts: workouts || [],
+            preview,
             isPublished: publishFlag,
         });
 
@@ -169,7 +183,7 @@ router.post('/programs', authMiddleware, async (req, res) => {
 router.put('/programs/:id', authMiddleware, async (req, res) => {
     try {
         const program = await getProgram(req.params.id);
-        if (!program) {
+        if (!program || program.isArchived) {
             return res.status(404).json({ error: 'Программа не найдена' });
         }
 
@@ -178,11 +192,12 @@ router.put('/programs/:id', authMiddleware, async (req, res) => {
             return res.status(403).json({ error: 'Нельзя редактировать чужую программу' });
         }
 
-        const updates = { ...req.body };
-        if (updates.workouts === undefined && Array.isArray(updates.exercises)) {
-            updates.workouts = updates.exercises;
+        const parsed = programUpdateSchema.safeParse(req.body);
+        if (!parsed.success) {
+            return res.status(400).json(formatZodError(parsed.error));
         }
-        const updated = await updateProgram(req.params.id, updates);
+
+        const updated = await updateProgram(req.params.id, parsed.data, { editorId: req.user.telegramId });
         res.json({ success: true, program: updated });
     } catch (error) {
         console.error('❌ Ошибка обновления программы:', error);
@@ -444,28 +459,8 @@ router.post('/reset-account/:userId', authMiddleware, async (req, res) => {
         const { userId } = req.params;
         const numUserId = parseInt(userId);
 
-        console.log('🗑️ Deleting data for user:', userId);
-
-        // Delete user programs
-        const programsResult = await Program.deleteMany({ author_id: numUserId });
-        console.log('  - Programs deleted:', programsResult.deletedCount);
-
-        // Delete workout logs
-        const { WorkoutLog } = await import('../database/models.js');
-        const workoutsResult = await WorkoutLog.deleteMany({ telegram_id: numUserId });
-        console.log('  - Workout logs deleted:', workoutsResult.deletedCount);
-
-        // Delete purchases
-        const { Purchase } = await import('../database/models.js');
-        const purchasesResult = await Purchase.deleteMany({ telegram_id: numUserId });
-        console.log('  - Purchases deleted:', purchasesResult.deletedCount);
-
-        // Delete AI messages
-        const { AIMessage } = await import('../database/models.js');
-        const aiResult = await AIMessage.deleteMany({ user_id: numUserId });
-        console.log('  - AI messages deleted:', aiResult.deletedCount);
-
-        // Don't delete user and their role!
+        // Тот же сброс, что и POST /api/admin/reset-account: src/database/users.js resetUserAccount
+        await resetUserAccount(numUserId);
 
         console.log('✅ Account reset successful for user:', userId);
         res.json({ success: true, message: `Аккаунт ${userId} сброшен!` });
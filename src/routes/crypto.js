@@ -5,15 +5,22 @@ import { CryptoInvoice, Settings, WithdrawalRequest } from '../database/models.j
 import {
   createUser,
   getProgram,
+  getBundle,
   getUser,
   hasPurchased,
-  purchaseProgram,
+  getPurchasedProgramIds,
   debitUserBalanceIfEnough,
   updateUserBalance,
+  creditPlatformShare,
+  createLedgerTxnId,
 } from '../database/users.js';
+import { completeCryptoPurchase, completeCryptoBundlePurchase } from '../services/purchases.js';
+import { checkBundlePurchase } from '../services/bundles.js';
+import { quoteProgramPrice, reserveDiscount } from '../services/discounts.js';
 import {
   createDepositInvoice,
   createPurchaseInvoice,
+  createBundleInvoice,
   checkInvoiceStatus,
   handleCryptoWebhook,
   getCryptoBalance,
@@ -24,6 +31,9 @@ const router = Router();
 
 const roundMoney = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
 
+// Резерв промокода держится дольше инвойса: вебхук об оплате может прийти с задержкой
+const COUPON_RESERVATION_GRACE_MS = 10 * 60 * 1000; // 10 минут
+
 async function getWithdrawalFeePercent() {
   const setting = await Settings.findOne({ key: 'withdrawalFeePercent' }).lean();
   const percent = Number(setting?.value);
@@ -79,6 +89,7 @@ router.post('/webhook', async (req, res) => {
         status: 'PROCESSING',
         telegram_id: Number(result.userId) || undefined,
         program_id: result.programId || undefined,
+        bundle_id: result.bundleId || undefined,
         amount: Number(result.amount) || undefined,
         asset: result.asset || 'USDT',
       });
@@ -123,7 +134,13 @@ router.post('/webhook', async (req, res) => {
         if (!await getUser(targetUserId)) {
           await createUser(targetUserId, {});
         }
-        await updateUserBalance(targetUserId, result.amount);
+        await updateUserBalance(targetUserId, result.amount, {
+          type: 'DEPOSIT',
+          external: true,
+          referenceType: 'crypto_invoice',
+          referenceId: result.invoiceId,
+          description: `Пополнение через CryptoBot (${result.asset || 'USDT'})`,
+        });
 
         console.log(`✅ Пополнение баланса: ${result.amount} ${result.asset} для пользователя ${result.userId}`);
       } else if (result.type === 'purchase') {
@@ -147,23 +164,53 @@ router.post('/webhook', async (req, res) => {
 
         const alreadyPurchased = await hasPurchased(buyerTelegramId, result.programId);
         if (!alreadyPurchased) {
-          await purchaseProgram(buyerTelegramId, result.programId);
-
-          const paidAmount = Number(result.amount) || Number(program.price) || 0;
-          if (paidAmount > 0) {
-            const trainerId = Number(result.trainerId) || program.authorId;
-            const trainerShare = roundMoney(paidAmount * 0.9);
-            const adminShare = roundMoney(paidAmount - trainerShare);
-            if (trainerId) {
-              await updateUserBalance(trainerId, trainerShare);
-            }
-            if (adminShare > 0 && config.adminTelegramId) {
-              await updateUserBalance(config.adminTelegramId, adminShare);
-            }
+          const purchase = await completeCryptoPurchase(buyerTelegramId, program, {
+            invoiceId: result.invoiceId,
+            amount: result.amount,
+            trainerId: result.trainerId,
+            listPrice: result.listPrice,
+            discount: result.discount,
+          });
+          if (!purchase.success) {
+            console.warn(`⚠️ Покупка по инвойсу ${result.invoiceId} не выполнена: ${purchase.error}`);
           }
         }
 
         console.log(`✅ Покупка программы: ${program.title} за ${result.amount} ${result.asset}`);
+      } else if (result.type === 'bundle') {
+        // Покупка комплекта: оплата уже получена, поэтому выдаём все программы комплекта,
+        // даже если его сняли с продажи после создания инвойса
+        const bundle = await getBundle(result.bundleId);
+        const programs = bundle ? await Promise.all(bundle.programIds.map(id => getProgram(id))) : [];
+        if (!bundle || programs.some(program => !program)) {
+          console.warn(`⚠️ Комплект или его программы не найдены (bundleId=${result.bundleId})`);
+          return await markInvoiceFailed('bundle_not_found');
+        }
+
+        const buyerTelegramId = Number(result.userId);
+        if (!Number.isFinite(buyerTelegramId)) {
+          console.warn(`⚠️ Некорректный userId в платеже: ${result.userId}`);
+          return await markInvoiceFailed('invalid_user_id');
+        }
+
+        if (!await getUser(buyerTelegramId)) {
+          await createUser(buyerTelegramId, {});
+        }
+
+        // Программы, купленные до оплаты инвойса, повторно не выдаются
+        const owned = await getPurchasedProgramIds(buyerTelegramId, bundle.programIds);
+        const missing = programs.filter(program => !owned.has(program.id));
+        if (missing.length > 0) {
+          const purchase = await completeCryptoBundlePurchase(buyerTelegramId, bundle, missing, {
+            invoiceId: result.invoiceId,
+            amount: result.amount,
+          });
+          if (!purchase.success) {
+            console.warn(`⚠️ Покупка комплекта по инвойсу ${result.invoiceId} не выполнена: ${purchase.error}`);
+          }
+        }
+
+        console.log(`✅ Покупка комплекта: ${bundle.title} за ${result.amount} ${result.asset}`);
       } else {
         return await markInvoiceFailed('unknown_type');
       }
@@ -209,7 +256,7 @@ router.post('/deposit', authMiddleware, async (req, res) => {
 // Создать инвойс для покупки программы (требуется авторизация)
 router.post('/purchase', authMiddleware, async (req, res) => {
   try {
-    const { programId } = req.body;
+    const { programId, code } = req.body;
     const userId = req.user.telegramId; // Берём из авторизации
 
     if (!programId) {
@@ -217,7 +264,7 @@ router.post('/purchase', authMiddleware, async (req, res) => {
     }
 
     const program = await getProgram(programId);
-    if (!program) {
+    if (!program || program.isArchived) {
       return res.status(404).json({ error: 'Program not found' });
     }
 
@@ -225,14 +272,65 @@ router.post('/purchase', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'Вы уже приобрели эту программу' });
     }
 
+    const quote = await quoteProgramPrice(userId, program, { code });
+    if (!quote.success) {
+      return res.status(400).json({ error: quote.message, code: quote.error });
+    }
+    if (quote.amount <= 0) {
+      return res.status(400).json({ error: 'Программа достаётся бесплатно — оформите покупку с баланса' });
+    }
+
     const invoice = await createPurchaseInvoice(
       userId,
       programId,
       program.title,
-      program.price,
-      program.authorId
+      quote.amount,
+      program.authorId,
+      { listPrice: quote.listPrice, discount: quote.discount }
     );
 
+    // Использование промокода резервируется сразу: оплаченный инвойс уже нельзя отклонить по лимиту.
+    // Инвойс без резерва покупателю не отдаётся и истекает неоплаченным.
+    if (quote.discount?.kind === 'coupon') {
+      const reserved = await reserveDiscount(quote.discount.id, {
+        invoiceId: invoice.invoiceId,
+        telegramId: userId,
+        expiresAt: new Date(invoice.expiresAt.getTime() + COUPON_RESERVATION_GRACE_MS),
+      });
+      if (!reserved) {
+        return res.status(400).json({ error: 'Промокод больше недействителен', code: 'code_exhausted' });
+      }
+    }
+
+    res.json(invoice);
+  } catch (error) {
+    console.error('❌ Ошибка создания инвойса:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Создать инвойс для покупки комплекта программ (требуется авторизация)
+router.post('/purchase-bundle', authMiddleware, async (req, res) => {
+  try {
+    const { bundleId } = req.body;
+    const userId = req.user.telegramId; // Берём из авторизации
+
+    if (!bundleId) {
+      return res.status(400).json({ error: 'Invalid bundleId' });
+    }
+
+    const bundle = await getBundle(bundleId);
+    if (!bundle) {
+      return res.status(404).json({ error: 'Bundle not found' });
+    }
+
+    const checked = await checkBundlePurchase(userId, bundle);
+    if (!checked.success) {
+      const status = checked.error === 'not_found' ? 404 : 400;
+      return res.status(status).json({ error: checked.message, code: checked.error });
+    }
+
+    const invoice = await createBundleInvoice(userId, bundle.id, bundle.title, bundle.price);
     res.json(invoice);
   } catch (error) {
     console.error('❌ Ошибка создания инвойса:', error);
@@ -292,16 +390,21 @@ router.post('/withdrawals', authMiddleware, async (req, res) => {
     if (!user) {
       return res.status(404).json({ error: 'Пользователь не найден' });
     }
+    const id = `wr_${Date.now()}_${Math.floor(Math.random() * 10000)}`;
+    const ledgerRef = { txnId: createLedgerTxnId(), external: true, referenceType: 'withdrawal', referenceId: id };
     let debited = false;
     try {
-      const debitedOk = await debitUserBalanceIfEnough(req.user.telegramId, amount);
+      const debitedOk = await debitUserBalanceIfEnough(req.user.telegramId, amount, {
+        ...ledgerRef,
+        type: 'WITHDRAWAL',
+        description: 'Заявка на вывод',
+      });
       if (!debitedOk) {
         return res.status(400).json({ error: 'Недостаточно средств' });
       }
       debited = true;
 
       const userName = `${user.firstName || ''} ${user.lastName || ''}`.trim();
-      const id = `wr_${Date.now()}_${Math.floor(Math.random() * 10000)}`;
       const created = await WithdrawalRequest.create({
         id,
         telegram_id: req.user.telegramId,
@@ -325,7 +428,7 @@ router.post('/withdrawals', authMiddleware, async (req, res) => {
       });
     } catch (error) {
       if (debited) {
-        await updateUserBalance(req.user.telegramId, amount);
+        await updateUserBalance(req.user.telegramId, amount, { ...ledgerRef, type: 'WITHDRAWAL_REFUND' });
       }
       throw error;
     }
@@ -480,8 +583,15 @@ router.post('/withdrawals/:id/approve', authMiddleware, async (req, res) => {
       return res.status(500).json({ error: 'Не удалось завершить вывод' });
     }
 
-    if (feeAmount > 0 && config.adminTelegramId) {
-      await updateUserBalance(config.adminTelegramId, feeAmount);
+    if (feeAmount > 0) {
+      await creditPlatformShare(feeAmount, {
+        type: 'WITHDRAWAL_FEE',
+        external: true,
+        counterpartyId: updated.telegram_id,
+        referenceType: 'withdrawal',
+        referenceId: updated.id,
+        description: `Комиссия ${feePercent}% за вывод`,
+      });
     }
 
     res.json({
@@ -532,7 +642,13 @@ router.post('/withdrawals/:id/reject', authMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'Заявка не найдена' });
     }
 
-    await updateUserBalance(updated.telegram_id, updated.amount);
+    await updateUserBalance(updated.telegram_id, updated.amount, {
+      type: 'WITHDRAWAL_REFUND',
+      external: true,
+      referenceType: 'withdrawal',
+      referenceId: updated.id,
+      description: 'Заявка на вывод отклонена',
+    });
 
     res.json({
       success: true,
@@ -606,9 +722,19 @@ router.post('/withdraw', authMiddleware, async (req, res) => {
       targetUserId ? `Вывод средств тренеру ID:${recipientId}` : 'Вывод средств FitMarket'
     );
 
-    await updateUserBalance(balanceOwnerId, -totalAmount);
-    if (fee > 0 && config.adminTelegramId) {
-      await updateUserBalance(config.adminTelegramId, fee);
+    const ledgerRef = {
+      txnId: createLedgerTxnId(),
+      external: true,
+      referenceType: 'crypto_transfer',
+      referenceId: result?.transfer_id ?? '',
+    };
+    await updateUserBalance(balanceOwnerId, -totalAmount, {
+      ...ledgerRef,
+      type: 'WITHDRAWAL',
+      description: `Вывод ${transferAmount} ${asset}`,
+    });
+    if (fee > 0) {
+      await creditPlatformShare(fee, { ...ledgerRef, type: 'WITHDRAWAL_FEE', counterpartyId: balanceOwnerId });
     }
 
     res.json({
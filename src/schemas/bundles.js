@@ -0,0 +1,18 @@
+// Схемы комплектов программ (zod): создание и изменение комплекта (src/services/bundles.js)
+
+import { z } from 'zod';
+import { toBoolean, toNumber } from './training.js';
+
+const bundleFields = {
+  title: z.string().trim().min(1, 'Название комплекта обязательно').max(120),
+  description: z.string().max(5000).optional(),
+  programIds: z.array(z.string().trim().min(1)).min(2, 'В комплекте должно быть не меньше двух программ').max(20)
+    .refine(ids => new Set(ids).size === ids.length, 'Программы в комплекте не должны повторяться'),
+  price: z.preprocess(toNumber, z.number().positive().max(100000)),
+  isPublished: z.preprocess(toBoolean, z.boolean().optional()),
+};
+
+export const bundleCreateSchema = z.object(bundleFields);
+export const bundleUpdateSchema = z.object(bundleFields).partial().extend({
+  isArchived: z.preprocess(toBoolean, z.boolean().optional()),
+});
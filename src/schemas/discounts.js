@@ -0,0 +1,53 @@
+// Схемы скидок тренера (zod): промокоды, распродажи и кросс-продажи (src/services/discounts.js)
+
+import { z } from 'zod';
+import { toBoolean, toNumber } from './training.js';
+
+const discountCodeSchema = z.string().trim().min(3).max(32)
+  .regex(/^[A-Za-z0-9_-]+$/, 'Промокод — латинские буквы, цифры, _ и -');
+
+const nullableDate = z.preprocess(value => (value === '' ? null : value), z.coerce.date().nullable().optional());
+const nullableLimit = z.preprocess(
+  value => (value === null ? null : toNumber(value)),
+  z.number().int().positive().nullable().optional()
+);
+
+export const discountCreateSchema = z.object({
+  kind: z.enum(['coupon', 'sale', 'cross_sell']),
+  code: discountCodeSchema.optional(),
+  discountType: z.enum(['percent', 'fixed']),
+  value: z.preprocess(toNumber, z.number().positive()),
+  programIds: z.array(z.string().trim().min(1)).max(50).default([]),
+  startsAt: nullableDate,
+  endsAt: nullableDate,
+  maxUses: nullableLimit,
+  maxUsesPerUser: nullableLimit,
+}).superRefine((discount, ctx) => {
+  const issue = (path, message) => ctx.addIssue({ code: 'custom', path: [path], message });
+
+  if (discount.discountType === 'percent' && discount.value > 100) {
+    issue('value', 'Скидка не может быть больше 100%');
+  }
+  if (discount.startsAt && discount.endsAt && discount.startsAt >= discount.endsAt) {
+    issue('endsAt', 'Окончание должно быть позже начала');
+  }
+  if (discount.kind === 'coupon' && !discount.code) {
+    issue('code', 'Укажите промокод');
+  }
+  if (discount.kind !== 'coupon' && (discount.maxUses || discount.maxUsesPerUser)) {
+    issue('maxUses', 'Лимиты использований есть только у промокодов');
+  }
+  if (discount.kind === 'sale' && !discount.endsAt) {
+    issue('endsAt', 'Укажите дату окончания распродажи');
+  }
+  if (discount.kind === 'cross_sell' && new Set(discount.programIds).size < 2) {
+    issue('programIds', 'Для кросс-продажи нужно не меньше двух программ');
+  }
+});
+
+export const discountUpdateSchema = z.object({
+  isActive: z.preprocess(toBoolean, z.boolean().optional()),
+  endsAt: nullableDate,
+  maxUses: nullableLimit,
+  maxUsesPerUser: nullableLimit,
+});
@@ -0,0 +1,13 @@
+// Схемы заявок на возврат покупки (zod): заявка покупателя и решение модератора
+
+import { z } from 'zod';
+
+export const DISPUTE_STATUSES = ['PENDING', 'PROCESSING', 'APPROVED', 'REJECTED'];
+
+export const disputeCreateSchema = z.object({
+  reason: z.string().trim().min(10, 'Опишите причину возврата подробнее').max(2000),
+});
+
+export const disputeResolveSchema = z.object({
+  comment: z.string().trim().max(500).default(''),
+});
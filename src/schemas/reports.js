@@ -0,0 +1,58 @@
+// Период отчёта (zod): ?from=&to=&groupBy=&tz=
+// Общий для GET /api/workouts/analytics и GET /api/trainer/sales. Без from берутся
+// REPORT_DEFAULT_PERIODS последних периодов группировки до to (по умолчанию — сейчас).
+
+import { z } from 'zod';
+
+export const MAX_REPORT_RANGE_MS = 3 * 366 * 24 * 60 * 60 * 1000; // ~3 года
+const REPORT_DEFAULT_PERIODS = 12;
+
+const optionalQueryDate = z.preprocess(
+  value => (value === '' ? undefined : value),
+  z.coerce.date({ errorMap: () => ({ message: 'Некорректная дата' }) }).optional()
+);
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('ru', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function defaultFrom(to, groupBy) {
+  const from = new Date(to);
+  if (groupBy === 'month') from.setMonth(from.getMonth() - REPORT_DEFAULT_PERIODS);
+  else if (groupBy === 'week') from.setDate(from.getDate() - REPORT_DEFAULT_PERIODS * 7);
+  else from.setDate(from.getDate() - REPORT_DEFAULT_PERIODS);
+  return from;
+}
+
+// Схема для конкретного отчёта: допустимые groupBy и значение по умолчанию.
+// Результат — { from, to, groupBy, timezone }.
+export function reportPeriodQuerySchema(groupByOptions, defaultGroupBy) {
+  return z.object({
+    groupBy: z.preprocess(
+      value => value || undefined,
+      z.enum(groupByOptions, {
+        errorMap: () => ({ message: `groupBy должен быть одним из: ${groupByOptions.join(', ')}` }),
+      }).default(defaultGroupBy)
+    ),
+    from: optionalQueryDate,
+    to: optionalQueryDate,
+    tz: z.preprocess(
+      value => value || undefined,
+      z.string().max(64).refine(isValidTimezone, 'Некорректный часовой пояс').default('UTC')
+    ),
+  }).transform(({ groupBy, from, to, tz }) => {
+    const end = to || new Date();
+    return { groupBy, from: from || defaultFrom(end, groupBy), to: end, timezone: tz };
+  }).refine(
+    period => period.from <= period.to,
+    { message: 'Начало периода должно быть не позже конца', path: ['from'] }
+  ).refine(
+    period => period.to - period.from <= MAX_REPORT_RANGE_MS,
+    { message: 'Период не может быть больше 3 лет', path: ['from'] }
+  );
+}
@@ -0,0 +1,17 @@
+// Схемы отзывов на программы (zod): оценка покупателя, ответ тренера, скрытие модератором
+
+import { z } from 'zod';
+import { toNumber } from './training.js';
+
+export const programReviewSchema = z.object({
+  rating: z.preprocess(toNumber, z.number().int().min(1).max(5)),
+  text: z.string().trim().max(2000).default(''),
+});
+
+export const reviewReplySchema = z.object({
+  text: z.string().trim().min(1, 'Ответ не может быть пустым').max(2000),
+});
+
+export const reviewHideSchema = z.object({
+  reason: z.string().trim().max(500).default(''),
+});
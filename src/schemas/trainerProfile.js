@@ -0,0 +1,9 @@
+// Схема витрины тренера (zod): публичный профиль, который тренер заполняет сам
+
+import { z } from 'zod';
+
+export const trainerProfileUpdateSchema = z.object({
+  bio: z.string().trim().max(2000).optional(),
+  experience: z.string().trim().max(500).optional(),
+  specialization: z.string().trim().max(200).optional(),
+});
@@ -0,0 +1,358 @@
+// Канонические схемы тренировочных данных (zod)
+// Программа → тренировка → упражнение → подход.
+// Program.workouts и WorkoutLog.exercises в MongoDB хранятся как JSON, поэтому форма
+// данных задаётся здесь и проверяется на каждом роуте создания/изменения.
+// Нормализаторы приводят старые форматы клиента к канонической форме;
+// их же использует скрипт миграции src/database/migrate-training-data.js.
+
+import { z } from 'zod';
+
+// ==========================================
+// НОРМАЛИЗАЦИЯ СТАРЫХ ФОРМАТОВ
+// ==========================================
+
+export function toNumber(value) {
+  if (value === '' || value === null || value === undefined) return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : value; // некорректное значение покажет валидация
+}
+
+export function toBoolean(value) {
+  if (value === 'true' || value === 1 || value === '1') return true;
+  if (value === 'false' || value === 0 || value === '0') return false;
+  return value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export function normalizeSet(set) {
+  if (!isPlainObject(set)) return set;
+  const normalized = { ...set };
+
+  // Диапазон повторений строкой: "8-12"
+  if (typeof normalized.reps === 'string') {
+    const range = normalized.reps.match(/^\s*(\d+)\s*[-–]\s*(\d+)\s*$/);
+    if (range) {
+      normalized.reps = Number(range[1]);
+      normalized.reps_max = Number(range[2]);
+    }
+  }
+  if (normalized.rest !== undefined && normalized.rest_seconds === undefined) {
+    normalized.rest_seconds = normalized.rest;
+  }
+  delete normalized.rest;
+  delete normalized.set; // порядковый номер подхода — позиция в массиве
+
+  return normalized;
+}
+
+export function normalizeExercise(exercise) {
+  if (!isPlainObject(exercise)) return exercise;
+  const normalized = { ...exercise };
+
+  if (normalized.name === undefined) normalized.name = normalized.exercise_name ?? normalized.title;
+  delete normalized.exercise_name;
+  delete normalized.title;
+
+  if (normalized.sets === undefined && Array.isArray(normalized.sets_data)) {
+    normalized.sets = normalized.sets_data;
+  }
+  delete normalized.sets_data;
+
+  // Упрощённая запись: { sets: 3, reps: 10, weight: 50 }
+  if (typeof normalized.sets === 'number' || (typeof normalized.sets === 'string' && /^\d+$/.test(normalized.sets))) {
+    const template = normalizeSet({ reps: normalized.reps, weight: normalized.weight, rpe: normalized.rpe });
+    normalized.sets = Array.from({ length: Math.min(Number(normalized.sets), 50) }, () => ({ ...template }));
+    delete normalized.reps;
+    delete normalized.weight;
+    delete normalized.rpe;
+  }
+
+  if (normalized.rest !== undefined && normalized.rest_seconds === undefined) {
+    normalized.rest_seconds = normalized.rest;
+  }
+  delete normalized.rest;
+
+  if (normalized.sets === undefined) normalized.sets = [];
+  if (Array.isArray(normalized.sets)) normalized.sets = normalized.sets.map(normalizeSet);
+
+  return normalized;
+}
+
+export function normalizeWorkout(workout) {
+  if (!isPlainObject(workout)) return workout;
+  const normalized = { ...workout };
+
+  if (normalized.name === undefined) normalized.name = normalized.title;
+  delete normalized.title;
+
+  if (normalized.exercises === undefined) normalized.exercises = [];
+  if (Array.isArray(normalized.exercises)) normalized.exercises = normalized.exercises.map(normalizeExercise);
+
+  return normalized;
+}
+
+function looksLikeExercise(item) {
+  return isPlainObject(item)
+    && item.exercises === undefined
+    && (item.sets !== undefined || item.sets_data !== undefined || item.exercise_name !== undefined);
+}
+
+// Личные программы раньше сохранялись плоским списком упражнений — оборачиваем в одну тренировку
+export function normalizeProgramWorkouts(workouts, fallbackName = 'Тренировка 1') {
+  if (!Array.isArray(workouts)) return workouts;
+  if (workouts.length > 0 && workouts.every(looksLikeExercise)) {
+    return [normalizeWorkout({ name: fallbackName, exercises: workouts })];
+  }
+  return workouts.map(normalizeWorkout);
+}
+
+export function normalizeLogExercises(exercises) {
+  return Array.isArray(exercises) ? exercises.map(normalizeExercise) : exercises;
+}
+
+// ==========================================
+// СХЕМЫ
+// ==========================================
+
+const optionalNumber = (schema) => z.preprocess(toNumber, schema.optional());
+
+const idSchema = z.union([z.string().max(100), z.number()]);
+
+// Темп: эксцентрика-пауза-концентрика-пауза, например "3-1-1-0" или "31X0"
+const tempoSchema = z.string().regex(
+  /^[0-9X]-?[0-9X]-?[0-9X]-?[0-9X]$/i,
+  'Темп в формате "3-1-1-0" или "31X0"'
+);
+
+export const setSchema = z.object({
+  type: z.enum(['warmup', 'working', 'dropset', 'failure']).default('working'),
+  reps: optionalNumber(z.number().int().min(0).max(1000)),
+  reps_max: optionalNumber(z.number().int().min(0).max(1000)), // верхняя граница диапазона "8-12"
+  weight: optionalNumber(z.number().min(0).max(1000)),
+  duration_seconds: optionalNumber(z.number().int().min(0).max(86400)),
+  rpe: optionalNumber(z.number().min(1).max(10)),
+  rir: optionalNumber(z.number().int().min(0).max(10)),
+  tempo: tempoSchema.optional(),
+  rest_seconds: optionalNumber(z.number().int().min(0).max(3600)),
+  completed: z.preprocess(toBoolean, z.boolean().optional()),
+  notes: z.string().max(500).optional(),
+}).refine(
+  set => set.reps_max === undefined || set.reps === undefined || set.reps_max >= set.reps,
+  { message: 'reps_max должен быть не меньше reps', path: ['reps_max'] }
+);
+
+// Правила прогрессии нагрузки (src/services/progression.js):
+//   linear     — все рабочие подходы выполнены: +increment к весу на следующей тренировке
+//   double     — повторы растут до reps_max во всех подходах, затем +increment и снова reps_min
+//   percentage — волны по неделям цикла: вес = percent от расчётного 1ПМ
+// deload — каждую every_weeks неделю вес и число рабочих подходов снижаются до указанных процентов
+const deloadSchema = z.object({
+  every_weeks: z.preprocess(toNumber, z.number().int().min(2).max(52)),
+  load_percent: optionalNumber(z.number().min(10).max(100)),
+  volume_percent: optionalNumber(z.number().min(10).max(100)),
+});
+
+const progressionFields = {
+  increment: optionalNumber(z.number().min(0).max(50)),
+  rounding: optionalNumber(z.number().min(0.25).max(10)), // шаг округления веса, кг
+  start_weight: optionalNumber(z.number().min(0).max(1000)),
+  deload: deloadSchema.optional(),
+};
+
+const waveSchema = z.object({
+  percent: z.preprocess(toNumber, z.number().min(10).max(120)),
+  reps: z.preprocess(toNumber, z.number().int().min(1).max(100)),
+  sets: optionalNumber(z.number().int().min(1).max(20)),
+});
+
+export const progressionSchema = z.discriminatedUnion('type', [
+  z.object({ type: z.literal('linear'), ...progressionFields }),
+  z.object({
+    type: z.literal('double'),
+    ...progressionFields,
+    reps_min: optionalNumber(z.number().int().min(1).max(100)),
+    reps_max: optionalNumber(z.number().int().min(1).max(100)),
+  }),
+  z.object({
+    type: z.literal('percentage'),
+    ...progressionFields,
+    waves: z.array(waveSchema).min(1).max(12), // неделя цикла → волна, по кругу
+    training_max_percent: optionalNumber(z.number().min(50).max(100)), // рабочий максимум от 1ПМ
+  }),
+]).refine(
+  rule => rule.type !== 'double' || rule.reps_min === undefined || rule.reps_max === undefined
+    || rule.reps_max >= rule.reps_min,
+  { message: 'reps_max должен быть не меньше reps_min', path: ['reps_max'] }
+);
+
+export const exerciseSchema = z.object({
+  id: idSchema.optional(),
+  name: z.string().trim().min(1, 'Укажите название упражнения').max(100),
+  muscle_group: z.string().max(50).optional(),
+  sets: z.array(setSchema).max(50),
+  tempo: tempoSchema.optional(),
+  rest_seconds: optionalNumber(z.number().int().min(0).max(3600)),
+  // Упражнения с одинаковой меткой выполняются суперсетом
+  superset: z.string().max(20).optional(),
+  progression: progressionSchema.optional(),
+  notes: z.string().max(1000).optional(),
+});
+
+export const workoutSchema = z.object({
+  id: idSchema.optional(),
+  name: z.string().trim().min(1, 'Укажите название тренировки').max(100),
+  week: optionalNumber(z.number().int().min(1).max(52)),
+  day: optionalNumber(z.number().int().min(1).max(7)),
+  exercises: z.array(exerciseSchema).max(50),
+  notes: z.string().max(2000).optional(),
+});
+
+export const programWorkoutsSchema = z.preprocess(
+  (workouts) => normalizeProgramWorkouts(workouts),
+  z.array(workoutSchema).max(200)
+);
+
+export const logExercisesSchema = z.preprocess(
+  normalizeLogExercises,
+  z.array(exerciseSchema).max(50)
+);
+
+// Старый клиент присылает workouts под именем exercises
+const withWorkoutsAlias = (schema) => z.preprocess(
+  body => (isPlainObject(body) && body.workouts === undefined && Array.isArray(body.exercises)
+    ? { ...body, workouts: body.exercises }
+    : body),
+  schema
+);
+
+export const PROGRAM_PREVIEW_MODES = ['none', 'first_week', 'sample_workout', 'exercise_list'];
+
+// Превью платной программы до покупки: первая неделя, одна тренировка-пример
+// или список упражнений без подходов
+const programPreviewSchema = z.object({
+  mode: z.enum(PROGRAM_PREVIEW_MODES),
+  workoutIndex: optionalNumber(z.number().int().min(0).max(199)),
+});
+
+const programFields = {
+  title: z.string().trim().min(1, 'Название программы обязательно').max(120),
+  description: z.string().max(5000).optional(),
+  category: z.string().max(50).optional(),
+  difficulty: z.string().max(50).optional(),
+  durationWeeks: optionalNumber(z.number().int().min(1).max(52)),
+  price: optionalNumber(z.number().min(0).max(100000)),
+  isPublished: z.preprocess(toBoolean, z.boolean().optional()),
+  workouts: programWorkoutsSchema.optional(),
+  preview: programPreviewSchema.optional(),
+};
+
+export const programCreateSchema = withWorkoutsAlias(z.object(programFields));
+export const programUpdateSchema = withWorkoutsAlias(z.object(programFields).partial());
+
+export const workoutLogSchema = z.object({
+  programId: z.string().max(100).optional().nullable(),
+  workoutTitle: z.string().trim().max(100).optional(),
+  exercises: logExercisesSchema.default([]),
+  duration: optionalNumber(z.number().min(0).max(86400)),
+  volume: optionalNumber(z.number().min(0)),
+  notes: z.string().max(2000).optional(),
+  // Поле records старого клиента отбрасывается: рекорды считает сервер (src/services/personalRecords.js)
+});
+
+export const workoutLogUpdateSchema = workoutLogSchema.partial().extend({
+  // Запас в сутки на разницу часовых поясов клиента
+  completedAt: z.coerce.date()
+    .refine(date => date.getTime() <= Date.now() + 24 * 60 * 60 * 1000, 'Дата тренировки в будущем')
+    .optional(),
+});
+
+export const enrollmentCreateSchema = z.object({
+  programId: z.string().min(1).max(100),
+  // Старт задним числом — для тех, кто уже начал программу до записи в приложении
+  startDate: z.coerce.date()
+    .refine(date => date.getTime() <= Date.now() + 24 * 60 * 60 * 1000, 'Дата старта в будущем')
+    .optional(),
+});
+
+// ==========================================
+// КАТАЛОГ ПРОГРАММ
+// ==========================================
+
+export const PROGRAM_SORT_OPTIONS = ['newest', 'popular', 'price_asc', 'price_desc', 'rating'];
+
+const optionalQueryString = (max) => z.preprocess(
+  value => (typeof value === 'string' && value.trim() === '' ? undefined : value),
+  z.string().trim().max(max).optional()
+);
+
+// Параметры GET /api/programs и GET /api/content/programs
+export const programSearchQuerySchema = z.object({
+  q: optionalQueryString(100),
+  category: optionalQueryString(50),
+  difficulty: optionalQueryString(50),
+  minPrice: optionalNumber(z.number().min(0)),
+  maxPrice: optionalNumber(z.number().min(0)),
+  minWeeks: optionalNumber(z.number().int().min(1).max(52)),
+  maxWeeks: optionalNumber(z.number().int().min(1).max(52)),
+  trainerId: optionalNumber(z.number().int().positive()),
+  sort: z.preprocess(value => value || undefined, z.enum(PROGRAM_SORT_OPTIONS).default('newest')),
+  limit: optionalNumber(z.number().int().min(1).max(50)),
+  cursor: optionalQueryString(200),
+}).refine(
+  query => query.minPrice === undefined || query.maxPrice === undefined || query.minPrice <= query.maxPrice,
+  { message: 'minPrice должен быть не больше maxPrice', path: ['maxPrice'] }
+).refine(
+  query => query.minWeeks === undefined || query.maxWeeks === undefined || query.minWeeks <= query.maxWeeks,
+  { message: 'minWeeks должен быть не больше maxWeeks', path: ['maxWeeks'] }
+);
+
+// ==========================================
+// ИСТОРИЯ ТРЕНИРОВОК
+// ==========================================
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const optionalQueryDate = optionalQueryString(40)
+  .pipe(z.coerce.date({ errorMap: () => ({ message: 'Некорректная дата' }) }).optional());
+
+// ?to=YYYY-MM-DD включает весь день (UTC, как и разбор даты без времени), а не только полночь
+const optionalQueryEndDate = z.preprocess(
+  value => (typeof value === 'string' && DATE_ONLY.test(value.trim()) ? `${value.trim()}T23:59:59.999Z` : value),
+  optionalQueryDate
+);
+
+// Параметры GET /api/workouts и GET /api/workouts/history: ?limit=&cursor=&programId=&exercise=&from=&to=&q=
+// Результат — options для getWorkoutLogs; формат cursor проверяет роут (parseWorkoutLogsCursor)
+export function workoutHistoryQuerySchema(defaultLimit) {
+  return z.object({
+    limit: optionalNumber(z.number().int().min(1).max(200)),
+    cursor: optionalQueryString(200),
+    programId: optionalQueryString(100),
+    exercise: optionalQueryString(100),
+    from: optionalQueryDate,
+    to: optionalQueryEndDate,
+    q: optionalQueryString(100),
+  }).transform(query => ({
+    limit: query.limit ?? defaultLimit,
+    cursor: query.cursor || null,
+    programId: query.programId || null,
+    exercise: query.exercise || null,
+    from: query.from || null,
+    to: query.to || null,
+    search: query.q || null,
+  }));
+}
+
+// Ответ 400 с ошибками по полям
+export function formatZodError(error) {
+  return {
+    error: 'Некорректные данные',
+    fields: error.issues.map(issue => ({
+      field: issue.path.join('.'),
+      message: issue.message,
+    })),
+  };
+}
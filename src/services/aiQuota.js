@@ -0,0 +1,41 @@
+// Дневной лимит запросов к AI по тарифу
+// Лимит общий для чата, генерации программ и разбора тренировок. Запрос резервируется
+// до обращения к модели одной условной операцией, поэтому параллельные запросы не превышают лимит;
+// если модель не ответила, резерв возвращается через releaseAIQuota.
+
+import { config } from '../config.js';
+import {
+  getUser,
+  releaseAIRequest,
+  reserveAIRequest,
+  resetAIRequestsIfNeeded,
+} from '../database/users.js';
+
+// Лимит запросов по тарифу: -1 — безлимит
+function getAIRequestsLimit(user) {
+  return user.subscriptionTier === 'pro'
+    ? config.rateLimit.proTierAiRequests
+    : config.rateLimit.freeTierAiRequests;
+}
+
+// Резервирует запрос (счётчик сбрасывается по расписанию в resetAIRequestsIfNeeded).
+// Возвращает { allowed, remaining }; remaining = -1 — безлимит.
+export async function reserveAIQuota(telegramId) {
+  await resetAIRequestsIfNeeded(telegramId);
+  const user = await getUser(telegramId);
+  if (!user) {
+    return { allowed: false, remaining: 0 };
+  }
+
+  const limit = getAIRequestsLimit(user);
+  const count = await reserveAIRequest(telegramId, limit);
+  if (count === null) {
+    return { allowed: false, remaining: 0 };
+  }
+
+  return { allowed: true, remaining: limit === -1 ? -1 : Math.max(limit - count, 0) };
+}
+
+export async function releaseAIQuota(telegramId) {
+  await releaseAIRequest(telegramId);
+}
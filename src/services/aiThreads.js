@@ -0,0 +1,77 @@
+// Контекст диалога с AI-коучем
+// В запрос к модели попадает как можно больше последних сообщений диалога. Когда они
+// перестают помещаться в бюджет config.openai.contextTokens, старая часть сворачивается
+// в краткое содержание (AIThread.summary), которое дальше идёт вместо этих сообщений.
+
+import { config } from '../config.js';
+import { getAIThreadMessages, updateAIThreadSummary } from '../database/users.js';
+
+const SUMMARY_PROMPT = `Сожми диалог пользователя с фитнес-коучем в краткое содержание (до 8 предложений) на русском языке.
+Сохрани цели пользователя, травмы и ограничения, его данные (веса, рекорды, самочувствие) и советы коуча.
+Если дано предыдущее краткое содержание — объедини его с новой частью диалога. Без markdown.`;
+
+const SUMMARY_MAX_TOKENS = 400;
+
+function summaryMessage(summary) {
+  return { role: 'system', content: `Краткое содержание предыдущей части диалога:\n${summary}` };
+}
+
+async function summarize(llm, previousSummary, messages) {
+  const transcript = messages
+    .map(m => `${m.role === 'user' ? 'Пользователь' : 'Коуч'}: ${m.content}`)
+    .join('\n');
+  const content = previousSummary
+    ? `Предыдущее краткое содержание:\n${previousSummary}\n\nНовая часть диалога:\n${transcript}`
+    : transcript;
+
+  const completion = await llm.complete([
+    { role: 'system', content: SUMMARY_PROMPT },
+    { role: 'user', content },
+  ], { maxTokens: SUMMARY_MAX_TOKENS, temperature: 0.3 });
+
+  return completion.content.trim();
+}
+
+// Возвращает сообщения истории диалога для запроса к модели.
+// reserved — сообщения, которые точно уйдут в запрос (промпт, контекст дневника, новый вопрос).
+export async function buildThreadHistory(llm, thread, reserved) {
+  const budget = config.openai.contextTokens;
+  const messages = await getAIThreadMessages(thread.id, { after: thread.summarizedUntil });
+  let summary = thread.summary;
+
+  const toChat = (list) => list.map(m => ({ role: m.role, content: m.content }));
+  // Сохранённое краткое содержание идёт в контекст всегда, когда оно есть
+  const withSummary = (list) => [...(summary ? [summaryMessage(summary)] : []), ...toChat(list)];
+  const history = () => withSummary(messages);
+
+  if (llm.countTokens([...reserved, ...history()]) <= budget) {
+    return history();
+  }
+
+  // Оставляем свежие сообщения в пределах половины оставшегося бюджета, остальное сворачиваем
+  const available = Math.max(budget - llm.countTokens(reserved), 0);
+  let kept = 0;
+  let keptTokens = 0;
+  while (kept < messages.length) {
+    const tokens = llm.countTokens([messages[messages.length - 1 - kept]]);
+    if (keptTokens + tokens > available / 2) break;
+    keptTokens += tokens;
+    kept++;
+  }
+
+  const older = messages.slice(0, messages.length - kept);
+  const recent = messages.slice(messages.length - kept);
+  if (older.length === 0) {
+    return withSummary(recent);
+  }
+
+  try {
+    summary = await summarize(llm, summary, older);
+    await updateAIThreadSummary(thread.id, summary, older[older.length - 1].id);
+  } catch (error) {
+    // Без свёртки просто отбрасываем старую часть — ответ важнее полноты контекста
+    console.error(`Error summarizing AI thread ${thread.id}:`, error.message);
+  }
+
+  return withSummary(recent);
+}
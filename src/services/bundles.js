@@ -0,0 +1,82 @@
+// Комплекты программ
+// Тренер собирает комплект из своих опубликованных программ, админ — из программ любых тренеров.
+// Комплект продаётся, только пока доступны все его программы, и только тому, у кого нет ни одной из них:
+// одна оплата выдаёт Purchase на каждую программу (purchaseBundleWithBalance / completeCryptoBundlePurchase).
+
+import { getProgram, getProgramCards, getPurchasedProgramIds } from '../database/users.js';
+
+const roundMoney = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+function failure(error, message) {
+  return { success: false, error, message };
+}
+
+const isSellable = (program) => program && program.isPublished && !program.isArchived && !program.isPersonal;
+
+// Комплект имеет смысл, только если он дешевле покупки его программ по отдельности
+function checkBundlePrice(programs, price) {
+  const listTotal = roundMoney(programs.reduce((sum, program) => sum + (Number(program?.price) || 0), 0));
+  if (!(price > 0)) {
+    return failure('invalid_price', 'Цена комплекта должна быть больше нуля');
+  }
+  if (price >= listTotal) {
+    return failure('invalid_price', `Цена комплекта должна быть меньше суммы цен программ (${listTotal})`);
+  }
+  return null;
+}
+
+// Программы и цена для нового или изменённого комплекта: { success, programs } или ошибка
+export async function validateBundlePrograms(user, programIds, price, { isAdmin = false } = {}) {
+  const programs = await Promise.all(programIds.map(id => getProgram(id)));
+  if (programs.some(program => !isSellable(program))) {
+    return failure('invalid_programs', 'В комплект можно добавить только опубликованные программы');
+  }
+  if (!isAdmin && programs.some(program => program.authorId !== user.telegramId)) {
+    return failure('invalid_programs', 'В комплект можно добавить только свои программы');
+  }
+  return checkBundlePrice(programs, price) || { success: true, programs };
+}
+
+// Новая цена комплекта без смены программ: { success } или ошибка
+export async function validateBundlePrice(programIds, price) {
+  const programs = await Promise.all(programIds.map(id => getProgram(id)));
+  return checkBundlePrice(programs, price) || { success: true };
+}
+
+// Программы комплекта для покупки в порядке bundle.programIds: { success, programs } или ошибка
+export async function checkBundlePurchase(buyerId, bundle) {
+  if (!bundle.isPublished || bundle.isArchived) {
+    return failure('not_found', 'Комплект не найден');
+  }
+
+  const programs = await Promise.all(bundle.programIds.map(id => getProgram(id)));
+  if (programs.some(program => !isSellable(program))) {
+    return failure('unavailable', 'Часть программ комплекта сейчас недоступна');
+  }
+  if (programs.some(program => program.authorId === buyerId)) {
+    return failure('own_program', 'В комплекте есть ваша собственная программа');
+  }
+
+  const owned = await getPurchasedProgramIds(buyerId, bundle.programIds);
+  if (owned.size > 0) {
+    return failure('already_purchased', 'Часть программ комплекта у вас уже куплена');
+  }
+  return { success: true, programs };
+}
+
+// Комплект для витрины: карточки программ, цена программ по отдельности и выгода
+export async function getBundleDetails(bundle, viewerId) {
+  const [programs, owned] = await Promise.all([
+    getProgramCards(bundle.programIds),
+    getPurchasedProgramIds(viewerId, bundle.programIds),
+  ]);
+  const listPrice = roundMoney(programs.reduce((sum, program) => sum + (Number(program.price) || 0), 0));
+
+  return {
+    ...bundle,
+    programs: programs.map(program => ({ ...program, isPurchased: owned.has(program.id) })),
+    listPrice,
+    savings: roundMoney(Math.max(listPrice - bundle.price, 0)),
+    isPurchased: owned.size === bundle.programIds.length,
+  };
+}
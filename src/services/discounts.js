@@ -0,0 +1,281 @@
+// Скидки на программы: промокоды, распродажи и кросс-продажи (модель Discount)
+// Цена покупки считается здесь и для оплаты с баланса, и для инвойса CryptoBot.
+// Скидки не складываются: из подходящих распродаж, кросс-продаж и введённого промокода
+// применяется самая выгодная для покупателя.
+// Лимит использований промокода резервируется при оформлении покупки (шаг redeem в purchases.js),
+// а при оплате криптой — ещё при создании инвойса: оплаченный инвойс уже нельзя отклонить.
+
+import { Discount, PurchaseOrder } from '../database/models.js';
+import { getPurchasedProgramIds } from '../database/users.js';
+
+const roundMoney = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+export const DISCOUNT_KINDS = ['coupon', 'sale', 'cross_sell'];
+
+function failure(error, message) {
+  return { success: false, error, message };
+}
+
+export function normalizeDiscountCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function mapDiscount(discount) {
+  return {
+    id: discount.id,
+    authorId: discount.author_id,
+    kind: discount.kind,
+    code: discount.code || null,
+    discountType: discount.discount_type,
+    value: discount.value,
+    programIds: discount.program_ids || [],
+    startsAt: discount.starts_at || null,
+    endsAt: discount.ends_at || null,
+    maxUses: discount.max_uses ?? null,
+    maxUsesPerUser: discount.max_uses_per_user ?? null,
+    usedCount: discount.used_count || 0,
+    isActive: discount.is_active,
+    createdAt: discount.created_at,
+  };
+}
+
+// ==========================================
+// РАСЧЁТ ЦЕНЫ
+// ==========================================
+
+function discountAmount(discount, listPrice) {
+  const amount = discount.discount_type === 'percent'
+    ? listPrice * discount.value / 100
+    : discount.value;
+  return roundMoney(Math.min(Math.max(amount, 0), listPrice));
+}
+
+const appliesToProgram = (discount, programId) =>
+  !discount.program_ids?.length || discount.program_ids.includes(programId);
+
+const isRunning = (discount, now) =>
+  (!discount.starts_at || discount.starts_at <= now) && (!discount.ends_at || discount.ends_at > now);
+
+// Сколько раз покупатель уже воспользовался скидкой (незавершённые заказы и неоплаченные инвойсы тоже считаются)
+async function countUserRedemptions(buyerId, discount) {
+  const orders = await PurchaseOrder.countDocuments({
+    telegram_id: buyerId,
+    'discount.discount_id': discount.id,
+    status: { $in: ['PENDING', 'COMPLETED', 'REFUNDED'] },
+  });
+  const reservations = (discount.reservations || []).filter(r => r.telegram_id === buyerId).length;
+  return orders + reservations;
+}
+
+async function checkCoupon(buyerId, program, code, now) {
+  const coupon = await Discount.findOne({ code: normalizeDiscountCode(code), kind: 'coupon' }).lean();
+  if (!coupon || !coupon.is_active || coupon.author_id !== program.authorId || !appliesToProgram(coupon, program.id)) {
+    return failure('invalid_code', 'Промокод не действует для этой программы');
+  }
+  if (coupon.starts_at && coupon.starts_at > now) {
+    return failure('invalid_code', 'Промокод ещё не действует');
+  }
+  if (coupon.ends_at && coupon.ends_at <= now) {
+    return failure('code_expired', 'Срок действия промокода истёк');
+  }
+  if (coupon.max_uses !== null && coupon.used_count >= coupon.max_uses) {
+    return failure('code_exhausted', 'Промокод больше недействителен');
+  }
+  if (coupon.max_uses_per_user !== null && await countUserRedemptions(buyerId, coupon) >= coupon.max_uses_per_user) {
+    return failure('code_used', 'Вы уже использовали этот промокод');
+  }
+  return { success: true, coupon };
+}
+
+// Кросс-продажа засчитывается, если у покупателя уже есть другая программа набора, купленная отдельно:
+// программы из комплекта (Bundle) уже проданы со скидкой, и вторая скидка поверх неё не складывается
+async function isCrossSellEligible(buyerId, discount, programId) {
+  const others = discount.program_ids.filter(id => id !== programId);
+  if (others.length === 0) return false;
+  return (await getPurchasedProgramIds(buyerId, others, { excludeBundles: true })).size > 0;
+}
+
+// Цена программы для покупателя.
+// { success, listPrice, amount, discount: { id, kind, code, discountType, value, amount } | null }
+// или { success: false, error, message } для недействительного промокода
+export async function quoteProgramPrice(buyerId, program, { code } = {}) {
+  const listPrice = roundMoney(Number(program.price) || 0);
+  const now = new Date();
+
+  let coupon = null;
+  if (code) {
+    if (listPrice <= 0) {
+      return failure('invalid_code', 'Программа бесплатна — промокод не нужен');
+    }
+    const checked = await checkCoupon(buyerId, program, code, now);
+    if (!checked.success) return checked;
+    coupon = checked.coupon;
+  }
+
+  const candidates = coupon ? [coupon] : [];
+  if (listPrice > 0) {
+    const automatic = await Discount.find({
+      author_id: program.authorId,
+      is_active: true,
+      kind: { $in: ['sale', 'cross_sell'] },
+    }).lean();
+
+    for (const discount of automatic) {
+      if (!isRunning(discount, now) || !appliesToProgram(discount, program.id)) continue;
+      if (discount.kind === 'cross_sell' && !await isCrossSellEligible(buyerId, discount, program.id)) continue;
+      candidates.push(discount);
+    }
+  }
+
+  let best = null;
+  let bestAmount = 0;
+  for (const discount of candidates) {
+    const amount = discountAmount(discount, listPrice);
+    if (amount > bestAmount) {
+      best = discount;
+      bestAmount = amount;
+    }
+  }
+
+  return {
+    success: true,
+    listPrice,
+    amount: roundMoney(listPrice - bestAmount),
+    discount: best ? {
+      id: best.id,
+      kind: best.kind,
+      code: best.code || null,
+      discountType: best.discount_type,
+      value: best.value,
+      amount: bestAmount,
+    } : null,
+  };
+}
+
+// Резерв использования промокода заказом orderId. Оплаченный криптой заказ (force) проводится
+// даже сверх лимита — деньги уже получены. false — лимит исчерпан.
+// До завершения заказа его id лежит в pending_orders: так дозавершение саги видит, что резерв уже сделан.
+export async function redeemDiscount(discountId, orderId, { session = null, force = false } = {}) {
+  const query = { id: discountId, pending_orders: { $ne: orderId } };
+  if (!force) {
+    query.$or = [{ max_uses: null }, { $expr: { $lt: ['$used_count', '$max_uses'] } }];
+  }
+  const result = await Discount.updateOne(
+    query,
+    { $inc: { used_count: 1 }, $addToSet: { pending_orders: orderId } },
+    { session }
+  );
+  return result.matchedCount > 0;
+}
+
+export async function isDiscountRedeemed(discountId, orderId) {
+  return Boolean(await Discount.exists({ id: discountId, pending_orders: orderId }));
+}
+
+export async function releaseDiscount(discountId, orderId) {
+  await Discount.updateOne(
+    { id: discountId, pending_orders: orderId },
+    { $inc: { used_count: -1 }, $pull: { pending_orders: orderId } }
+  );
+}
+
+// Резерв использования под инвойс CryptoBot до его оплаты. false — лимит исчерпан
+export async function reserveDiscount(discountId, { invoiceId, telegramId, expiresAt }) {
+  const result = await Discount.updateOne(
+    { id: discountId, $or: [{ max_uses: null }, { $expr: { $lt: ['$used_count', '$max_uses'] } }] },
+    {
+      $inc: { used_count: 1 },
+      $push: { reservations: { invoice_id: String(invoiceId), telegram_id: telegramId, expires_at: expiresAt } },
+    }
+  );
+  return result.matchedCount > 0;
+}
+
+// Оплаченный инвойс: резерв переходит к заказу без повторного учёта в used_count.
+// false — резерва нет (инвойс создан без промокода или резерв уже снят по истечении срока)
+export async function claimDiscountReservation(discountId, invoiceId, orderId, { session = null } = {}) {
+  const result = await Discount.updateOne(
+    { id: discountId, 'reservations.invoice_id': String(invoiceId), pending_orders: { $ne: orderId } },
+    { $pull: { reservations: { invoice_id: String(invoiceId) } }, $addToSet: { pending_orders: orderId } },
+    { session }
+  );
+  return result.matchedCount > 0;
+}
+
+// Снимает резервы неоплаченных инвойсов с истёкшим сроком. Возвращает число снятых резервов
+export async function releaseExpiredDiscountReservations(now = new Date()) {
+  const discounts = await Discount.find(
+    { 'reservations.expires_at': { $lt: now } },
+    { id: 1, reservations: 1 }
+  ).lean();
+
+  let released = 0;
+  for (const discount of discounts) {
+    for (const reservation of discount.reservations.filter(r => r.expires_at < now)) {
+      const result = await Discount.updateOne(
+        { id: discount.id, 'reservations.invoice_id': reservation.invoice_id },
+        { $inc: { used_count: -1 }, $pull: { reservations: { invoice_id: reservation.invoice_id } } }
+      );
+      released += result.modifiedCount;
+    }
+  }
+  return released;
+}
+
+// Заказ завершён: использование остаётся в used_count, отметка заказа больше не нужна
+export async function settleDiscount(discountId, orderId, { session = null } = {}) {
+  await Discount.updateOne({ id: discountId }, { $pull: { pending_orders: orderId } }, { session });
+}
+
+// ==========================================
+// УПРАВЛЕНИЕ СКИДКАМИ (тренер)
+// ==========================================
+
+export async function getTrainerDiscounts(authorId) {
+  const discounts = await Discount.find({ author_id: authorId }).sort({ created_at: -1 }).lean();
+  return discounts.map(mapDiscount);
+}
+
+// data — из discountCreateSchema. null — промокод уже занят
+export async function createDiscount(authorId, data) {
+  try {
+    const discount = await Discount.create({
+      id: `disc_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      author_id: authorId,
+      kind: data.kind,
+      code: data.kind === 'coupon' ? normalizeDiscountCode(data.code) : null,
+      discount_type: data.discountType,
+      value: data.value,
+      program_ids: data.programIds || [],
+      starts_at: data.startsAt || null,
+      ends_at: data.endsAt || null,
+      max_uses: data.maxUses ?? null,
+      max_uses_per_user: data.maxUsesPerUser ?? null,
+    });
+    return mapDiscount(discount.toObject());
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+}
+
+// updates — из discountUpdateSchema; null у поля снимает ограничение
+export async function updateDiscount(authorId, discountId, updates) {
+  const fields = {
+    isActive: 'is_active',
+    endsAt: 'ends_at',
+    maxUses: 'max_uses',
+    maxUsesPerUser: 'max_uses_per_user',
+  };
+  const $set = {};
+  for (const [key, column] of Object.entries(fields)) {
+    if (updates[key] !== undefined) $set[column] = updates[key];
+  }
+
+  const discount = await Discount.findOneAndUpdate(
+    { id: discountId, author_id: authorId },
+    { $set },
+    { new: true }
+  ).lean();
+  return discount ? mapDiscount(discount) : null;
+}
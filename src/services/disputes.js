@@ -0,0 +1,118 @@
+// Заявки на возврат покупки
+// Покупатель открывает заявку в течение config.disputes.windowDays дней после покупки,
+// модератор одобряет или отклоняет её. Одобрение проводит возврат (refundPurchase в purchases.js);
+// о решении бот сообщает покупателю, о возврате — ещё и тренеру.
+
+import { config } from '../config.js';
+import {
+  claimPurchaseDispute,
+  createPurchaseDispute,
+  getProgram,
+  getPurchase,
+  getPurchaseDispute,
+  hasPurchaseDispute,
+  rejectPurchaseDispute,
+  setPurchaseDisputeError,
+} from '../database/users.js';
+import { notifyUser } from './notifications.js';
+import { PURCHASE_RECOVERY_TIMEOUT_MS, refundPurchase } from './purchases.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function failure(error, message) {
+  return { success: false, error, message };
+}
+
+async function programTitle(programId) {
+  const program = await getProgram(programId);
+  return program?.title || programId;
+}
+
+export async function openPurchaseDispute(telegramId, programId, reason) {
+  const purchase = await getPurchase(telegramId, programId);
+  if (!purchase) {
+    return failure('not_purchased', 'Программа не куплена');
+  }
+  // Покупки до журнала заказов не содержат долей для сторно
+  if (!purchase.orderId || purchase.amount <= 0) {
+    return failure('not_refundable', 'Эту покупку нельзя вернуть');
+  }
+
+  const windowDays = config.disputes.windowDays;
+  if (Date.now() - new Date(purchase.purchasedAt) > windowDays * DAY_MS) {
+    return failure('window_expired', `Возврат возможен в течение ${windowDays} дн. после покупки`);
+  }
+  if (await hasPurchaseDispute(purchase.orderId, programId)) {
+    return failure('already_disputed', 'Заявка на возврат этой покупки уже подана');
+  }
+
+  const program = await getProgram(programId);
+  const dispute = await createPurchaseDispute(telegramId, purchase, { authorId: program?.authorId, reason });
+  if (!dispute) {
+    return failure('already_disputed', 'Заявка на возврат этой покупки уже подана');
+  }
+  return { success: true, dispute };
+}
+
+export async function approvePurchaseDispute(disputeId, moderatorId, comment = '') {
+  const existing = await getPurchaseDispute(disputeId);
+  if (!existing) {
+    return failure('not_found', 'Заявка не найдена');
+  }
+  if (existing.status === 'APPROVED' || existing.status === 'REJECTED') {
+    return failure('already_resolved', 'Заявка уже рассмотрена');
+  }
+
+  const dispute = await claimPurchaseDispute(disputeId, moderatorId, {
+    comment,
+    staleBefore: new Date(Date.now() - PURCHASE_RECOVERY_TIMEOUT_MS),
+  });
+  if (!dispute) {
+    return failure('in_progress', 'Возврат уже выполняется');
+  }
+
+  let refunded;
+  try {
+    refunded = await refundPurchase(dispute);
+  } catch (error) {
+    console.error(`❌ Возврат по заявке ${dispute.id} не завершён:`, error);
+    await setPurchaseDisputeError(dispute.id, error.code || error.message);
+    return failure('refund_failed', 'Не удалось провести возврат, повторите позже');
+  }
+
+  const title = await programTitle(dispute.programId);
+  await notifyUser(
+    dispute.telegramId,
+    `💸 Возврат за программу «${title}» одобрен: ${dispute.amount} зачислено на баланс.` +
+    (comment ? `\n\nКомментарий модератора: ${comment}` : '')
+  );
+  if (refunded.author_id && refunded.revenue_share.trainer_share > 0) {
+    await notifyUser(
+      refunded.author_id,
+      `↩️ Покупка программы «${title}» возвращена покупателю. С баланса списано ${refunded.revenue_share.trainer_share}.`
+    );
+  }
+
+  return { success: true, dispute: await getPurchaseDispute(dispute.id) };
+}
+
+export async function declinePurchaseDispute(disputeId, moderatorId, comment = '') {
+  const existing = await getPurchaseDispute(disputeId);
+  if (!existing) {
+    return failure('not_found', 'Заявка не найдена');
+  }
+
+  const dispute = await rejectPurchaseDispute(disputeId, moderatorId, comment);
+  if (!dispute) {
+    return failure('already_resolved', 'Заявка уже рассмотрена');
+  }
+
+  const title = await programTitle(dispute.programId);
+  await notifyUser(
+    dispute.telegramId,
+    `❌ Заявка на возврат за программу «${title}» отклонена.` +
+    (comment ? `\n\nПричина: ${comment}` : '')
+  );
+
+  return { success: true, dispute };
+}
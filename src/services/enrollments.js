@@ -0,0 +1,126 @@
+// Прохождение программ по расписанию
+// Неделя и день прохождения считаются от даты старта без учёта пауз: пауза сдвигает
+// расписание вперёд. День 1 — день недели, в который программа начата.
+// Тренировки программы раскладываются по дням недели: по полю day, а без него —
+// равномерно (3 тренировки → дни 1, 3, 5). Если у тренировок указана неделя (week),
+// на неделю цикла попадают только её тренировки.
+
+import {
+  completeEnrollment,
+  getActiveEnrollmentForProgram,
+  getEnrollmentWorkoutLogs,
+} from '../database/users.js';
+import { getProgramWeek } from './progression.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Дата старта, сдвинутая на длительность пауз (включая текущую)
+export function getEffectiveStart(enrollment, now = new Date()) {
+  const currentPauseMs = enrollment.status === 'paused' && enrollment.pausedAt
+    ? Math.max(now - new Date(enrollment.pausedAt), 0)
+    : 0;
+  return new Date(new Date(enrollment.startedAt).getTime() + (enrollment.pausedMs || 0) + currentPauseMs);
+}
+
+// { week, day } прохождения на дату; day — 1..7
+export function getEnrollmentPosition(enrollment, date = new Date()) {
+  const start = getEffectiveStart(enrollment, date);
+  const days = Math.max(Math.floor((date - start) / DAY_MS), 0);
+  return { week: getProgramWeek(start, date), day: (days % 7) + 1 };
+}
+
+// Расписание недели цикла: [{ day, workoutIndex, name }] по возрастанию дня
+export function buildWeekSchedule(workouts, cycleWeek) {
+  const hasWeeks = workouts.some(w => w.week !== undefined);
+  const planned = workouts
+    .map((workout, workoutIndex) => ({ workout, workoutIndex }))
+    .filter(({ workout }) => !hasWeeks || workout.week === undefined || workout.week === cycleWeek);
+
+  return planned
+    .map(({ workout, workoutIndex }, i) => ({
+      day: workout.day ?? Math.floor(i * 7 / planned.length) + 1,
+      workoutIndex,
+      name: workout.name,
+    }))
+    .sort((a, b) => a.day - b.day || a.workoutIndex - b.workoutIndex);
+}
+
+// Отметки о выполнении по расписанию с начала прохождения до текущего дня.
+// Сессия выполнена, если на той же неделе записана тренировка с тем же названием;
+// каждая тренировка закрывает не больше одной сессии.
+export function getEnrollmentProgress(enrollment, program, logs, now = new Date()) {
+  const workouts = Array.isArray(program.workouts) ? program.workouts : [];
+  const totalWeeks = program.durationWeeks || 1;
+  const position = getEnrollmentPosition(enrollment, now);
+  const lastWeek = Math.min(position.week, totalWeeks);
+
+  const weeks = [];
+  const missed = [];
+  let due = 0;
+  let completed = 0;
+
+  for (let week = 1; week <= lastWeek; week++) {
+    const cycleWeek = ((week - 1) % totalWeeks) + 1;
+    const unmatched = logs.filter(log => log.enrollmentWeek === week);
+
+    const sessions = buildWeekSchedule(workouts, cycleWeek).map(session => {
+      const logIndex = unmatched.findIndex(log => log.workoutTitle === session.name);
+      const log = logIndex === -1 ? null : unmatched.splice(logIndex, 1)[0];
+      const isPast = week < position.week || session.day < position.day;
+      const isToday = week === position.week && session.day === position.day;
+
+      let status = 'upcoming';
+      if (log) status = 'completed';
+      else if (isPast) status = 'missed';
+      else if (isToday) status = 'today';
+
+      if (isPast || log) due++;
+      if (log) completed++;
+      if (status === 'missed') missed.push({ week, ...session });
+
+      return { ...session, status, workoutLogId: log?.id || null };
+    });
+
+    weeks.push({ week, sessions, extraWorkouts: unmatched.length });
+  }
+
+  const currentWeek = weeks.find(w => w.week === position.week) || null;
+  return {
+    week: position.week,
+    day: position.day,
+    totalWeeks,
+    isFinished: position.week > totalWeeks,
+    today: currentWeek ? currentWeek.sessions.filter(s => s.day === position.day) : [],
+    thisWeek: currentWeek ? currentWeek.sessions : [],
+    missed,
+    adherence: {
+      scheduled: due,
+      completed,
+      percent: due > 0 ? Math.round(completed / due * 100) : 100,
+    },
+  };
+}
+
+// Прогресс текущего прохождения. Прохождение, у которого закончились недели программы,
+// завершается при первом обращении.
+export async function getEnrollmentOverview(enrollment, program, now = new Date()) {
+  const logs = await getEnrollmentWorkoutLogs(enrollment.id);
+  const progress = getEnrollmentProgress(enrollment, program, logs, now);
+
+  let current = enrollment;
+  if (progress.isFinished && enrollment.status === 'active') {
+    current = (await completeEnrollment(enrollment.id)) || enrollment;
+  }
+  return { enrollment: current, progress };
+}
+
+// День расписания для тренировки по программе: { id, week, day } или null,
+// если программа сейчас не проходится
+export async function resolveEnrollmentDay(telegramId, programId, completedAt = new Date()) {
+  if (!programId) return null;
+  const enrollment = await getActiveEnrollmentForProgram(telegramId, programId);
+  if (!enrollment || new Date(completedAt) < new Date(enrollment.startedAt)) return null;
+
+  const { week, day } = getEnrollmentPosition(enrollment, new Date(completedAt));
+  return { id: enrollment.id, week, day };
+}
@@ -0,0 +1,196 @@
+// Слой LLM-провайдеров для AI-коуча
+// Провайдер выбирается через config.openai.provider (env LLM_PROVIDER):
+//   openai            — api.openai.com, ключ OPENAI_API_KEY
+//   openai-compatible — любой совместимый сервер (llama.cpp, Ollama, vLLM), адрес LLM_BASE_URL
+//   stub              — детерминированные ответы без сети, для тестов и локальной разработки
+//
+// Интерфейс провайдера:
+//   name, model
+//   complete(messages, options) → { content, usage }
+//   stream(messages, options)   → async-итератор { content } по мере генерации;
+//                                 после завершения итерации в stream.result лежит { content, usage }
+//   countTokens(messages)       → приблизительное число токенов
+// options: { maxTokens, temperature, signal, json }, usage: { promptTokens, completionTokens, totalTokens }
+
+import OpenAI from 'openai';
+import { config } from '../config.js';
+
+export const LLM_PROVIDERS = ['openai', 'openai-compatible', 'stub'];
+
+// Грубая оценка без токенизатора: ~4 символа на токен и служебные токены на сообщение.
+// Используется, когда сервер не вернул usage.
+export function countTokens(messages) {
+  const list = Array.isArray(messages) ? messages : [{ content: String(messages || '') }];
+  return list.reduce((sum, m) => sum + 4 + Math.ceil(String(m.content || '').length / 4), 0);
+}
+
+function makeUsage(promptTokens, completionTokens) {
+  return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+}
+
+function mapOpenAIUsage(usage) {
+  return usage ? makeUsage(usage.prompt_tokens || 0, usage.completion_tokens || 0) : null;
+}
+
+// ==========================================
+// OPENAI / OPENAI-COMPATIBLE
+// ==========================================
+
+// json: true просит модель вернуть JSON-объект (если сервер поддерживает response_format)
+function createOpenAIProvider({ name, apiKey, baseUrl, model, supportsStreamUsage, supportsJsonMode }) {
+  const client = new OpenAI({ apiKey, ...(baseUrl ? { baseURL: baseUrl } : {}) });
+
+  return {
+    name,
+    model,
+    countTokens,
+
+    async complete(messages, { maxTokens, temperature, signal, json = false } = {}) {
+      const completion = await client.chat.completions.create({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+        ...(json && supportsJsonMode ? { response_format: { type: 'json_object' } } : {}),
+      }, { signal });
+
+      const content = completion.choices[0]?.message?.content || '';
+      return {
+        content,
+        usage: mapOpenAIUsage(completion.usage)
+          || makeUsage(countTokens(messages), countTokens([{ content }])),
+      };
+    },
+
+    stream(messages, { maxTokens, temperature, signal } = {}) {
+      const iterator = {
+        result: null,
+        async *[Symbol.asyncIterator]() {
+          const stream = await client.chat.completions.create({
+            model,
+            messages,
+            max_tokens: maxTokens,
+            temperature,
+            stream: true,
+            // Совместимые серверы не всегда понимают stream_options
+            ...(supportsStreamUsage ? { stream_options: { include_usage: true } } : {}),
+          }, { signal });
+
+          let content = '';
+          let usage = null;
+          for await (const chunk of stream) {
+            if (chunk.usage) usage = mapOpenAIUsage(chunk.usage);
+            const delta = chunk.choices[0]?.delta?.content;
+            if (delta) {
+              content += delta;
+              yield { content: delta };
+            }
+          }
+
+          iterator.result = {
+            content,
+            usage: usage || makeUsage(countTokens(messages), countTokens([{ content }])),
+          };
+        },
+      };
+      return iterator;
+    },
+  };
+}
+
+// ==========================================
+// STUB
+// ==========================================
+
+// Минимальная программа, проходящая схему — для json-запросов к заглушке
+const STUB_PROGRAM = {
+  title: 'Тестовая программа',
+  description: 'Сгенерировано тестовым провайдером',
+  difficulty: 'beginner',
+  durationWeeks: 4,
+  workouts: [{
+    name: 'Тренировка A',
+    day: 1,
+    exercises: [
+      { name: 'Приседания', sets: [{ reps: 10 }, { reps: 10 }, { reps: 10 }] },
+      { name: 'Отжимания', sets: [{ reps: 12 }, { reps: 12 }, { reps: 12 }] },
+    ],
+  }],
+};
+
+function createStubProvider({ model }) {
+  const reply = (messages, json = false) => {
+    if (json) return JSON.stringify(STUB_PROGRAM);
+    const question = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+    return `Тестовый ответ коуча на: ${question}`;
+  };
+
+  return {
+    name: 'stub',
+    model: model || 'stub',
+    countTokens,
+
+    async complete(messages, { signal, json = false } = {}) {
+      signal?.throwIfAborted();
+      const content = reply(messages, json);
+      return { content, usage: makeUsage(countTokens(messages), countTokens([{ content }])) };
+    },
+
+    stream(messages, { signal } = {}) {
+      const iterator = {
+        result: null,
+        async *[Symbol.asyncIterator]() {
+          const content = reply(messages);
+          for (const word of content.match(/\S+\s*/g)) {
+            signal?.throwIfAborted();
+            yield { content: word };
+          }
+          iterator.result = { content, usage: makeUsage(countTokens(messages), countTokens([{ content }])) };
+        },
+      };
+      return iterator;
+    },
+  };
+}
+
+// ==========================================
+// ВЫБОР ПРОВАЙДЕРА
+// ==========================================
+
+// Возвращает null, если провайдер не настроен (например, нет ключа OpenAI)
+export function createLLMProvider(options = config.openai) {
+  switch (options.provider) {
+    case 'stub':
+      return createStubProvider(options);
+    case 'openai-compatible':
+      if (!options.baseUrl) return null;
+      return createOpenAIProvider({
+        name: 'openai-compatible',
+        // Локальные серверы обычно не проверяют ключ, но клиент OpenAI требует непустой
+        apiKey: options.apiKey || 'not-needed',
+        baseUrl: options.baseUrl,
+        model: options.model,
+        supportsStreamUsage: false,
+        supportsJsonMode: false,
+      });
+    case 'openai':
+      if (!options.apiKey) return null;
+      return createOpenAIProvider({
+        name: 'openai',
+        apiKey: options.apiKey,
+        model: options.model,
+        supportsStreamUsage: true,
+        supportsJsonMode: true,
+      });
+    default:
+      console.warn(`⚠️ Unknown LLM provider: ${options.provider}`);
+      return null;
+  }
+}
+
+let provider;
+
+export function getLLMProvider() {
+  if (provider === undefined) provider = createLLMProvider();
+  return provider;
+}
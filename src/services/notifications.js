@@ -0,0 +1,21 @@
+// Уведомления пользователям в Telegram
+// Сервисы не импортируют бота напрямую: отправитель регистрируется при старте в src/index.js.
+// Пока он не задан (нет токена бота, тесты, скрипты), уведомления не отправляются.
+
+let sendMessage = null;
+
+export function setNotificationSender(sender) {
+  sendMessage = sender;
+}
+
+// Возвращает true, если сообщение доставлено
+export async function notifyUser(telegramId, text, extra) {
+  if (!sendMessage || !telegramId) return false;
+  try {
+    await sendMessage(telegramId, text, extra);
+    return true;
+  } catch (e) {
+    // Пользователь мог заблокировать бота
+    return false;
+  }
+}
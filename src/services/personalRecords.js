@@ -0,0 +1,222 @@
+// Определение личных рекордов по записанным подходам
+// Рекорды считаются на сервере из exercises тренировки (каноническая форма, src/schemas/training.js):
+//   weight — лучший вес, reps_at_weight — больше повторений с тем же весом,
+//   volume — лучший объём подхода (вес × повторения), e1rm — расчётный 1ПМ.
+// Рекорд засчитывается, только если побит предыдущий результат; первая тренировка с
+// упражнением задаёт точку отсчёта и рекордом не считается.
+
+import { config } from '../config.js';
+import { ExerciseRecord, PersonalRecord, WorkoutLog } from '../database/models.js';
+
+// Формулы 1ПМ заметно теряют точность на длинных подходах
+const MAX_REPS_FOR_E1RM = 12;
+
+const roundTo = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+export function estimateOneRepMax(weight, reps, formula = config.records.oneRepMaxFormula) {
+  if (!(weight > 0) || !(reps > 0)) return 0;
+  if (reps === 1) return weight;
+  if (formula === 'brzycki') return roundTo(weight * 36 / (37 - reps));
+  return roundTo(weight * (1 + reps / 30));
+}
+
+function isWorkingSet(set) {
+  return set.type !== 'warmup' && set.completed !== false && set.reps > 0;
+}
+
+// Лучшие подходы каждого упражнения в одной тренировке
+export function collectBestSets(exercises) {
+  const best = new Map();
+
+  for (const exercise of exercises || []) {
+    const name = exercise.name?.trim();
+    if (!name) continue;
+
+    for (const set of (exercise.sets || []).filter(isWorkingSet)) {
+      const weight = set.weight || 0;
+      const reps = set.reps;
+      const entry = best.get(name) || {
+        weight: null,
+        volume: null,
+        e1rm: null,
+        maxReps: 0,
+        repsAtWeight: new Map(),
+      };
+
+      if (!entry.weight || weight > entry.weight.weight || (weight === entry.weight.weight && reps > entry.weight.reps)) {
+        entry.weight = { weight, reps };
+      }
+      if (!entry.volume || weight * reps > entry.volume.value) {
+        entry.volume = { value: weight * reps, weight, reps };
+      }
+      if (reps <= MAX_REPS_FOR_E1RM) {
+        const e1rm = estimateOneRepMax(weight, reps);
+        if (e1rm > 0 && (!entry.e1rm || e1rm > entry.e1rm.value)) {
+          entry.e1rm = { value: e1rm, weight, reps };
+        }
+      }
+      entry.maxReps = Math.max(entry.maxReps, reps);
+      entry.repsAtWeight.set(weight, Math.max(entry.repsAtWeight.get(weight) || 0, reps));
+
+      best.set(name, entry);
+    }
+  }
+
+  return best;
+}
+
+// Сравнивает лучшие подходы с сохранёнными рекордами.
+// Возвращает побитые рекорды и обновление для ExerciseRecord.
+export function compareWithRecord(existing, best) {
+  const records = [];
+  const previousRepsAtWeight = new Map((existing?.reps_at_weight || []).map(r => [r.weight, r.reps]));
+
+  const previousWeight = existing?.best_weight || 0;
+  const previousWeightReps = existing?.best_weight_reps || 0;
+  const weightBeaten = best.weight.weight > previousWeight
+    || (best.weight.weight === previousWeight && best.weight.reps > previousWeightReps);
+
+  if (previousWeight > 0 && best.weight.weight > previousWeight) {
+    records.push({ type: 'weight', value: best.weight.weight, previousValue: previousWeight, ...best.weight });
+  }
+
+  for (const [weight, reps] of best.repsAtWeight) {
+    const previous = previousRepsAtWeight.get(weight) || 0;
+    if (previous > 0 && reps > previous) {
+      records.push({ type: 'reps_at_weight', value: reps, previousValue: previous, weight, reps });
+    }
+  }
+
+  const previousVolume = existing?.best_volume || 0;
+  if (previousVolume > 0 && best.volume.value > previousVolume) {
+    records.push({
+      type: 'volume',
+      value: best.volume.value,
+      previousValue: previousVolume,
+      weight: best.volume.weight,
+      reps: best.volume.reps,
+    });
+  }
+
+  const previousE1rm = existing?.best_e1rm || 0;
+  if (best.e1rm && previousE1rm > 0 && best.e1rm.value > previousE1rm) {
+    records.push({
+      type: 'e1rm',
+      value: best.e1rm.value,
+      previousValue: previousE1rm,
+      weight: best.e1rm.weight,
+      reps: best.e1rm.reps,
+    });
+  }
+
+  // Объединяем повторения по весам: рекорд никогда не ухудшается
+  const repsAtWeight = new Map(previousRepsAtWeight);
+  for (const [weight, reps] of best.repsAtWeight) {
+    repsAtWeight.set(weight, Math.max(repsAtWeight.get(weight) || 0, reps));
+  }
+
+  const update = {
+    // $max защищает от ухудшения при параллельных записях
+    $max: {
+      best_weight: best.weight.weight,
+      best_reps: best.maxReps,
+      best_volume: best.volume.value,
+      best_e1rm: best.e1rm?.value || 0,
+    },
+    $set: {
+      reps_at_weight: [...repsAtWeight]
+        .sort((a, b) => a[0] - b[0])
+        .map(([weight, reps]) => ({ weight, reps })),
+      updated_at: new Date(),
+    },
+  };
+  if (weightBeaten) update.$set.best_weight_reps = best.weight.reps;
+
+  return { records, update };
+}
+
+// Обновляет рекорды пользователя по тренировке и возвращает новые рекорды
+export async function detectPersonalRecords(telegramId, exercises, { workoutId = null, achievedAt = new Date() } = {}) {
+  const newRecords = [];
+
+  for (const [exerciseName, best] of collectBestSets(exercises)) {
+    const existing = await ExerciseRecord.findOne({ telegram_id: telegramId, exercise_name: exerciseName }).lean();
+    const { records, update } = compareWithRecord(existing, best);
+
+    await ExerciseRecord.updateOne(
+      { telegram_id: telegramId, exercise_name: exerciseName },
+      update,
+      { upsert: true }
+    );
+
+    for (const record of records) {
+      newRecords.push({ exercise: exerciseName, ...record });
+    }
+  }
+
+  if (newRecords.length > 0) {
+    await PersonalRecord.insertMany(newRecords.map((record, index) => ({
+      // Суффикс нужен при пересчёте, когда записи создаются в одну миллисекунду
+      id: `pr_${Date.now()}_${index}_${Math.random().toString(36).slice(2, 8)}`,
+      telegram_id: telegramId,
+      exercise_name: record.exercise,
+      type: record.type,
+      value: record.value,
+      previous_value: record.previousValue,
+      weight: record.weight,
+      reps: record.reps,
+      workout_id: workoutId,
+      achieved_at: achievedAt,
+    })));
+  }
+
+  return newRecords;
+}
+
+// Названия упражнений тренировки (для пересчёта после правки или удаления)
+export function getExerciseNames(exercises) {
+  return [...new Set((exercises || []).map(e => e?.name?.trim()).filter(Boolean))];
+}
+
+// Пересчитывает рекорды и их историю по упражнениям, заново проходя все тренировки
+// пользователя в хронологическом порядке. Нужен после правки или удаления тренировки,
+// чтобы ошибочный подход не оставался рекордом навсегда.
+export async function rebuildExerciseRecords(telegramId, exerciseNames) {
+  for (const exerciseName of exerciseNames) {
+    await ExerciseRecord.deleteOne({ telegram_id: telegramId, exercise_name: exerciseName });
+    await PersonalRecord.deleteMany({ telegram_id: telegramId, exercise_name: exerciseName });
+
+    const logs = WorkoutLog.find(
+      { telegram_id: telegramId, 'exercises.name': exerciseName },
+      { id: 1, exercises: 1, completed_at: 1 }
+    ).sort({ completed_at: 1, id: 1 }).lean().cursor();
+
+    for await (const log of logs) {
+      const exercises = log.exercises.filter(e => e?.name?.trim() === exerciseName);
+      await detectPersonalRecords(telegramId, exercises, { workoutId: log.id, achievedAt: log.completed_at });
+    }
+  }
+}
+
+// История рекордов (новые сверху), опционально по одному упражнению
+export async function getPersonalRecordHistory(telegramId, { exercise, limit = 100 } = {}) {
+  const query = { telegram_id: telegramId };
+  if (exercise) query.exercise_name = exercise;
+
+  const history = await PersonalRecord.find(query)
+    .sort({ achieved_at: -1 })
+    .limit(limit)
+    .lean();
+
+  return history.map(r => ({
+    id: r.id,
+    exercise: r.exercise_name,
+    type: r.type,
+    value: r.value,
+    previousValue: r.previous_value,
+    weight: r.weight,
+    reps: r.reps,
+    workoutId: r.workout_id,
+    achievedAt: r.achieved_at,
+  }));
+}
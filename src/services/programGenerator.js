@@ -0,0 +1,147 @@
+// Генерация персональных программ тренировок через LLM
+// Модель отвечает JSON-объектом, который обязан пройти ту же схему, что и программы,
+// созданные вручную (src/schemas/training.js). При ошибке валидации модель получает
+// список ошибок и пробует ещё раз.
+
+import { z } from 'zod';
+import { config } from '../config.js';
+import { programCreateSchema, formatZodError } from '../schemas/training.js';
+
+export const MAX_GENERATION_ATTEMPTS = 3;
+
+const listOfStrings = z.union([
+  z.array(z.string().trim().min(1).max(100)).max(20),
+  z.string().trim().max(300).transform(value => (value ? [value] : [])),
+]);
+
+export const programGenerationSchema = z.object({
+  goals: listOfStrings.refine(goals => goals.length > 0, 'Укажите цель тренировок'),
+  daysPerWeek: z.coerce.number().int().min(1).max(7),
+  equipment: listOfStrings.default([]),
+  experience: z.enum(['beginner', 'intermediate', 'advanced']),
+  injuries: listOfStrings.default([]),
+  durationWeeks: z.coerce.number().int().min(1).max(16).default(4),
+});
+
+const SYSTEM_PROMPT = `Ты — опытный тренер, который составляет программы тренировок.
+Ответь ТОЛЬКО JSON-объектом без пояснений и markdown, строго в формате:
+{
+  "title": "название программы",
+  "description": "кратко: для кого и как выполнять",
+  "difficulty": "beginner | intermediate | advanced",
+  "durationWeeks": число недель,
+  "workouts": [
+    {
+      "name": "название тренировки",
+      "day": номер дня недели (1-7),
+      "exercises": [
+        {
+          "name": "название упражнения",
+          "muscle_group": "основная группа мышц",
+          "rest_seconds": отдых между подходами в секундах,
+          "sets": [{ "type": "warmup | working", "reps": число, "reps_max": число или не указывать, "rpe": 1-10 }]
+        }
+      ]
+    }
+  ]
+}
+
+ПРАВИЛА:
+1. Количество тренировок в "workouts" — не больше числа тренировочных дней в неделю (можно чередовать A/B)
+2. Используй только доступное оборудование
+3. Исключай упражнения, нагружающие травмированные зоны, и предлагай безопасные замены
+4. Вес в подходах не указывай — пользователь подберёт его сам
+5. Все тексты — на русском языке`;
+
+function describeRequest(params) {
+  return [
+    `Цели: ${params.goals.join(', ')}`,
+    `Тренировок в неделю: ${params.daysPerWeek}`,
+    `Оборудование: ${params.equipment.length > 0 ? params.equipment.join(', ') : 'только собственный вес'}`,
+    `Уровень подготовки: ${params.experience}`,
+    `Травмы и ограничения: ${params.injuries.length > 0 ? params.injuries.join(', ') : 'нет'}`,
+    `Длительность программы: ${params.durationWeeks} недель`,
+  ].join('\n');
+}
+
+// Модели иногда оборачивают JSON в ```json ... ``` или добавляют текст вокруг
+function extractJson(content) {
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('Ответ не содержит JSON-объекта');
+  }
+  return JSON.parse(content.slice(start, end + 1));
+}
+
+function validateGenerated(content, params) {
+  let data;
+  try {
+    data = extractJson(content);
+  } catch (error) {
+    return { error: `Ответ не является корректным JSON: ${error.message}` };
+  }
+
+  const parsed = programCreateSchema.safeParse(data);
+  if (!parsed.success) {
+    const fields = formatZodError(parsed.error).fields
+      .slice(0, 10)
+      .map(f => `${f.field || 'корень'}: ${f.message}`);
+    return { error: `JSON не соответствует схеме:\n${fields.join('\n')}` };
+  }
+
+  const workouts = parsed.data.workouts || [];
+  if (workouts.length === 0 || workouts.length > params.daysPerWeek) {
+    return { error: `Нужно от 1 до ${params.daysPerWeek} тренировок в "workouts", получено ${workouts.length}` };
+  }
+  if (workouts.some(w => w.exercises.length === 0)) {
+    return { error: 'В каждой тренировке должно быть хотя бы одно упражнение' };
+  }
+
+  return { program: parsed.data };
+}
+
+// Возвращает { program, usage, attempts } или бросает ошибку, если все попытки не прошли валидацию
+export async function generateProgram(llm, params) {
+  const messages = [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: describeRequest(params) },
+  ];
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= MAX_GENERATION_ATTEMPTS; attempt++) {
+    const completion = await llm.complete(messages, {
+      maxTokens: config.openai.programMaxTokens,
+      temperature: config.openai.temperature,
+      json: true,
+    });
+    usage.promptTokens += completion.usage.promptTokens;
+    usage.completionTokens += completion.usage.completionTokens;
+    usage.totalTokens += completion.usage.totalTokens;
+
+    const result = validateGenerated(completion.content, params);
+    if (result.program) {
+      return {
+        program: {
+          ...result.program,
+          difficulty: result.program.difficulty || params.experience,
+          durationWeeks: result.program.durationWeeks || params.durationWeeks,
+        },
+        usage,
+        attempts: attempt,
+      };
+    }
+
+    lastError = result.error;
+    console.warn(`⚠️ AI program generation attempt ${attempt} failed: ${lastError}`);
+    messages.push(
+      { role: 'assistant', content: completion.content },
+      { role: 'user', content: `${lastError}\nИсправь ответ и верни только JSON-объект.` },
+    );
+  }
+
+  const error = new Error(`AI program generation failed: ${lastError}`);
+  error.code = 'generation_failed';
+  throw error;
+}
@@ -0,0 +1,46 @@
+// Превью платной программы для тех, кто её ещё не купил
+// Автор выбирает режим в Program.preview:
+//   none           — содержимое скрыто полностью
+//   first_week     — тренировки первой недели (у программы без недель — одна неделя цикла)
+//   sample_workout — одна тренировка-пример (preview.workoutIndex)
+//   exercise_list  — все упражнения без подходов, весов и заметок автора
+
+function hideSets(exercise) {
+  return {
+    name: exercise.name,
+    muscle_group: exercise.muscle_group,
+    superset: exercise.superset,
+    sets: [],
+    sets_count: Array.isArray(exercise.sets) ? exercise.sets.length : 0,
+  };
+}
+
+// Возвращает { mode, workouts } — workouts в формате Program.workouts
+export function buildProgramPreview(program) {
+  const workouts = Array.isArray(program.workouts) ? program.workouts : [];
+  const mode = program.preview?.mode || 'none';
+
+  switch (mode) {
+    case 'first_week':
+      return { mode, workouts: workouts.filter(w => w.week === undefined || w.week === 1) };
+
+    case 'sample_workout': {
+      const sample = workouts[program.preview.workoutIndex] || workouts[0];
+      return { mode, workouts: sample ? [sample] : [] };
+    }
+
+    case 'exercise_list':
+      return {
+        mode,
+        workouts: workouts.map(w => ({
+          name: w.name,
+          week: w.week,
+          day: w.day,
+          exercises: (w.exercises || []).map(hideSets),
+        })),
+      };
+
+    default:
+      return { mode: 'none', workouts: [] };
+  }
+}
@@ -0,0 +1,58 @@
+// Сравнение версий программ
+// Workouts хранятся как произвольный JSON, поэтому тренировки сопоставляются по названию
+// (или по позиции, если названия нет), а упражнения — по названию.
+
+const META_FIELDS = ['title', 'description', 'category', 'difficulty', 'durationWeeks'];
+
+function workoutKey(workout, index) {
+  return workout?.name || workout?.title || `#${index + 1}`;
+}
+
+function exerciseName(exercise) {
+  return exercise?.name || exercise?.exercise_name || exercise?.title || '';
+}
+
+function sameJson(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function diffExercises(prevExercises = [], nextExercises = []) {
+  const prevByName = new Map(prevExercises.map(e => [exerciseName(e), e]));
+  const nextByName = new Map(nextExercises.map(e => [exerciseName(e), e]));
+
+  return {
+    added: [...nextByName.keys()].filter(name => !prevByName.has(name)),
+    removed: [...prevByName.keys()].filter(name => !nextByName.has(name)),
+    changed: [...nextByName.keys()].filter(name =>
+      prevByName.has(name) && !sameJson(prevByName.get(name), nextByName.get(name))
+    ),
+  };
+}
+
+// Разница между двумя снимками программы (результаты getProgramVersion)
+export function diffProgramVersions(prev, next) {
+  const fields = META_FIELDS
+    .filter(field => !sameJson(prev?.[field], next?.[field]))
+    .map(field => ({ field, from: prev?.[field], to: next?.[field] }));
+
+  const prevWorkouts = new Map((prev?.workouts || []).map((w, i) => [workoutKey(w, i), w]));
+  const nextWorkouts = new Map((next?.workouts || []).map((w, i) => [workoutKey(w, i), w]));
+
+  const workouts = {
+    added: [...nextWorkouts.keys()].filter(key => !prevWorkouts.has(key)),
+    removed: [...prevWorkouts.keys()].filter(key => !nextWorkouts.has(key)),
+    changed: [],
+  };
+
+  for (const [key, workout] of nextWorkouts) {
+    const previous = prevWorkouts.get(key);
+    if (previous && !sameJson(previous, workout)) {
+      workouts.changed.push({
+        workout: key,
+        exercises: diffExercises(previous.exercises, workout.exercises),
+      });
+    }
+  }
+
+  return { fields, workouts };
+}
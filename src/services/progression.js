@@ -0,0 +1,234 @@
+// Планировщик прогрессии нагрузок
+// Упражнения программы могут нести правило progression (схема: src/schemas/training.js).
+// По истории WorkoutLog этой программы и расчётным 1ПМ из ExerciseRecord планировщик
+// выбирает сегодняшнюю тренировку и считает конкретные подходы и веса.
+// Неделя программы отсчитывается от старта прохождения (src/services/enrollments.js),
+// а без него — от первой записанной тренировки по программе.
+
+import { ExerciseRecord, WorkoutLog } from '../database/models.js';
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const HISTORY_LOGS_LIMIT = 100;
+
+const DEFAULT_INCREMENT = 2.5;
+const DEFAULT_ROUNDING = 2.5;
+const DEFAULT_DELOAD_LOAD_PERCENT = 60;
+const DEFAULT_DELOAD_VOLUME_PERCENT = 50;
+
+const roundTo = (value, step) => Math.round(value / step) * step;
+
+export function getProgramWeek(startedAt, date = new Date()) {
+  if (!startedAt) return 1;
+  return Math.max(Math.floor((date - new Date(startedAt)) / WEEK_MS), 0) + 1;
+}
+
+export function isDeloadWeek(rule, week) {
+  const every = rule?.deload?.every_weeks;
+  return !!every && week % every === 0;
+}
+
+const isWorkingSet = (set) => set?.type !== 'warmup';
+
+function performedSets(exercise) {
+  return (Array.isArray(exercise?.sets) ? exercise.sets : [])
+    .filter(set => isWorkingSet(set) && set.completed !== false && Number(set.reps) > 0)
+    .map(set => ({ weight: Number(set.weight) || 0, reps: Number(set.reps) }));
+}
+
+// Прошлые выполнения упражнения, свежие первыми: { week, sets }
+function exerciseHistory(name, logs, startedAt) {
+  const history = [];
+  for (const log of logs) {
+    const exercise = (log.exercises || []).find(e => e?.name?.trim() === name);
+    const sets = performedSets(exercise);
+    if (sets.length > 0) history.push({ week: getProgramWeek(startedAt, log.completed_at), sets });
+  }
+  return history;
+}
+
+// Последняя сессия не в разгрузочную неделю — от неё считается прогрессия
+function lastRegularSession(rule, history) {
+  return history.find(session => !isDeloadWeek(rule, session.week)) || null;
+}
+
+const topWeight = (sets) => Math.max(...sets.map(set => set.weight));
+
+// Рабочий вес и повторы по правилу; note — пояснение для пользователя
+function applyRule(rule, planned, { week, history, e1rm }) {
+  const increment = rule.increment ?? DEFAULT_INCREMENT;
+  const plannedWeight = planned.find(set => set.weight !== undefined)?.weight;
+  const last = lastRegularSession(rule, history);
+
+  switch (rule.type) {
+    case 'linear': {
+      const targets = planned.map(set => set.reps ?? 0);
+      if (!last) {
+        return { weight: rule.start_weight ?? plannedWeight ?? null, reps: targets, note: 'Первая тренировка: подберите рабочий вес' };
+      }
+      const weight = topWeight(last.sets);
+      const success = last.sets.length >= targets.length && targets.every((reps, i) => last.sets[i].reps >= reps);
+      if (!success) {
+        return { weight, reps: targets, note: 'Прошлый раз не все повторы выполнены — повторите вес' };
+      }
+      // Без отягощения прогрессируем повторами
+      return weight > 0
+        ? { weight: weight + increment, reps: targets, note: `+${increment} кг к прошлой тренировке` }
+        : { weight: 0, reps: targets.map(reps => reps + 1), note: '+1 повтор к прошлой тренировке' };
+    }
+
+    case 'double': {
+      const repsMin = rule.reps_min ?? planned[0]?.reps ?? 8;
+      const repsMax = rule.reps_max ?? planned[0]?.reps_max ?? repsMin + 4;
+      const reps = planned.map(() => repsMin);
+      if (!last) {
+        return { weight: rule.start_weight ?? plannedWeight ?? null, reps, repsMax, note: 'Первая тренировка: подберите рабочий вес' };
+      }
+      const weight = topWeight(last.sets);
+      const topOfRange = last.sets.length >= planned.length && last.sets.every(set => set.reps >= repsMax);
+      return topOfRange && weight > 0
+        ? { weight: weight + increment, reps, repsMax, note: `Верх диапазона достигнут: +${increment} кг` }
+        : { weight, reps, repsMax, note: `Добавляйте повторы до ${repsMax} во всех подходах` };
+    }
+
+    case 'percentage': {
+      const wave = rule.waves[(week - 1) % rule.waves.length];
+      const reps = Array.from({ length: wave.sets ?? planned.length }, () => wave.reps);
+      if (!e1rm) {
+        return { weight: null, reps, note: `${wave.percent}% от 1ПМ — запишите тренировку с этим упражнением, чтобы рассчитать вес` };
+      }
+      const trainingMax = e1rm * (rule.training_max_percent ?? 100) / 100;
+      return { weight: trainingMax * wave.percent / 100, reps, note: `${wave.percent}% от рабочего максимума` };
+    }
+
+    default:
+      return null;
+  }
+}
+
+// Подходы упражнения на сегодня. Разминочные подходы остаются как в программе.
+export function planExercise(exercise, { week, history, e1rm }) {
+  const sets = Array.isArray(exercise.sets) ? exercise.sets : [];
+  const warmups = sets.filter(set => !isWorkingSet(set));
+  const planned = sets.filter(isWorkingSet);
+  const rule = exercise.progression;
+
+  const base = {
+    name: exercise.name,
+    muscle_group: exercise.muscle_group,
+    rest_seconds: exercise.rest_seconds,
+    tempo: exercise.tempo,
+    superset: exercise.superset,
+    notes: exercise.notes,
+    progression: rule?.type || null,
+    deload: false,
+    note: null,
+  };
+
+  if (!rule) {
+    // Без правила — подходы программы, недостающий вес берём из прошлой тренировки
+    const last = history[0];
+    return {
+      ...base,
+      sets: [
+        ...warmups,
+        ...planned.map((set, i) => ({ ...set, weight: set.weight ?? last?.sets[i]?.weight ?? null })),
+      ],
+    };
+  }
+
+  const target = applyRule(rule, planned, { week, history, e1rm });
+  const rounding = rule.rounding ?? DEFAULT_ROUNDING;
+  let weight = target.weight;
+  let count = target.reps.length;
+
+  const deload = isDeloadWeek(rule, week);
+  if (deload) {
+    const load = rule.deload.load_percent ?? DEFAULT_DELOAD_LOAD_PERCENT;
+    const volume = rule.deload.volume_percent ?? DEFAULT_DELOAD_VOLUME_PERCENT;
+    if (weight !== null) weight = weight * load / 100;
+    count = Math.max(Math.round(count * volume / 100), 1);
+  }
+  if (weight !== null) weight = Math.max(roundTo(weight, rounding), 0);
+
+  const template = planned[0] || { type: 'working' };
+  const working = target.reps.slice(0, count).map((reps, i) => {
+    const set = { ...(planned[i] || template), reps, weight };
+    if (target.repsMax) set.reps_max = target.repsMax;
+    else delete set.reps_max;
+    return set;
+  });
+
+  return {
+    ...base,
+    deload,
+    note: deload ? 'Разгрузочная неделя' : target.note,
+    sets: [...warmups, ...working],
+  };
+}
+
+// Тренировка на сегодня: следующая после последней выполненной (по кругу).
+// Если у тренировок указана неделя (week), выбор ограничен текущей неделей цикла.
+function pickWorkout(workouts, lastLog, cycleWeek) {
+  const indexed = workouts.map((workout, index) => ({ workout, index }));
+  const byWeek = workouts.some(w => w.week !== undefined)
+    ? indexed.filter(({ workout }) => workout.week === undefined || workout.week === cycleWeek)
+    : indexed;
+  const candidates = byWeek.length > 0 ? byWeek : indexed;
+
+  if (!lastLog) return candidates[0];
+  const position = candidates.findIndex(({ workout }) => workout.name === lastLog.workout_title);
+  return candidates[(position + 1) % candidates.length];
+}
+
+// program — содержимое программы, доступное пользователю (для покупателя — купленная версия).
+// workoutIndex — явный выбор тренировки вместо следующей по кругу;
+// startedAt — начало прохождения программы (с учётом пауз).
+export async function planTodayWorkout(telegramId, program, { workoutIndex, startedAt: enrollmentStart, date = new Date() } = {}) {
+  const workouts = Array.isArray(program.workouts) ? program.workouts : [];
+  if (workouts.length === 0) return null;
+
+  const [first, logs] = await Promise.all([
+    WorkoutLog.findOne({ telegram_id: telegramId, program_id: program.id }, { completed_at: 1 })
+      .sort({ completed_at: 1 }).lean(),
+    WorkoutLog.find({ telegram_id: telegramId, program_id: program.id, completed_at: { $lte: date } })
+      .sort({ completed_at: -1 }).limit(HISTORY_LOGS_LIMIT).lean(),
+  ]);
+
+  const startedAt = enrollmentStart || first?.completed_at || null;
+  const week = getProgramWeek(startedAt, date);
+  const cycleWeek = ((week - 1) % (program.durationWeeks || 1)) + 1;
+
+  const picked = workoutIndex !== undefined
+    ? { workout: workouts[workoutIndex], index: workoutIndex }
+    : pickWorkout(workouts, logs[0], cycleWeek);
+  if (!picked?.workout) return null;
+
+  const names = (picked.workout.exercises || []).map(e => e.name);
+  const records = await ExerciseRecord.find(
+    { telegram_id: telegramId, exercise_name: { $in: names } },
+    { exercise_name: 1, best_e1rm: 1 }
+  ).lean();
+  const e1rms = new Map(records.map(r => [r.exercise_name, r.best_e1rm]));
+
+  const exercises = (picked.workout.exercises || []).map(exercise => planExercise(exercise, {
+    week,
+    history: exerciseHistory(exercise.name, logs, startedAt),
+    e1rm: e1rms.get(exercise.name) || 0,
+  }));
+
+  return {
+    programId: program.id,
+    week,
+    cycleWeek,
+    startedAt,
+    deload: exercises.some(e => e.deload),
+    workoutIndex: picked.index,
+    workout: {
+      name: picked.workout.name,
+      week: picked.workout.week,
+      day: picked.workout.day,
+      notes: picked.workout.notes,
+      exercises,
+    },
+  };
+}
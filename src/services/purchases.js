@@ -0,0 +1,747 @@
+// Сервис покупки программ
+// Единая точка оформления покупки программы или комплекта для оплаты с баланса и через CryptoBot,
+// а также возврата покупки.
+// При наличии replica set все шаги выполняются в одной транзакции MongoDB,
+// иначе — как сага: каждый шаг фиксируется в PurchaseOrder, при ошибке выполняется компенсация,
+// а после падения процесса незавершённые заказы дозавершаются recoverPendingPurchases().
+
+import mongoose from 'mongoose';
+import { config } from '../config.js';
+import { CryptoInvoice, LedgerEntry, Purchase, PurchaseDispute, PurchaseOrder } from '../database/models.js';
+import {
+  EXTERNAL_ACCOUNT_ID,
+  creditPlatformShare,
+  createLedgerTxnId,
+  debitUserBalanceIfEnough,
+  addBundleSale,
+  hasBundleSale,
+  removeBundleSale,
+  settleBundleSale,
+  purchaseProgram,
+  revokePurchase,
+  updateUserBalance,
+} from '../database/users.js';
+import { resolveRevenueShare, splitRevenue } from './revenueShare.js';
+import {
+  claimDiscountReservation,
+  isDiscountRedeemed,
+  redeemDiscount,
+  releaseDiscount,
+  settleDiscount,
+} from './discounts.js';
+
+const roundMoney = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+export const PURCHASE_RECOVERY_TIMEOUT_MS = 2 * 60 * 1000; // 2 минуты
+
+function purchaseError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// ==========================================
+// ПОДДЕРЖКА ТРАНЗАКЦИЙ
+// ==========================================
+
+let transactionsSupported = null;
+
+// Транзакции доступны только на replica set или через mongos
+async function supportsTransactions() {
+  if (config.purchases.mode === 'saga') return false;
+  if (transactionsSupported !== null) return transactionsSupported;
+  try {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = Boolean(hello.setName || hello.msg === 'isdbgrid');
+  } catch (error) {
+    console.warn('⚠️ Не удалось определить поддержку транзакций:', error.message);
+    transactionsSupported = false;
+  }
+  if (!transactionsSupported) {
+    console.warn('⚠️ MongoDB без replica set: покупки выполняются как сага с компенсацией');
+  }
+  return transactionsSupported;
+}
+
+// ==========================================
+// ШАГИ ПОКУПКИ
+// ==========================================
+
+// Начисление доли получателю. Без пользователя updateUserBalance ничего не проводит,
+// и списанные с покупателя деньги никому бы не дошли — поэтому шаг падает
+async function creditUser(telegramId, amount, entry) {
+  if (!await updateUserBalance(telegramId, amount, entry)) {
+    throw purchaseError('recipient_not_found', `Получатель ${telegramId} не найден`);
+  }
+}
+
+async function creditPlatform(amount, entry) {
+  if (!await creditPlatformShare(amount, entry)) {
+    throw purchaseError('recipient_not_found', 'Аккаунт администратора (ADMIN_TELEGRAM_ID) не найден');
+  }
+}
+
+function ledgerRef(order, session) {
+  let referenceType = 'program';
+  let referenceId = order.program_id;
+  if (order.payment_method === 'crypto') {
+    referenceType = 'crypto_invoice';
+    referenceId = order.invoice_id;
+  } else if (!order.program_id && order.bundle_id) {
+    referenceType = 'bundle';
+    referenceId = order.bundle_id;
+  }
+  return {
+    txnId: order.ledger_txn_id,
+    session,
+    external: order.payment_method === 'crypto',
+    referenceType,
+    referenceId,
+  };
+}
+
+// Программы заказа: у комплекта — items, у обычной покупки — сама программа заказа
+function orderItems(order) {
+  if (order.items?.length) return order.items;
+  return [{
+    program_id: order.program_id,
+    program_version: order.program_version,
+    author_id: order.author_id,
+    amount: order.amount,
+    list_price: order.list_price,
+    revenue_share: order.revenue_share,
+  }];
+}
+
+// Суммы к начислению по получателям: [{ telegramId, amount }]
+function payouts(order, recipientOf, amountOf) {
+  const totals = new Map();
+  for (const item of orderItems(order)) {
+    const recipient = recipientOf(item);
+    const amount = amountOf(item) || 0;
+    if (!recipient || amount <= 0) continue;
+    totals.set(recipient, roundMoney((totals.get(recipient) || 0) + amount));
+  }
+  return [...totals].map(([telegramId, amount]) => ({ telegramId, amount }));
+}
+
+const orderLabel = (order) => order.program_id ? `программы ${order.program_id}` : `комплекта ${order.bundle_id}`;
+
+// Шаг выполняется по частям (parts): по программам комплекта или по получателям денег.
+// У обычной покупки часть одна, и имя шага в журнале заказа — без суффикса.
+const STEPS = {
+  // Использование промокода (лимит проверяется атомарно; оплату криптой не отклоняем — она уже прошла)
+  redeem: {
+    applies: (order) => order.discount?.kind === 'coupon',
+    async run(order, session) {
+      // Под оплаченный инвойс использование зарезервировано при его создании
+      if (order.invoice_id && await claimDiscountReservation(order.discount.discount_id, order.invoice_id, order.id, { session })) {
+        return;
+      }
+      const ok = await redeemDiscount(order.discount.discount_id, order.id, {
+        session,
+        force: order.payment_method === 'crypto',
+      });
+      if (!ok) throw purchaseError('code_exhausted', 'Промокод больше недействителен');
+    },
+    isApplied: (order) => isDiscountRedeemed(order.discount.discount_id, order.id),
+    compensate: (order) => releaseDiscount(order.discount.discount_id, order.id),
+    settle: (order, session) => settleDiscount(order.discount.discount_id, order.id, { session }),
+  },
+
+  // Списание с баланса покупателя
+  debit: {
+    applies: (order) => order.payment_method === 'balance' && order.amount > 0,
+    async run(order, session) {
+      const ok = await debitUserBalanceIfEnough(order.telegram_id, order.amount, {
+        ...ledgerRef(order, session),
+        type: 'PURCHASE',
+        counterpartyId: order.author_id,
+        description: `Покупка ${orderLabel(order)}`,
+      });
+      if (!ok) throw purchaseError('insufficient_funds', 'Недостаточно средств');
+    },
+    isApplied: (order) => LedgerEntry.exists({
+      txn_id: order.ledger_txn_id,
+      telegram_id: order.telegram_id,
+      type: 'PURCHASE',
+    }),
+    compensate: (order) => creditUser(order.telegram_id, order.amount, {
+      ...ledgerRef(order, null),
+      type: 'PURCHASE_REVERSAL',
+      counterpartyId: order.author_id,
+    }),
+  },
+
+  // Выдача доступа к программе
+  grant: {
+    parts: (order) => orderItems(order).map(item => ({ key: item.program_id, item })),
+    applies: () => true,
+    async run(order, session, { item }) {
+      const result = await purchaseProgram(order.telegram_id, item.program_id, {
+        session,
+        details: {
+          programVersion: item.program_version,
+          amount: item.amount,
+          listPrice: item.list_price,
+          discount: order.discount,
+          bundleId: order.bundle_id,
+          paymentMethod: order.payment_method,
+          orderId: order.id,
+          revenueShare: item.revenue_share,
+        },
+      });
+      if (!result.success) throw purchaseError('already_purchased', 'Вы уже приобрели эту программу');
+    },
+    isApplied: (order, { item }) => Purchase.exists({ telegram_id: order.telegram_id, program_id: item.program_id }),
+    compensate: (order, { item }) => revokePurchase(order.telegram_id, item.program_id),
+  },
+
+  // Счётчик продаж комплекта
+  bundle_count: {
+    applies: (order) => Boolean(order.bundle_id),
+    run: (order, session) => addBundleSale(order.bundle_id, order.id, { session }),
+    isApplied: (order) => hasBundleSale(order.bundle_id, order.id),
+    compensate: (order) => removeBundleSale(order.bundle_id, order.id),
+    settle: (order, session) => settleBundleSale(order.bundle_id, order.id, { session }),
+  },
+
+  // Доли тренеров (у комплекта из программ разных авторов — каждому своя)
+  trainer_credit: {
+    parts: (order) => payouts(order, item => item.author_id, item => item.revenue_share.trainer_share)
+      .map(payout => ({ key: String(payout.telegramId), ...payout })),
+    applies: () => true,
+    run: (order, session, { telegramId, amount }) => creditUser(telegramId, amount, {
+      ...ledgerRef(order, session),
+      type: 'SALE_INCOME',
+      counterpartyId: order.telegram_id,
+      description: `Продажа ${orderLabel(order)}`,
+    }),
+    isApplied: (order, { telegramId }) => LedgerEntry.exists({
+      txn_id: order.ledger_txn_id,
+      telegram_id: telegramId,
+      type: 'SALE_INCOME',
+    }),
+    compensate: (order, { telegramId, amount }) => creditUser(telegramId, -amount, {
+      ...ledgerRef(order, null),
+      type: 'PURCHASE_REVERSAL',
+      counterpartyId: order.telegram_id,
+    }),
+  },
+
+  // Реферальная доля третьей стороне
+  referral_credit: {
+    parts: (order) => payouts(order, item => item.revenue_share.referral_id, item => item.revenue_share.referral_share)
+      .map(payout => ({ key: String(payout.telegramId), ...payout })),
+    applies: () => true,
+    run: (order, session, { telegramId, amount }) => creditUser(telegramId, amount, {
+      ...ledgerRef(order, session),
+      type: 'REFERRAL_INCOME',
+      counterpartyId: order.telegram_id,
+      description: `Реферальная доля с продажи ${orderLabel(order)}`,
+    }),
+    isApplied: (order, { telegramId }) => LedgerEntry.exists({
+      txn_id: order.ledger_txn_id,
+      telegram_id: telegramId,
+      type: 'REFERRAL_INCOME',
+    }),
+    compensate: (order, { telegramId, amount }) => creditUser(telegramId, -amount, {
+      ...ledgerRef(order, null),
+      type: 'PURCHASE_REVERSAL',
+      counterpartyId: order.telegram_id,
+    }),
+  },
+
+  // Доля платформы
+  platform_credit: {
+    applies: (order) => order.revenue_share.platform_share > 0,
+    run: (order, session) => creditPlatform(order.revenue_share.platform_share, {
+      ...ledgerRef(order, session),
+      counterpartyId: order.telegram_id,
+    }),
+    isApplied: (order) => LedgerEntry.exists({ txn_id: order.ledger_txn_id, type: 'PLATFORM_FEE' }),
+    compensate: (order) => creditPlatform(-order.revenue_share.platform_share, {
+      ...ledgerRef(order, null),
+      type: 'PURCHASE_REVERSAL',
+      counterpartyId: order.telegram_id,
+    }),
+  },
+};
+
+const STEP_ORDER = ['redeem', 'debit', 'grant', 'bundle_count', 'trainer_credit', 'referral_credit', 'platform_credit'];
+
+// Для тестов: внедрение сбоев в шаги (test/purchases.test.js) и план шагов (test/purchaseSteps.test.js)
+export { STEPS as PURCHASE_STEPS, STEP_ORDER as PURCHASE_STEP_ORDER, planSteps as planPurchaseSteps };
+
+// Снимает с промокода и комплекта отметки завершённого заказа (шаги с settle)
+async function settleOrder(order, session = null) {
+  for (const stepName of STEP_ORDER) {
+    const step = STEPS[stepName];
+    if (step.settle && step.applies(order)) await step.settle(order, session);
+  }
+}
+
+// Шаги заказа по порядку: [{ name, run, isApplied, compensate }]
+function planSteps(order) {
+  const multipart = Boolean(order.items?.length);
+  const planned = [];
+  for (const stepName of STEP_ORDER) {
+    const step = STEPS[stepName];
+    if (!step.applies(order)) continue;
+    for (const part of step.parts ? step.parts(order) : [{}]) {
+      planned.push({
+        name: multipart && part.key ? `${stepName}:${part.key}` : stepName,
+        run: (session) => step.run(order, session, part),
+        isApplied: () => step.isApplied(order, part),
+        compensate: () => step.compensate(order, part),
+      });
+    }
+  }
+  return planned;
+}
+
+// ==========================================
+// ВЫПОЛНЕНИЕ ЗАКАЗА
+// ==========================================
+
+// Отказы в покупке — заказ закрывается, покупатель получает сообщение об ошибке
+const DECLINE_CODES = ['insufficient_funds', 'already_purchased', 'code_exhausted'];
+
+// Оплата криптой уже получена: после сбоя такой заказ не откатывается, а остаётся PENDING,
+// и recoverPendingPurchases() проводит его заново
+const retryLater = (order, error) => order.payment_method === 'crypto' && !DECLINE_CODES.includes(error.code);
+
+async function executeInTransaction(order) {
+  await mongoose.connection.transaction(async (session) => {
+    const applied = [];
+    for (const step of planSteps(order)) {
+      await step.run(session);
+      applied.push(step.name);
+    }
+    await settleOrder(order, session);
+
+    await PurchaseOrder.updateOne(
+      { id: order.id },
+      { $set: { status: 'COMPLETED', completed_steps: applied, error: '' } },
+      { session }
+    );
+  });
+}
+
+async function executeSaga(order, { resume = false } = {}) {
+  const done = new Set(order.completed_steps || []);
+  const applied = [];
+
+  try {
+    for (const step of planSteps(order)) {
+      // При дозавершении шаг мог выполниться, но не успеть отметиться в заказе
+      if (!done.has(step.name) && !(resume && await step.isApplied())) {
+        await step.run(null);
+      }
+      applied.push(step);
+      await PurchaseOrder.updateOne({ id: order.id }, { $addToSet: { completed_steps: step.name } });
+    }
+
+    await PurchaseOrder.updateOne({ id: order.id }, { $set: { status: 'COMPLETED', error: '' } });
+  } catch (error) {
+    if (retryLater(order, error)) {
+      await PurchaseOrder.updateOne({ id: order.id }, { $set: { error: error.code || error.message } });
+      throw error;
+    }
+
+    try {
+      for (const step of applied.reverse()) {
+        await step.compensate();
+        await PurchaseOrder.updateOne({ id: order.id }, { $pull: { completed_steps: step.name } });
+      }
+      await PurchaseOrder.updateOne(
+        { id: order.id },
+        { $set: { status: 'COMPENSATED', error: error.code || error.message } }
+      );
+    } catch (compensationError) {
+      // Заказ остаётся PENDING — recoverPendingPurchases() повторит попытку позже
+      console.error(`❌ Компенсация покупки ${order.id} не завершена:`, compensationError);
+      await PurchaseOrder.updateOne(
+        { id: order.id },
+        { $set: { error: `compensation_failed: ${compensationError.message}` } }
+      );
+    }
+    throw error;
+  }
+
+  // Заказ уже завершён: оставшаяся отметка на счётчики не влияет
+  try {
+    await settleOrder(order);
+  } catch (error) {
+    console.warn(`⚠️ Не удалось закрыть отметки заказа ${order.id}:`, error.message);
+  }
+}
+
+async function runPurchaseOrder(order, options = {}) {
+  try {
+    if (order.mode === 'transaction') {
+      await executeInTransaction(order);
+    } else {
+      await executeSaga(order, options);
+    }
+    return { success: true, orderId: order.id };
+  } catch (error) {
+    if (order.mode === 'transaction') {
+      const $set = { error: error.code || error.message };
+      if (!retryLater(order, error)) $set.status = 'FAILED';
+      await PurchaseOrder.updateOne({ id: order.id }, { $set });
+    }
+    if (DECLINE_CODES.includes(error.code)) {
+      return { success: false, error: error.code, message: error.message, orderId: order.id };
+    }
+    throw error;
+  }
+}
+
+// Распределение выручки с суммы price по правилу revenueShare.js — в формате заказа
+async function buildRevenueShare(program, authorId, price) {
+  const rule = await resolveRevenueShare(program, { trainerId: authorId });
+  const shares = price > 0
+    ? splitRevenue(price, rule)
+    : { trainerShare: 0, platformShare: 0, referralShare: 0 };
+  return {
+    platform_percent: rule.platformPercent,
+    source: rule.source,
+    promotion_id: rule.promotionId,
+    trainer_share: shares.trainerShare,
+    platform_share: shares.platformShare,
+    referral_id: rule.referralId,
+    referral_percent: rule.referralPercent,
+    referral_share: shares.referralShare,
+  };
+}
+
+const createOrderId = () => `po_${Date.now()}_${Math.floor(Math.random() * 10000)}`;
+
+// discount — применённая скидка из quoteProgramPrice ({ id, kind, code, amount })
+async function createPurchaseOrder(buyerId, program, { paymentMethod, amount, listPrice, discount, trainerId, invoiceId = '' }) {
+  const price = roundMoney(Number(amount) || 0);
+  const authorId = trainerId || program.authorId;
+  const revenueShare = await buildRevenueShare(program, authorId, price);
+  const useTransaction = await supportsTransactions();
+
+  const order = await PurchaseOrder.create({
+    id: createOrderId(),
+    telegram_id: buyerId,
+    program_id: program.id,
+    program_version: program.currentVersion || 1,
+    author_id: authorId,
+    payment_method: paymentMethod,
+    invoice_id: invoiceId ? String(invoiceId) : '',
+    amount: price,
+    list_price: roundMoney(Number(listPrice ?? program.price) || 0),
+    discount: discount ? {
+      discount_id: discount.id,
+      kind: discount.kind,
+      code: discount.code || null,
+      amount: discount.amount,
+    } : null,
+    revenue_share: revenueShare,
+    ledger_txn_id: createLedgerTxnId(),
+    mode: useTransaction ? 'transaction' : 'saga',
+  });
+
+  return order.toObject();
+}
+
+// Цена комплекта делится между программами пропорционально их цене (если все бесплатны — поровну).
+// Копейки от округления добавляются к самой дорогой доле.
+export function allocateBundlePrice(price, listPrices) {
+  const total = listPrices.reduce((sum, value) => sum + value, 0);
+  const amounts = listPrices.map(value =>
+    roundMoney(total > 0 ? price * value / total : price / listPrices.length)
+  );
+  const rest = roundMoney(price - amounts.reduce((sum, value) => sum + value, 0));
+  const largest = amounts.indexOf(Math.max(...amounts));
+  amounts[largest] = roundMoney(amounts[largest] + rest);
+  return amounts;
+}
+
+// programs — программы комплекта (getProgram) в порядке bundle.programIds.
+// Каждая программа получает долю цены и своё распределение выручки: у комплекта из программ
+// разных тренеров каждый автор получает долю со своих программ.
+async function createBundlePurchaseOrder(buyerId, bundle, programs, { paymentMethod, amount, invoiceId = '' }) {
+  const price = roundMoney(Number(amount) || 0);
+  const listPrices = programs.map(program => roundMoney(Number(program.price) || 0));
+  const amounts = allocateBundlePrice(price, listPrices);
+
+  const items = [];
+  for (const [index, program] of programs.entries()) {
+    items.push({
+      program_id: program.id,
+      program_version: program.currentVersion || 1,
+      author_id: program.authorId,
+      amount: amounts[index],
+      list_price: listPrices[index],
+      revenue_share: await buildRevenueShare(program, program.authorId, amounts[index]),
+    });
+  }
+  const total = (key) => roundMoney(items.reduce((sum, item) => sum + (item.revenue_share[key] || 0), 0));
+  const platformShare = total('platform_share');
+  const useTransaction = await supportsTransactions();
+
+  const order = await PurchaseOrder.create({
+    id: createOrderId(),
+    telegram_id: buyerId,
+    bundle_id: bundle.id,
+    items,
+    author_id: bundle.authorId,
+    payment_method: paymentMethod,
+    invoice_id: invoiceId ? String(invoiceId) : '',
+    amount: price,
+    list_price: roundMoney(listPrices.reduce((sum, value) => sum + value, 0)),
+    // Итоги по всем программам; начисления идут по items
+    revenue_share: {
+      platform_percent: price > 0 ? roundMoney(platformShare / price * 100) : 0,
+      trainer_share: total('trainer_share'),
+      platform_share: platformShare,
+      referral_share: total('referral_share'),
+    },
+    ledger_txn_id: createLedgerTxnId(),
+    mode: useTransaction ? 'transaction' : 'saga',
+  });
+
+  return order.toObject();
+}
+
+// ==========================================
+// ПУБЛИЧНОЕ API
+// ==========================================
+
+// Покупка с внутреннего баланса. quote — цена из quoteProgramPrice (по умолчанию — полная цена)
+export async function purchaseWithBalance(buyerId, program, quote = null) {
+  const order = await createPurchaseOrder(buyerId, program, {
+    paymentMethod: 'balance',
+    amount: quote ? quote.amount : Number(program.price) || 0,
+    listPrice: quote?.listPrice,
+    discount: quote?.discount,
+  });
+  return runPurchaseOrder(order);
+}
+
+// Повторный вебхук по инвойсу, заказ которого не провёлся из-за сбоя, продолжает этот заказ
+function findPendingCryptoOrder(invoiceId) {
+  return PurchaseOrder.findOne({ invoice_id: String(invoiceId), status: 'PENDING' }).lean();
+}
+
+// Покупка, оплаченная инвойсом CryptoBot (вызывается из вебхука).
+// listPrice и discount приходят из payload инвойса — цена была посчитана при его создании.
+export async function completeCryptoPurchase(buyerId, program, { invoiceId, amount, trainerId, listPrice, discount }) {
+  const pending = await findPendingCryptoOrder(invoiceId);
+  if (pending) return runPurchaseOrder(pending, { resume: true });
+
+  const order = await createPurchaseOrder(buyerId, program, {
+    paymentMethod: 'crypto',
+    amount: Number(amount) || Number(program.price) || 0,
+    listPrice,
+    discount,
+    trainerId: Number(trainerId) || program.authorId,
+    invoiceId,
+  });
+  return runPurchaseOrder(order);
+}
+
+// Покупка комплекта с баланса: одно списание, доступ ко всем программам комплекта
+export async function purchaseBundleWithBalance(buyerId, bundle, programs) {
+  const order = await createBundlePurchaseOrder(buyerId, bundle, programs, {
+    paymentMethod: 'balance',
+    amount: bundle.price,
+  });
+  return runPurchaseOrder(order);
+}
+
+// Комплект, оплаченный инвойсом CryptoBot (вызывается из вебхука)
+export async function completeCryptoBundlePurchase(buyerId, bundle, programs, { invoiceId, amount }) {
+  const pending = await findPendingCryptoOrder(invoiceId);
+  if (pending) return runPurchaseOrder(pending, { resume: true });
+
+  const order = await createBundlePurchaseOrder(buyerId, bundle, programs, {
+    paymentMethod: 'crypto',
+    amount: Number(amount) || bundle.price,
+    invoiceId,
+  });
+  return runPurchaseOrder(order);
+}
+
+// ==========================================
+// ВОЗВРАТ ПОКУПКИ
+// ==========================================
+// Возврат — отдельная транзакция журнала (dispute.refundTxnId) со ссылкой на ту же оплату:
+// доступ отзывается, доли тренера, реферала и платформы сторнируются, покупатель получает
+// сумму оплаты на внутренний баланс (оплаченный инвойс CryptoBot отменить нельзя).
+// Баланс тренера может уйти в минус, если доля уже выведена.
+
+function refundRef(order, dispute, session) {
+  return { ...ledgerRef(order, session), txnId: dispute.refundTxnId };
+}
+
+const refundEntryExists = (dispute, telegramId) => LedgerEntry.exists({
+  txn_id: dispute.refundTxnId,
+  telegram_id: telegramId,
+  type: 'PURCHASE_REVERSAL',
+});
+
+const REFUND_STEPS = {
+  // Отзыв доступа — первым, чтобы одна покупка не вернулась дважды
+  revoke: {
+    applies: () => true,
+    async run(order, dispute, session) {
+      const revoked = await revokePurchase(order.telegram_id, order.program_id, { session });
+      if (!revoked) throw purchaseError('purchase_not_found', 'Покупка уже отменена');
+    },
+    isApplied: async (order) => !await Purchase.exists({ telegram_id: order.telegram_id, program_id: order.program_id }),
+  },
+
+  trainer_debit: {
+    applies: (order) => Boolean(order.author_id) && order.revenue_share.trainer_share > 0,
+    run: (order, dispute, session) => creditUser(order.author_id, -order.revenue_share.trainer_share, {
+      ...refundRef(order, dispute, session),
+      type: 'PURCHASE_REVERSAL',
+      counterpartyId: order.telegram_id,
+      description: `Возврат покупки программы ${order.program_id}`,
+    }),
+    isApplied: (order, dispute) => refundEntryExists(dispute, order.author_id),
+  },
+
+  referral_debit: {
+    applies: (order) => Boolean(order.revenue_share.referral_id) && order.revenue_share.referral_share > 0,
+    run: (order, dispute, session) => creditUser(order.revenue_share.referral_id, -order.revenue_share.referral_share, {
+      ...refundRef(order, dispute, session),
+      type: 'PURCHASE_REVERSAL',
+      counterpartyId: order.telegram_id,
+      description: `Возврат покупки программы ${order.program_id}`,
+    }),
+    isApplied: (order, dispute) => refundEntryExists(dispute, order.revenue_share.referral_id),
+  },
+
+  platform_debit: {
+    applies: (order) => order.revenue_share.platform_share > 0,
+    run: (order, dispute, session) => creditPlatform(-order.revenue_share.platform_share, {
+      ...refundRef(order, dispute, session),
+      type: 'PURCHASE_REVERSAL',
+      counterpartyId: order.telegram_id,
+      description: `Возврат покупки программы ${order.program_id}`,
+    }),
+    isApplied: (order, dispute) => refundEntryExists(dispute, config.adminTelegramId || EXTERNAL_ACCOUNT_ID),
+  },
+
+  buyer_credit: {
+    applies: (order) => order.amount > 0,
+    run: (order, dispute, session) => creditUser(order.telegram_id, order.amount, {
+      ...refundRef(order, dispute, session),
+      type: 'PURCHASE_REVERSAL',
+      counterpartyId: order.author_id,
+      description: `Возврат покупки программы ${order.program_id}`,
+    }),
+    isApplied: (order, dispute) => refundEntryExists(dispute, order.telegram_id),
+  },
+};
+
+const REFUND_STEP_ORDER = ['revoke', 'trainer_debit', 'referral_debit', 'platform_debit', 'buyer_credit'];
+
+const refundCompletedUpdate = () => ({
+  $set: { status: 'APPROVED', reviewed_at: new Date(), error: '' },
+});
+
+// Возвращается одна программа: у комплекта — её доля цены и выручки из items заказа
+function refundTarget(order, programId) {
+  const item = orderItems(order).find(i => i.program_id === programId);
+  if (!item) return null;
+  return {
+    ...order,
+    program_id: item.program_id,
+    author_id: item.author_id,
+    amount: item.amount,
+    revenue_share: item.revenue_share,
+  };
+}
+
+// У комплекта заказ остаётся COMPLETED: остальные программы по-прежнему куплены
+const refundOrderUpdate = (order) => (order.items?.length ? null : { $set: { status: 'REFUNDED' } });
+
+// Проводит возврат по заявке в статусе PROCESSING.
+// Возвращает возвращённую позицию в формате заказа (author_id, amount, revenue_share).
+// Без транзакций шаги отмечаются в заявке: прерванный возврат продолжается с того же места.
+// При ошибке заявка остаётся PROCESSING.
+export async function refundPurchase(dispute) {
+  const order = await PurchaseOrder.findOne({ id: dispute.orderId }).lean();
+  const target = order && refundTarget(order, dispute.programId);
+  if (!target) throw purchaseError('order_not_found', 'Заказ покупки не найден');
+  const orderUpdate = refundOrderUpdate(order);
+
+  if (await supportsTransactions()) {
+    await mongoose.connection.transaction(async (session) => {
+      const applied = [];
+      for (const name of REFUND_STEP_ORDER) {
+        if (!REFUND_STEPS[name].applies(target)) continue;
+        await REFUND_STEPS[name].run(target, dispute, session);
+        applied.push(name);
+      }
+
+      if (orderUpdate) await PurchaseOrder.updateOne({ id: order.id }, orderUpdate, { session });
+      await PurchaseDispute.updateOne(
+        { id: dispute.id },
+        { ...refundCompletedUpdate(), $addToSet: { completed_steps: { $each: applied } } },
+        { session }
+      );
+    });
+    return target;
+  }
+
+  const done = new Set(dispute.completedSteps || []);
+  for (const name of REFUND_STEP_ORDER) {
+    const step = REFUND_STEPS[name];
+    if (!step.applies(target) || done.has(name)) continue;
+
+    // Шаг мог выполниться, но не успеть отметиться в заявке
+    if (!await step.isApplied(target, dispute)) {
+      await step.run(target, dispute, null);
+    }
+    await PurchaseDispute.updateOne({ id: dispute.id }, { $addToSet: { completed_steps: name } });
+  }
+
+  if (orderUpdate) await PurchaseOrder.updateOne({ id: order.id }, orderUpdate);
+  await PurchaseDispute.updateOne({ id: dispute.id }, refundCompletedUpdate());
+  return target;
+}
+
+// Дозавершение заказов, оставшихся PENDING после падения процесса
+export async function recoverPendingPurchases(olderThanMs = PURCHASE_RECOVERY_TIMEOUT_MS) {
+  const cutoff = new Date(Date.now() - olderThanMs);
+  const orders = await PurchaseOrder.find({ status: 'PENDING', updated_at: { $lt: cutoff } }).lean();
+  let recovered = 0;
+
+  for (const order of orders) {
+    try {
+      // Незафиксированная транзакция ничего не изменила: оплату с баланса просто отменяем,
+      // а уже оплаченный криптой заказ проводим заново
+      if (order.mode === 'transaction' && order.payment_method === 'balance') {
+        await PurchaseOrder.updateOne(
+          { id: order.id, status: 'PENDING' },
+          { $set: { status: 'FAILED', error: 'interrupted' } }
+        );
+        continue;
+      }
+
+      const result = await runPurchaseOrder(order, { resume: true });
+      if (order.invoice_id) {
+        await CryptoInvoice.updateOne(
+          { invoice_id: order.invoice_id },
+          result.success
+            ? { $set: { status: 'DONE', processed_at: new Date() } }
+            : { $set: { status: 'FAILED', error: result.error, processed_at: new Date() } }
+        );
+      }
+      if (result.success) recovered++;
+    } catch (error) {
+      console.error(`❌ Не удалось дозавершить покупку ${order.id}:`, error);
+    }
+  }
+
+  return recovered;
+}
@@ -0,0 +1,173 @@
+// Движок распределения выручки от продаж программ
+// Комиссия платформы определяется по приоритету:
+//   активная промо-акция → ставка программы → ставка тренера → общая ставка (Settings)
+// Реферальная доля считается от цены и вычитается из доли тренера.
+
+import { Program, Settings } from '../database/models.js';
+
+const roundMoney = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+export const DEFAULT_PLATFORM_COMMISSION_PERCENT = 10;
+
+const DEFAULT_COMMISSION_KEY = 'platformCommissionPercent';
+const TRAINER_COMMISSION_KEY_PREFIX = 'trainerCommissionPercent:';
+const PROMOTIONS_KEY = 'commissionPromotions';
+
+export function isValidPercent(value) {
+  return Number.isFinite(value) && value >= 0 && value <= 100;
+}
+
+// ==========================================
+// НАСТРОЙКИ СТАВОК
+// ==========================================
+
+export async function getDefaultCommissionPercent() {
+  const setting = await Settings.findOne({ key: DEFAULT_COMMISSION_KEY }).lean();
+  const percent = Number(setting?.value);
+  return isValidPercent(percent) ? percent : DEFAULT_PLATFORM_COMMISSION_PERCENT;
+}
+
+export async function setDefaultCommissionPercent(percent) {
+  await Settings.updateOne(
+    { key: DEFAULT_COMMISSION_KEY },
+    { $set: { value: percent } },
+    { upsert: true }
+  );
+}
+
+export async function getTrainerCommissionPercent(trainerId) {
+  const setting = await Settings.findOne({ key: `${TRAINER_COMMISSION_KEY_PREFIX}${trainerId}` }).lean();
+  const percent = Number(setting?.value);
+  return setting && isValidPercent(percent) ? percent : null;
+}
+
+// percent = null снимает индивидуальную ставку тренера
+export async function setTrainerCommissionPercent(trainerId, percent) {
+  const key = `${TRAINER_COMMISSION_KEY_PREFIX}${trainerId}`;
+  if (percent === null) {
+    await Settings.deleteOne({ key });
+    return;
+  }
+  await Settings.updateOne({ key }, { $set: { value: percent } }, { upsert: true });
+}
+
+export async function getTrainerCommissionPercents() {
+  const settings = await Settings.find({ key: { $regex: `^${TRAINER_COMMISSION_KEY_PREFIX}` } }).lean();
+  return settings.map(s => ({
+    trainerId: Number(s.key.slice(TRAINER_COMMISSION_KEY_PREFIX.length)),
+    percent: s.value,
+    updatedAt: s.updatedAt,
+  }));
+}
+
+// updates: { commissionPercent, referralTelegramId, referralPercent }
+export async function setProgramRevenueShare(programId, updates) {
+  const updateObj = {};
+  if (updates.commissionPercent !== undefined) updateObj.commission_percent = updates.commissionPercent;
+  if (updates.referralTelegramId !== undefined) updateObj.referral_telegram_id = updates.referralTelegramId;
+  if (updates.referralPercent !== undefined) updateObj.referral_percent = updates.referralPercent;
+
+  const result = await Program.updateOne({ id: programId }, { $set: updateObj });
+  return result.matchedCount > 0;
+}
+
+// ==========================================
+// ПРОМО-АКЦИИ (временная комиссия, обычно 0%)
+// ==========================================
+
+export async function getCommissionPromotions() {
+  const setting = await Settings.findOne({ key: PROMOTIONS_KEY }).lean();
+  return Array.isArray(setting?.value) ? setting.value : [];
+}
+
+// promotion: { title, percent, startsAt, endsAt, trainerId?, programId? }
+export async function addCommissionPromotion(promotion) {
+  const created = {
+    id: `promo_${Date.now()}`,
+    title: promotion.title || '',
+    percent: promotion.percent ?? 0,
+    starts_at: promotion.startsAt,
+    ends_at: promotion.endsAt,
+    trainer_id: promotion.trainerId ?? null,
+    program_id: promotion.programId ?? null,
+  };
+
+  await Settings.updateOne(
+    { key: PROMOTIONS_KEY },
+    { $push: { value: created } },
+    { upsert: true }
+  );
+  return created;
+}
+
+export async function removeCommissionPromotion(promotionId) {
+  const promotions = await getCommissionPromotions();
+  const remaining = promotions.filter(p => p.id !== promotionId);
+  if (remaining.length === promotions.length) return false;
+
+  await Settings.updateOne({ key: PROMOTIONS_KEY }, { $set: { value: remaining } });
+  return true;
+}
+
+function findActivePromotion(promotions, program, trainerId, at) {
+  const active = promotions.filter(p =>
+    new Date(p.starts_at) <= at && at < new Date(p.ends_at)
+    && (!p.program_id || p.program_id === program.id)
+    && (!p.trainer_id || p.trainer_id === trainerId)
+  );
+  if (active.length === 0) return null;
+
+  // Самая выгодная для тренера акция
+  return active.reduce((best, p) => (p.percent < best.percent ? p : best));
+}
+
+// ==========================================
+// РАСЧЁТ
+// ==========================================
+
+// Определяет ставки, действующие для продажи программы в момент `at`
+export async function resolveRevenueShare(program, { trainerId = program.authorId, at = new Date() } = {}) {
+  // Ставки программы не отдаются наружу через getProgram, поэтому читаем их напрямую
+  const stored = await Program.findOne(
+    { id: program.id },
+    { commission_percent: 1, referral_telegram_id: 1, referral_percent: 1 }
+  ).lean();
+
+  const rule = {
+    platformPercent: null,
+    source: 'default',
+    promotionId: null,
+    referralId: stored?.referral_telegram_id || null,
+    referralPercent: stored?.referral_telegram_id ? (stored.referral_percent || 0) : 0,
+  };
+
+  const promotion = findActivePromotion(await getCommissionPromotions(), program, trainerId, at);
+  if (promotion) {
+    rule.platformPercent = promotion.percent;
+    rule.source = 'promotion';
+    rule.promotionId = promotion.id;
+  } else if (stored?.commission_percent != null) {
+    rule.platformPercent = stored.commission_percent;
+    rule.source = 'program';
+  } else {
+    const trainerPercent = trainerId ? await getTrainerCommissionPercent(trainerId) : null;
+    if (trainerPercent !== null) {
+      rule.platformPercent = trainerPercent;
+      rule.source = 'trainer';
+    } else {
+      rule.platformPercent = await getDefaultCommissionPercent();
+    }
+  }
+
+  // Реферальная доля не может превышать то, что остаётся тренеру
+  rule.referralPercent = Math.min(rule.referralPercent, 100 - rule.platformPercent);
+  return rule;
+}
+
+// Делит сумму по правилу; остаток от округления достаётся тренеру
+export function splitRevenue(amount, rule) {
+  const platformShare = roundMoney(amount * rule.platformPercent / 100);
+  const referralShare = rule.referralId ? roundMoney(amount * rule.referralPercent / 100) : 0;
+  const trainerShare = roundMoney(amount - platformShare - referralShare);
+  return { trainerShare, platformShare, referralShare };
+}
@@ -0,0 +1,252 @@
+// Отчёт о продажах тренера
+// Продажи берутся из Purchase (сумма оплаты и доля тренера из revenue_share; у программы из комплекта —
+// её доля цены комплекта), способ оплаты — balance или crypto, по крипто-оплатам дополнительно
+// разбивка по валютам инвойсов CryptoBot.
+// Возвращённая покупка удаляется из Purchase, поэтому возвраты считаются по проводкам
+// PURCHASE_REVERSAL тренера из транзакций возврата (PurchaseDispute.refund_txn_id):
+// валовая выручка тренера = чистая + возвраты.
+
+import { CryptoInvoice, LedgerEntry, Program, Purchase, PurchaseDispute, PurchaseOrder } from '../database/models.js';
+
+export const SALES_GROUP_BY = ['day', 'week', 'month'];
+
+const roundMoney = (value) => Math.round(((value || 0) + Number.EPSILON) * 100) / 100;
+
+const trainerShare = { $ifNull: ['$revenue_share.trainer_share', 0] };
+
+function truncDate(path, unit, timezone) {
+  return { $dateTrunc: { date: path, unit, timezone, startOfWeek: 'monday' } };
+}
+
+const salesTotals = {
+  units: { $sum: 1 },
+  revenue: { $sum: { $ifNull: ['$amount', 0] } },
+  earnings: { $sum: trainerShare },
+};
+
+async function getTrainerPrograms(trainerId) {
+  const programs = await Program.find(
+    { author_id: trainerId, is_personal: { $ne: true } },
+    { _id: 0, id: 1, title: 1, is_archived: 1 }
+  ).lean();
+  return new Map(programs.map(p => [p.id, p]));
+}
+
+// Проводки возврата доли тренера с программой и способом оплаты из заявки на возврат.
+// Компенсации незавершённых покупок к возвратам не относятся: проданной программы не было.
+function refundEntriesPipeline(trainerId, programIds, from, to) {
+  return [
+    { $match: { telegram_id: trainerId, type: 'PURCHASE_REVERSAL', created_at: { $gte: from, $lte: to } } },
+    {
+      $lookup: {
+        from: PurchaseDispute.collection.name,
+        localField: 'txn_id',
+        foreignField: 'refund_txn_id',
+        pipeline: [{ $project: { _id: 0, program_id: 1, payment_method: 1 } }],
+        as: 'dispute',
+      },
+    },
+    { $unwind: '$dispute' },
+    {
+      $set: {
+        program_id: '$dispute.program_id',
+        payment_method: '$dispute.payment_method',
+        refund: { $multiply: ['$amount', -1] },
+      },
+    },
+    { $match: { program_id: { $in: programIds } } },
+  ];
+}
+
+function emptyRow() {
+  return { units: 0, revenue: 0, earnings: 0, refundUnits: 0, refundAmount: 0 };
+}
+
+// Строка отчёта: продажи включают возвращённые, net* — после возвратов
+function formatRow(row) {
+  return {
+    unitsSold: row.units + row.refundUnits,
+    netUnits: row.units,
+    revenue: roundMoney(row.revenue),
+    grossEarnings: roundMoney(row.earnings + row.refundAmount),
+    refunds: { units: row.refundUnits, amount: roundMoney(row.refundAmount) },
+    netEarnings: roundMoney(row.earnings),
+  };
+}
+
+function mergeInto(map, key, sales, refunds) {
+  const row = map.get(key) || emptyRow();
+  if (sales) {
+    row.units += sales.units;
+    row.revenue += sales.revenue;
+    row.earnings += sales.earnings;
+  }
+  if (refunds) {
+    row.refundUnits += refunds.units;
+    row.refundAmount += refunds.amount;
+  }
+  map.set(key, row);
+}
+
+// options: { from, to, groupBy, timezone }
+export async function getTrainerSalesReport(trainerId, { from, to, groupBy = 'month', timezone = 'UTC' }) {
+  const programs = await getTrainerPrograms(trainerId);
+  const programIds = [...programs.keys()];
+
+  const [[sales], refunds, cryptoAssets] = await Promise.all([
+    Purchase.aggregate([
+      { $match: { program_id: { $in: programIds }, purchased_at: { $gte: from, $lte: to } } },
+      {
+        $facet: {
+          byProgram: [{ $group: { _id: '$program_id', ...salesTotals } }],
+          byPeriod: [{ $group: { _id: truncDate('$purchased_at', groupBy, timezone), ...salesTotals } }],
+          byMethod: [{ $group: { _id: { $ifNull: ['$payment_method', 'balance'] }, ...salesTotals } }],
+        },
+      },
+    ]),
+    LedgerEntry.aggregate([
+      ...refundEntriesPipeline(trainerId, programIds, from, to),
+      {
+        $facet: {
+          byProgram: [{ $group: { _id: '$program_id', units: { $sum: 1 }, amount: { $sum: '$refund' } } }],
+          byPeriod: [{ $group: { _id: truncDate('$created_at', groupBy, timezone), units: { $sum: 1 }, amount: { $sum: '$refund' } } }],
+          byMethod: [{ $group: { _id: '$payment_method', units: { $sum: 1 }, amount: { $sum: '$refund' } } }],
+        },
+      },
+    ]).then(([result]) => result),
+    // Валюта оплаты — из инвойса заказа; у комплекта в сумму идёт доля программ тренера
+    Purchase.aggregate([
+      { $match: { program_id: { $in: programIds }, payment_method: 'crypto', purchased_at: { $gte: from, $lte: to } } },
+      {
+        $lookup: {
+          from: PurchaseOrder.collection.name,
+          localField: 'order_id',
+          foreignField: 'id',
+          pipeline: [{ $project: { _id: 0, invoice_id: 1 } }],
+          as: 'order',
+        },
+      },
+      { $set: { invoice_id: { $first: '$order.invoice_id' } } },
+      {
+        $lookup: {
+          from: CryptoInvoice.collection.name,
+          localField: 'invoice_id',
+          foreignField: 'invoice_id',
+          pipeline: [{ $project: { _id: 0, asset: 1 } }],
+          as: 'invoice',
+        },
+      },
+      {
+        $group: {
+          _id: { $ifNull: [{ $first: '$invoice.asset' }, 'USDT'] },
+          invoices: { $addToSet: '$invoice_id' },
+          amount: { $sum: '$amount' },
+        },
+      },
+      { $set: { invoices: { $size: '$invoices' } } },
+      { $sort: { amount: -1 } },
+    ]),
+  ]);
+
+  const byProgram = new Map();
+  const byPeriod = new Map();
+  const byMethod = new Map();
+  const total = emptyRow();
+
+  for (const row of sales.byProgram) {
+    mergeInto(byProgram, row._id, row, null);
+    total.units += row.units;
+    total.revenue += row.revenue;
+    total.earnings += row.earnings;
+  }
+  for (const row of refunds.byProgram) {
+    mergeInto(byProgram, row._id, null, row);
+    total.refundUnits += row.units;
+    total.refundAmount += row.amount;
+  }
+  for (const row of sales.byPeriod) mergeInto(byPeriod, row._id.toISOString(), row, null);
+  for (const row of refunds.byPeriod) mergeInto(byPeriod, row._id.toISOString(), null, row);
+  for (const row of sales.byMethod) mergeInto(byMethod, row._id, row, null);
+  for (const row of refunds.byMethod) mergeInto(byMethod, row._id, null, row);
+
+  return {
+    range: { from, to, groupBy, timezone },
+    totals: formatRow(total),
+    programs: [...byProgram.entries()]
+      .map(([programId, row]) => ({
+        programId,
+        title: programs.get(programId)?.title || '',
+        isArchived: programs.get(programId)?.is_archived || false,
+        ...formatRow(row),
+      }))
+      .sort((a, b) => b.netEarnings - a.netEarnings),
+    periods: [...byPeriod.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([period, row]) => ({ period, ...formatRow(row) })),
+    paymentMethods: ['balance', 'crypto'].map(method => ({
+      method,
+      ...formatRow(byMethod.get(method) || emptyRow()),
+    })),
+    cryptoAssets: cryptoAssets.map(a => ({ asset: a._id, invoices: a.invoices, amount: roundMoney(a.amount) })),
+  };
+}
+
+// ==========================================
+// CSV
+// ==========================================
+
+const CSV_COLUMNS = ['date', 'type', 'program_id', 'program_title', 'payment_method', 'amount', 'trainer_share'];
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Выгрузка операций за период: продажи и возвраты по одной строке.
+// BOM нужен, чтобы Excel открыл кириллицу в UTF-8.
+export async function exportTrainerSalesCsv(trainerId, { from, to }) {
+  const programs = await getTrainerPrograms(trainerId);
+  const programIds = [...programs.keys()];
+
+  const [purchases, refunds] = await Promise.all([
+    Purchase.find(
+      { program_id: { $in: programIds }, purchased_at: { $gte: from, $lte: to } },
+      { _id: 0, program_id: 1, amount: 1, payment_method: 1, revenue_share: 1, purchased_at: 1 }
+    ).sort({ purchased_at: 1 }).lean(),
+    LedgerEntry.aggregate([
+      ...refundEntriesPipeline(trainerId, programIds, from, to),
+      { $sort: { created_at: 1 } },
+    ]),
+  ]);
+
+  const rows = [
+    ...purchases.map(p => ({
+      date: p.purchased_at,
+      type: 'sale',
+      programId: p.program_id,
+      paymentMethod: p.payment_method || 'balance',
+      amount: p.amount || 0,
+      trainerShare: p.revenue_share?.trainer_share || 0,
+    })),
+    ...refunds.map(r => ({
+      date: r.created_at,
+      type: 'refund',
+      programId: r.program_id,
+      paymentMethod: r.payment_method,
+      amount: '',
+      trainerShare: -r.refund,
+    })),
+  ].sort((a, b) => a.date - b.date);
+
+  const lines = rows.map(row => [
+    row.date.toISOString(),
+    row.type,
+    row.programId,
+    programs.get(row.programId)?.title || '',
+    row.paymentMethod,
+    row.amount === '' ? '' : roundMoney(row.amount),
+    roundMoney(row.trainerShare),
+  ].map(csvCell).join(','));
+
+  return '﻿' + [CSV_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n';
+}
@@ -0,0 +1,246 @@
+// Аналитика тренировок
+// Всё считается агрегацией в MongoDB (один $facet-запрос), в Node только приводим результат к ответу API.
+// Требуется MongoDB 5.2+ ($dateTrunc, $setWindowFields, $top).
+
+import { config } from '../config.js';
+import { WorkoutLog } from '../database/models.js';
+
+export const ANALYTICS_GROUP_BY = ['week', 'month'];
+
+// Формулы 1ПМ заметно теряют точность на длинных подходах (как в personalRecords.js)
+const MAX_REPS_FOR_E1RM = 12;
+const TOP_EXERCISES_LIMIT = 30;
+const EPOCH = new Date(0);
+
+const roundTo = (value, digits = 1) => Math.round((value || 0) * 10 ** digits) / 10 ** digits;
+
+// Старые записи могут хранить числа строками
+const toNumber = (path) => ({ $convert: { input: path, to: 'double', onError: 0, onNull: 0 } });
+
+const exercisesOf = (path) => ({ $cond: [{ $isArray: path }, path, []] });
+
+const completedSet = { $ne: ['$$set.completed', false] };
+const workingSet = { $and: [completedSet, { $ne: ['$$set.type', 'warmup'] }] };
+
+const setTonnage = { $multiply: [toNumber('$$set.weight'), toNumber('$$set.reps')] };
+
+function setOneRepMax(formula) {
+  const weight = toNumber('$$set.weight');
+  const reps = toNumber('$$set.reps');
+  const estimate = formula === 'brzycki'
+    ? { $divide: [{ $multiply: [weight, 36] }, { $subtract: [37, reps] }] }
+    : { $multiply: [weight, { $add: [1, { $divide: [reps, 30] }] }] };
+
+  return {
+    $switch: {
+      branches: [
+        { case: { $or: [{ $lte: [reps, 0] }, { $gt: [reps, MAX_REPS_FOR_E1RM] }] }, then: 0 },
+        { case: { $eq: [reps, 1] }, then: weight },
+      ],
+      default: estimate,
+    },
+  };
+}
+
+function truncDate(unit, timezone) {
+  return { $dateTrunc: { date: '$completed_at', unit, timezone, startOfWeek: 'monday' } };
+}
+
+// Серии подряд идущих периодов с тренировками: номер периода минус порядковый номер
+// одинаков внутри серии (gaps-and-islands)
+function streakStages(unit, timezone) {
+  return [
+    { $group: { _id: truncDate(unit, timezone) } },
+    { $setWindowFields: { sortBy: { _id: 1 }, output: { rank: { $documentNumber: {} } } } },
+    {
+      $group: {
+        _id: {
+          $subtract: [
+            { $dateDiff: { startDate: EPOCH, endDate: '$_id', unit, timezone, startOfWeek: 'monday' } },
+            '$rank',
+          ],
+        },
+        start: { $min: '$_id' },
+        end: { $max: '$_id' },
+        length: { $sum: 1 },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        longest: { $max: '$length' },
+        latest: { $top: { sortBy: { end: -1 }, output: { start: '$start', end: '$end', length: '$length' } } },
+      },
+    },
+  ];
+}
+
+// Текущая серия — последняя, если она доходит до текущего или предыдущего периода
+function currentStreak(streak, unit, to) {
+  if (!streak?.latest) return 0;
+  const periodMs = unit === 'day' ? 24 * 60 * 60 * 1000 : 7 * 24 * 60 * 60 * 1000;
+  const reference = Math.min(Date.now(), to.getTime());
+  return reference - new Date(streak.latest.end).getTime() < 2 * periodMs ? streak.latest.length : 0;
+}
+
+// options: { from: Date, to: Date, groupBy: 'week'|'month', timezone }
+export async function getWorkoutAnalytics(telegramId, { from, to, groupBy = 'week', timezone = 'UTC' }) {
+  const formula = config.records.oneRepMaxFormula;
+  const period = truncDate(groupBy, timezone);
+
+  // Одна строка на упражнение в тренировке, только рабочие подходы
+  const exerciseRows = [
+    { $unwind: '$exercises' },
+    {
+      $project: {
+        period,
+        week: truncDate('week', timezone),
+        name: { $trim: { input: { $toString: { $ifNull: ['$exercises.name', '$exercises.exercise_name', ''] } } } },
+        muscleGroup: { $ifNull: ['$exercises.muscle_group', 'other'] },
+        sets: { $filter: { input: exercisesOf('$exercises.sets'), as: 'set', cond: workingSet } },
+      },
+    },
+    { $match: { name: { $ne: '' } } },
+  ];
+
+  const [result] = await WorkoutLog.aggregate([
+    { $match: { telegram_id: telegramId, completed_at: { $gte: from, $lte: to } } },
+    {
+      $addFields: {
+        tonnage: {
+          $sum: {
+            $map: {
+              input: exercisesOf('$exercises'),
+              as: 'exercise',
+              in: {
+                $sum: {
+                  $map: {
+                    input: { $filter: { input: exercisesOf('$$exercise.sets'), as: 'set', cond: completedSet } },
+                    as: 'set',
+                    in: setTonnage,
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    // Для старых записей без подходов берём объём, присланный клиентом
+    { $addFields: { tonnage: { $cond: [{ $gt: ['$tonnage', 0] }, '$tonnage', toNumber('$volume')] } } },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              workouts: { $sum: 1 },
+              tonnage: { $sum: '$tonnage' },
+              duration: { $sum: toNumber('$duration') },
+              avgDuration: { $avg: toNumber('$duration') },
+            },
+          },
+        ],
+        periods: [
+          {
+            $group: {
+              _id: period,
+              workouts: { $sum: 1 },
+              tonnage: { $sum: '$tonnage' },
+              duration: { $sum: toNumber('$duration') },
+              avgDuration: { $avg: toNumber('$duration') },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+        exercises: [
+          ...exerciseRows,
+          {
+            $group: {
+              _id: { name: '$name', period: '$period' },
+              sessions: { $sum: 1 },
+              sets: { $sum: { $size: '$sets' } },
+              tonnage: { $sum: { $sum: { $map: { input: '$sets', as: 'set', in: setTonnage } } } },
+              maxWeight: { $max: { $max: { $map: { input: '$sets', as: 'set', in: toNumber('$$set.weight') } } } },
+              e1rm: { $max: { $max: { $map: { input: '$sets', as: 'set', in: setOneRepMax(formula) } } } },
+            },
+          },
+          { $sort: { '_id.period': 1 } },
+          {
+            $group: {
+              _id: '$_id.name',
+              totalSets: { $sum: '$sets' },
+              points: {
+                $push: {
+                  period: '$_id.period',
+                  sessions: '$sessions',
+                  sets: '$sets',
+                  tonnage: '$tonnage',
+                  maxWeight: '$maxWeight',
+                  e1rm: '$e1rm',
+                },
+              },
+            },
+          },
+          { $sort: { totalSets: -1, _id: 1 } },
+          { $limit: TOP_EXERCISES_LIMIT },
+        ],
+        muscleGroups: [
+          ...exerciseRows,
+          { $group: { _id: { muscleGroup: '$muscleGroup', week: '$week' }, sets: { $sum: { $size: '$sets' } } } },
+          { $sort: { '_id.week': 1 } },
+          {
+            $group: {
+              _id: '$_id.muscleGroup',
+              totalSets: { $sum: '$sets' },
+              weeks: { $push: { week: '$_id.week', sets: '$sets' } },
+            },
+          },
+          { $sort: { totalSets: -1 } },
+        ],
+        dayStreak: streakStages('day', timezone),
+        weekStreak: streakStages('week', timezone),
+      },
+    },
+  ]);
+
+  const totals = result.totals[0] || { workouts: 0, tonnage: 0, duration: 0, avgDuration: 0 };
+  const [dayStreak] = result.dayStreak;
+  const [weekStreak] = result.weekStreak;
+
+  return {
+    range: { from, to, groupBy, timezone },
+    totals: {
+      workouts: totals.workouts,
+      tonnage: roundTo(totals.tonnage),
+      duration: totals.duration,
+      avgDuration: Math.round(totals.avgDuration || 0),
+    },
+    periods: result.periods.map(p => ({
+      period: p._id,
+      workouts: p.workouts,
+      tonnage: roundTo(p.tonnage),
+      duration: p.duration,
+      avgDuration: Math.round(p.avgDuration || 0),
+    })),
+    exercises: result.exercises.map(e => ({
+      name: e._id,
+      totalSets: e.totalSets,
+      points: e.points.map(p => ({
+        ...p,
+        tonnage: roundTo(p.tonnage),
+        maxWeight: p.maxWeight || 0,
+        e1rm: roundTo(p.e1rm),
+      })),
+    })),
+    muscleGroups: result.muscleGroups.map(m => ({
+      muscleGroup: m._id,
+      totalSets: m.totalSets,
+      weeks: m.weeks,
+    })),
+    streaks: {
+      days: { current: currentStreak(dayStreak, 'day', to), longest: dayStreak?.longest || 0 },
+      weeks: { current: currentStreak(weekStreak, 'week', to), longest: weekStreak?.longest || 0 },
+    },
+  };
+}
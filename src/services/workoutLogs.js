@@ -0,0 +1,34 @@
+// Запись тренировки в дневник
+// Общий путь для POST /api/workouts и POST /api/workouts/log: лог сохраняется с привязкой к дню
+// прохождения программы, по подходам определяются личные рекорды, разбор AI-коучем готовится в фоне.
+
+import { createWorkoutLog } from '../database/users.js';
+import { resolveEnrollmentDay } from './enrollments.js';
+import { detectPersonalRecords } from './personalRecords.js';
+import { scheduleWorkoutReview } from './workoutReview.js';
+
+// Возвращает { id, personalRecords }
+export async function logWorkout(telegramId, { programId, workoutTitle, exercises, duration, volume, notes }) {
+  const { id } = await createWorkoutLog(telegramId, {
+    programId,
+    workoutTitle,
+    exercises,
+    duration,
+    volume,
+    notes,
+    enrollment: await resolveEnrollmentDay(telegramId, programId),
+  });
+
+  // Тренировка уже сохранена — ошибка подсчёта рекордов не должна её терять
+  let personalRecords = [];
+  try {
+    personalRecords = await detectPersonalRecords(telegramId, exercises || [], { workoutId: id });
+  } catch (error) {
+    console.error('Error detecting personal records:', error);
+  }
+
+  // Разбор тренировки коучем: GET /api/workouts/:id/review
+  scheduleWorkoutReview(id);
+
+  return { id, personalRecords };
+}
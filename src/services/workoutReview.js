@@ -0,0 +1,279 @@
+// Разбор тренировки AI-коучем
+// После POST /api/workouts/log тренировка сравнивается с прошлыми сессиями той же программы
+// (или тренировки с тем же названием) и с рекордами ExerciseRecord. Факты — застой, спад,
+// рекомендуемая нагрузка — считаются в коде, LLM только формулирует по ним короткую заметку.
+// Запрос к LLM расходует дневной лимит AI (src/services/aiQuota.js) один раз на тренировку:
+// повторный разбор после исправления подходов не списывается. Когда лимит исчерпан,
+// заметка собирается из фактов без модели. Разбор выполняется в фоне и хранится в WorkoutLog.review.
+
+import { config } from '../config.js';
+import { ExerciseRecord, User, WorkoutLog } from '../database/models.js';
+import { releaseAIQuota, reserveAIQuota } from './aiQuota.js';
+import { getLLMProvider } from './llm.js';
+import { notifyUser } from './notifications.js';
+import { estimateOneRepMax } from './personalRecords.js';
+
+const PREVIOUS_SESSIONS_LIMIT = 3;
+const DROP_THRESHOLD = 0.9; // рабочий вес или объём ниже 90% прошлой сессии — спад
+
+const roundTo = (value, step) => Math.round(value / step) * step;
+
+function workingSets(exercise) {
+  return (Array.isArray(exercise?.sets) ? exercise.sets : [])
+    .filter(set => set.type !== 'warmup' && set.completed !== false && Number(set.reps) > 0);
+}
+
+// Сводка по упражнению в одной сессии: топ-сет, объём, расчётный 1ПМ
+function summarizeExercise(exercise) {
+  const sets = workingSets(exercise);
+  if (sets.length === 0) return null;
+
+  let top = null;
+  let tonnage = 0;
+  let e1rm = 0;
+  for (const set of sets) {
+    const weight = Number(set.weight) || 0;
+    const reps = Number(set.reps);
+    tonnage += weight * reps;
+    e1rm = Math.max(e1rm, estimateOneRepMax(weight, reps));
+    if (!top || weight > top.weight || (weight === top.weight && reps > top.reps)) {
+      top = { weight, reps };
+    }
+  }
+
+  return { top, tonnage, e1rm, sets: sets.length, minReps: Math.min(...sets.map(s => Number(s.reps))) };
+}
+
+// Изменились ли рабочие подходы — только тогда правка тренировки требует нового разбора
+export function haveWorkingSetsChanged(before, after) {
+  const snapshot = (exercises) => JSON.stringify(
+    (Array.isArray(exercises) ? exercises : []).map(exercise => ({
+      name: exercise?.name?.trim() || '',
+      sets: workingSets(exercise).map(set => [Number(set.weight) || 0, Number(set.reps)]),
+    })).filter(exercise => exercise.sets.length > 0)
+  );
+  return snapshot(before) !== snapshot(after);
+}
+
+function findExercise(log, name) {
+  return (log.exercises || []).find(e => e?.name?.trim() === name);
+}
+
+// Следующая нагрузка: прогресс — добавить вес (или повтор без веса), застой — разгрузка 10%,
+// спад — повторить вес прошлой сессии
+function suggestNextLoad(status, current, previous) {
+  const increment = current.top.weight >= 20 ? 2.5 : 1;
+
+  if (current.top.weight === 0) {
+    return { weight: 0, reps: status === 'drop' && previous ? previous.top.reps : current.top.reps + 1 };
+  }
+  switch (status) {
+    case 'stall':
+      return { weight: roundTo(current.top.weight * 0.9, increment), reps: current.top.reps };
+    case 'drop':
+      return { weight: previous.top.weight, reps: previous.top.reps };
+    case 'progress':
+    case 'new':
+      // Все рабочие подходы выполнены не хуже топ-сета — можно добавлять вес
+      return current.minReps >= current.top.reps
+        ? { weight: current.top.weight + increment, reps: current.top.reps }
+        : { weight: current.top.weight, reps: current.top.reps };
+    default:
+      return { weight: current.top.weight, reps: current.top.reps + 1 };
+  }
+}
+
+// Факты для разбора: по каждому упражнению статус относительно прошлых сессий и рекорда
+export function analyzeSession(log, previousLogs, records) {
+  const exercises = [];
+
+  for (const exercise of log.exercises || []) {
+    const name = exercise?.name?.trim();
+    const current = summarizeExercise(exercise);
+    if (!name || !current) continue;
+
+    const history = previousLogs
+      .map(prev => summarizeExercise(findExercise(prev, name)))
+      .filter(Boolean);
+    const previous = history[0] || null;
+
+    let status = 'new';
+    if (previous) {
+      if (current.top.weight < previous.top.weight * DROP_THRESHOLD || current.tonnage < previous.tonnage * DROP_THRESHOLD) {
+        status = 'drop';
+      } else if (current.e1rm > Math.max(...history.map(h => h.e1rm)) || current.tonnage > previous.tonnage) {
+        status = 'progress';
+      } else if (history.length >= 2) {
+        // Третья сессия подряд без роста
+        status = 'stall';
+      } else {
+        status = 'same';
+      }
+    }
+
+    const record = records.get(name);
+    exercises.push({
+      name,
+      status,
+      top: current.top,
+      tonnage: current.tonnage,
+      e1rm: current.e1rm,
+      previousTop: previous?.top || null,
+      previousTonnage: previous?.tonnage ?? null,
+      recordE1rm: record?.best_e1rm || 0,
+      percentOfRecord: record?.best_e1rm ? Math.round(current.e1rm / record.best_e1rm * 100) : null,
+      nextLoad: suggestNextLoad(status, current, previous),
+    });
+  }
+
+  return { previousSessions: previousLogs.length, exercises };
+}
+
+const STATUS_LABELS = {
+  new: 'первая сессия',
+  progress: 'прогресс',
+  same: 'без изменений',
+  stall: 'застой',
+  drop: 'спад',
+};
+
+function describeInsights(log, insights) {
+  const lines = [`Тренировка «${log.workout_title}», прошлых сессий для сравнения: ${insights.previousSessions}`];
+  for (const e of insights.exercises) {
+    let line = `- ${e.name}: ${STATUS_LABELS[e.status]}, топ-сет ${e.top.weight}кг × ${e.top.reps}`;
+    if (e.previousTop) line += ` (в прошлый раз ${e.previousTop.weight}кг × ${e.previousTop.reps})`;
+    if (e.percentOfRecord) line += `, ${e.percentOfRecord}% от рекорда по 1ПМ`;
+    line += `; в следующий раз: ${e.nextLoad.weight}кг × ${e.nextLoad.reps}`;
+    lines.push(line);
+  }
+  return lines.join('\n');
+}
+
+const REVIEW_PROMPT = `Ты — фитнес-коуч. Тебе дан разбор только что завершённой тренировки с уже рассчитанными фактами.
+Напиши короткую заметку (3-5 предложений) на русском языке:
+- отметь прогресс,
+- обрати внимание на застой и спад, предложи возможную причину (восстановление, сон, техника),
+- назови рекомендуемые веса на следующую тренировку из фактов.
+НЕ придумывай цифры, которых нет в фактах. Без markdown.`;
+
+// Без LLM разбор всё равно полезен — собираем его из фактов
+function formatFallbackReview(insights) {
+  const notes = insights.exercises.map(e => {
+    const next = `${e.nextLoad.weight}кг × ${e.nextLoad.reps}`;
+    if (e.status === 'drop') return `${e.name}: спад по сравнению с прошлой сессией — повторите ${next} и проверьте восстановление.`;
+    if (e.status === 'stall') return `${e.name}: застой третью сессию подряд — сделайте разгрузку: ${next}.`;
+    if (e.status === 'progress') return `${e.name}: прогресс! В следующий раз — ${next}.`;
+    return `${e.name}: в следующий раз — ${next}.`;
+  });
+  return notes.join('\n') || 'В тренировке нет рабочих подходов для разбора.';
+}
+
+async function pushReview(telegramId, log, content) {
+  const user = await User.findOne({ telegram_id: telegramId }, { workout_review_push: 1 }).lean();
+  if (!user?.workout_review_push) return;
+
+  await notifyUser(telegramId, `📝 Разбор тренировки «${log.workout_title}»\n\n${content}`);
+}
+
+// Заметка от LLM по фактам или null, если модель недоступна, лимит исчерпан или запрос не удался.
+// charged — запрос за эту тренировку уже списан с лимита при прошлом разборе.
+async function completeReview(logId, log, insights, charged) {
+  const llm = getLLMProvider();
+  if (!llm || insights.exercises.length === 0) return null;
+
+  if (!charged) {
+    const quota = await reserveAIQuota(log.telegram_id);
+    if (!quota.allowed) return null;
+  }
+
+  try {
+    const completion = await llm.complete([
+      { role: 'system', content: REVIEW_PROMPT },
+      { role: 'user', content: describeInsights(log, insights) },
+    ], { maxTokens: config.openai.maxTokens, temperature: config.openai.temperature });
+
+    return {
+      content: completion.content,
+      provider: llm.name,
+      model: llm.model,
+      total_tokens: completion.usage.totalTokens,
+      ai_charged: true,
+    };
+  } catch (error) {
+    console.error(`AI workout review failed for ${logId}, using fallback:`, error.message);
+    if (!charged) await releaseAIQuota(log.telegram_id);
+    return null;
+  }
+}
+
+export async function reviewWorkout(logId) {
+  const log = await WorkoutLog.findOne({ id: logId }).lean();
+  if (!log) return;
+
+  // Повторный разбор (после правки подходов) не списывает лимит и не шлёт уведомление ещё раз
+  const isRepeat = Boolean(log.review);
+  const charged = Boolean(log.review?.ai_charged);
+  await WorkoutLog.updateOne(
+    { id: logId },
+    { $set: { review: { status: 'pending', ai_charged: charged, created_at: new Date() } } }
+  );
+
+  try {
+    const sameWorkout = log.program_id ? { program_id: log.program_id } : { workout_title: log.workout_title };
+    const exerciseNames = (log.exercises || []).map(e => e?.name?.trim()).filter(Boolean);
+
+    const [previousLogs, records] = await Promise.all([
+      WorkoutLog.find({
+        telegram_id: log.telegram_id,
+        ...sameWorkout,
+        completed_at: { $lt: log.completed_at },
+      }).sort({ completed_at: -1 }).limit(PREVIOUS_SESSIONS_LIMIT).lean(),
+      ExerciseRecord.find({ telegram_id: log.telegram_id, exercise_name: { $in: exerciseNames } }).lean(),
+    ]);
+
+    const insights = analyzeSession(log, previousLogs, new Map(records.map(r => [r.exercise_name, r])));
+    const review = {
+      status: 'ready',
+      insights,
+      content: '',
+      provider: null,
+      model: null,
+      total_tokens: 0,
+      ai_charged: charged,
+      ...await completeReview(logId, log, insights, charged),
+    };
+    if (!review.content) review.content = formatFallbackReview(insights);
+
+    await WorkoutLog.updateOne({ id: logId }, { $set: { review: { ...review, created_at: new Date() } } });
+    if (!isRepeat) {
+      await pushReview(log.telegram_id, log, review.content);
+    }
+  } catch (error) {
+    console.error(`Error reviewing workout ${logId}:`, error);
+    await WorkoutLog.updateOne(
+      { id: logId },
+      { $set: { 'review.status': 'failed', 'review.error': error.message } }
+    );
+  }
+}
+
+// Запускает разбор в фоне — ответ на сохранение тренировки его не ждёт
+export function scheduleWorkoutReview(logId) {
+  setImmediate(() => {
+    reviewWorkout(logId).catch(error => console.error(`Error scheduling workout review ${logId}:`, error));
+  });
+}
+
+export async function getWorkoutReview(logId) {
+  const log = await WorkoutLog.findOne({ id: logId }, { review: 1 }).lean();
+  const review = log?.review;
+  if (!review) return null;
+
+  return {
+    status: review.status,
+    content: review.content,
+    insights: review.insights,
+    provider: review.provider,
+    createdAt: review.created_at,
+  };
+}
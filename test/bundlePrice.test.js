@@ -0,0 +1,48 @@
+// Распределение цены комплекта по программам (allocateBundlePrice, src/services/purchases.js):
+// доли пропорциональны ценам программ, сумма долей всегда равна цене комплекта.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { allocateBundlePrice } from '../src/services/purchases.js';
+
+const sum = (amounts) => Math.round(amounts.reduce((total, value) => total + value, 0) * 100) / 100;
+
+describe('allocateBundlePrice', () => {
+  test('цена делится пропорционально ценам программ', () => {
+    assert.deepEqual(allocateBundlePrice(120, [100, 50]), [80, 40]);
+    assert.deepEqual(allocateBundlePrice(90, [30, 30, 60]), [22.5, 22.5, 45]);
+  });
+
+  test('остаток округления достаётся самой крупной доле', () => {
+    // 33.33 × 3 = 99.99 — недостающая копейка у первой из равных долей
+    assert.deepEqual(allocateBundlePrice(100, [10, 10, 10]), [33.34, 33.33, 33.33]);
+    // 16.67 + 16.67 + 66.67 = 100.01 — лишняя копейка снимается с крупной доли
+    assert.deepEqual(allocateBundlePrice(100, [10, 10, 40]), [16.67, 16.67, 66.66]);
+  });
+
+  test('программы без цены делят комплект поровну', () => {
+    assert.deepEqual(allocateBundlePrice(100, [0, 0, 0]), [33.34, 33.33, 33.33]);
+  });
+
+  test('бесплатная программа в платном комплекте получает нулевую долю', () => {
+    assert.deepEqual(allocateBundlePrice(50, [0, 100]), [0, 50]);
+  });
+
+  test('бесплатный комплект — нулевые доли', () => {
+    assert.deepEqual(allocateBundlePrice(0, [100, 50]), [0, 0]);
+  });
+
+  test('сумма долей равна цене комплекта', () => {
+    const cases = [
+      [99.99, [19.99, 29.99, 49.99]],
+      [10, [3, 3, 3, 3, 3, 3, 3]],
+      [1234.56, [700, 300.5, 0, 15.25]],
+      [0.05, [1, 1, 1]],
+    ];
+    for (const [price, listPrices] of cases) {
+      const amounts = allocateBundlePrice(price, listPrices);
+      assert.equal(amounts.length, listPrices.length);
+      assert.equal(sum(amounts), price, `${price} / ${listPrices.join(', ')}`);
+    }
+  });
+});
@@ -0,0 +1,49 @@
+// Отметки прохождения программы (src/services/enrollments.js) без базы данных.
+// Отметка выводится из записанных тренировок, поэтому удалённая тренировка снимает её сама.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEnrollmentProgress } from '../src/services/enrollments.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STARTED_AT = new Date('2026-03-02T06:00:00Z');
+
+const enrollment = { status: 'active', startedAt: STARTED_AT, pausedMs: 0 };
+const program = {
+  durationWeeks: 4,
+  workouts: [{ name: 'Верх', day: 1 }, { name: 'Низ', day: 3 }, { name: 'Всё тело', day: 5 }],
+};
+
+// Четвёртый день первой недели
+const NOW = new Date(STARTED_AT.getTime() + 3 * DAY_MS + 60 * 60 * 1000);
+
+const statuses = (progress) => progress.thisWeek.map(session => session.status);
+
+describe('getEnrollmentProgress', () => {
+  test('тренировка закрывает сессию с тем же названием на той же неделе', () => {
+    const logs = [{ id: 'log_1', workoutTitle: 'Верх', enrollmentWeek: 1 }];
+    const progress = getEnrollmentProgress(enrollment, program, logs, NOW);
+
+    assert.deepEqual(statuses(progress), ['completed', 'missed', 'upcoming']);
+    assert.equal(progress.thisWeek[0].workoutLogId, 'log_1');
+    assert.deepEqual(progress.adherence, { scheduled: 2, completed: 1, percent: 50 });
+  });
+
+  test('без тренировки сессия снова пропущена', () => {
+    const progress = getEnrollmentProgress(enrollment, program, [], NOW);
+
+    assert.deepEqual(statuses(progress), ['missed', 'missed', 'upcoming']);
+    assert.deepEqual(progress.adherence, { scheduled: 2, completed: 0, percent: 0 });
+  });
+
+  test('тренировка другой недели или с другим названием сессию не закрывает', () => {
+    const logs = [
+      { id: 'log_1', workoutTitle: 'Верх', enrollmentWeek: 2 },
+      { id: 'log_2', workoutTitle: 'Кардио', enrollmentWeek: 1 },
+    ];
+    const progress = getEnrollmentProgress(enrollment, program, logs, NOW);
+
+    assert.equal(progress.thisWeek[0].status, 'missed');
+    assert.equal(progress.adherence.completed, 0);
+  });
+});
@@ -0,0 +1,108 @@
+// Расчёт 1ПМ и сравнение с сохранёнными рекордами (src/services/personalRecords.js) без базы данных.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { collectBestSets, compareWithRecord, estimateOneRepMax } from '../src/services/personalRecords.js';
+
+const sets = (...pairs) => pairs.map(([weight, reps]) => ({ type: 'working', weight, reps }));
+
+function bestFor(exerciseSets) {
+  return collectBestSets([{ name: 'Жим лёжа', sets: exerciseSets }]).get('Жим лёжа');
+}
+
+function existingRecord(overrides = {}) {
+  return {
+    best_weight: 100,
+    best_weight_reps: 5,
+    best_volume: 500,
+    best_e1rm: estimateOneRepMax(100, 5),
+    reps_at_weight: [{ weight: 90, reps: 8 }, { weight: 100, reps: 5 }],
+    ...overrides,
+  };
+}
+
+const recordTypes = ({ records }) => records.map(record => record.type);
+
+describe('estimateOneRepMax', () => {
+  test('по Эпли: вес × (1 + повторы / 30), с округлением до 0.1', () => {
+    assert.equal(estimateOneRepMax(100, 5, 'epley'), 116.7);
+    assert.equal(estimateOneRepMax(60, 10, 'epley'), 80);
+  });
+
+  test('по Бжицки: вес × 36 / (37 − повторы)', () => {
+    assert.equal(estimateOneRepMax(100, 5, 'brzycki'), 112.5);
+    assert.equal(estimateOneRepMax(60, 10, 'brzycki'), 80);
+  });
+
+  test('один повтор — это и есть 1ПМ при любой формуле', () => {
+    assert.equal(estimateOneRepMax(140, 1, 'epley'), 140);
+    assert.equal(estimateOneRepMax(140, 1, 'brzycki'), 140);
+  });
+
+  test('без веса или повторов 1ПМ не считается', () => {
+    assert.equal(estimateOneRepMax(0, 5, 'epley'), 0);
+    assert.equal(estimateOneRepMax(100, 0, 'brzycki'), 0);
+    assert.equal(estimateOneRepMax(undefined, 5), 0);
+  });
+});
+
+describe('collectBestSets', () => {
+  test('разминка, невыполненные подходы и подходы без повторов не учитываются', () => {
+    const best = bestFor([
+      { type: 'warmup', weight: 140, reps: 3 },
+      { type: 'working', weight: 130, reps: 3, completed: false },
+      { type: 'working', weight: 120, reps: 0 },
+      { type: 'working', weight: 100, reps: 5 },
+    ]);
+    assert.deepEqual(best.weight, { weight: 100, reps: 5 });
+  });
+
+  test('подходы длиннее 12 повторов не дают расчётный 1ПМ', () => {
+    assert.equal(bestFor(sets([40, 15])).e1rm, null);
+    assert.ok(bestFor(sets([40, 15], [60, 12])).e1rm.value > 0);
+  });
+});
+
+describe('compareWithRecord', () => {
+  test('первая тренировка с упражнением задаёт точку отсчёта без рекордов', () => {
+    const result = compareWithRecord(null, bestFor(sets([100, 5])));
+    assert.deepEqual(result.records, []);
+    assert.equal(result.update.$max.best_weight, 100);
+    assert.equal(result.update.$max.best_volume, 500);
+    assert.equal(result.update.$set.best_weight_reps, 5);
+  });
+
+  test('больший вес даёт рекорды веса, объёма и 1ПМ', () => {
+    const result = compareWithRecord(existingRecord(), bestFor(sets([105, 5])));
+    assert.deepEqual(recordTypes(result), ['weight', 'volume', 'e1rm']);
+    assert.deepEqual(result.records[0], { type: 'weight', value: 105, previousValue: 100, weight: 105, reps: 5 });
+    assert.equal(result.update.$set.best_weight_reps, 5);
+  });
+
+  test('тот же вес на больше повторов — рекорд повторений, но не веса', () => {
+    const result = compareWithRecord(existingRecord(), bestFor(sets([100, 6])));
+    assert.equal(recordTypes(result).includes('weight'), false);
+    assert.deepEqual(result.records.find(record => record.type === 'reps_at_weight'),
+      { type: 'reps_at_weight', value: 6, previousValue: 5, weight: 100, reps: 6 });
+    assert.equal(result.update.$set.best_weight_reps, 6);
+  });
+
+  test('повторения с новым весом рекордом не считаются', () => {
+    const result = compareWithRecord(existingRecord(), bestFor(sets([95, 5])));
+    assert.equal(recordTypes(result).includes('reps_at_weight'), false);
+  });
+
+  test('слабая тренировка не ухудшает рекорды', () => {
+    const result = compareWithRecord(existingRecord(), bestFor(sets([90, 5])));
+    assert.deepEqual(result.records, []);
+    assert.equal(result.update.$set.best_weight_reps, undefined);
+    assert.ok(result.update.$max);
+    assert.deepEqual(result.update.$set.reps_at_weight, [{ weight: 90, reps: 8 }, { weight: 100, reps: 5 }]);
+  });
+
+  test('повторения по весам объединяются и сортируются по весу', () => {
+    const result = compareWithRecord(existingRecord(), bestFor(sets([80, 10], [90, 9])));
+    assert.deepEqual(result.update.$set.reps_at_weight,
+      [{ weight: 80, reps: 10 }, { weight: 90, reps: 9 }, { weight: 100, reps: 5 }]);
+  });
+});
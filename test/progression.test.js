@@ -0,0 +1,169 @@
+// Правила прогрессии нагрузок (src/services/progression.js) без базы данных:
+// неделя программы, разгрузка и расчёт подходов по правилам linear, double и percentage.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getProgramWeek, isDeloadWeek, planExercise } from '../src/services/progression.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = new Date('2026-01-05T08:00:00Z');
+
+const working = (count, reps, extra = {}) => Array.from({ length: count }, () => ({ type: 'working', reps, ...extra }));
+const session = (week, ...pairs) => ({ week, sets: pairs.map(([weight, reps]) => ({ weight, reps })) });
+
+function squat(progression, sets = working(3, 5)) {
+  return { name: 'Присед', sets, progression };
+}
+
+const workingSets = (planned) => planned.sets.filter(set => set.type !== 'warmup');
+const weights = (planned) => workingSets(planned).map(set => set.weight);
+const reps = (planned) => workingSets(planned).map(set => set.reps);
+
+describe('getProgramWeek', () => {
+  test('без даты старта — первая неделя', () => {
+    assert.equal(getProgramWeek(null), 1);
+  });
+
+  test('неделя меняется каждые 7 дней от старта', () => {
+    assert.equal(getProgramWeek(START, START), 1);
+    assert.equal(getProgramWeek(START, new Date(START.getTime() + 6 * DAY_MS)), 1);
+    assert.equal(getProgramWeek(START, new Date(START.getTime() + 7 * DAY_MS)), 2);
+    assert.equal(getProgramWeek(START, new Date(START.getTime() + 20 * DAY_MS)), 3);
+  });
+
+  test('дата до старта считается первой неделей', () => {
+    assert.equal(getProgramWeek(START, new Date(START.getTime() - 3 * DAY_MS)), 1);
+  });
+});
+
+describe('isDeloadWeek', () => {
+  test('разгрузка каждые every_weeks недель', () => {
+    const rule = { type: 'linear', deload: { every_weeks: 4 } };
+    assert.equal(isDeloadWeek(rule, 3), false);
+    assert.equal(isDeloadWeek(rule, 4), true);
+    assert.equal(isDeloadWeek(rule, 8), true);
+  });
+
+  test('без настройки разгрузки её нет', () => {
+    assert.equal(isDeloadWeek({ type: 'linear' }, 4), false);
+    assert.equal(isDeloadWeek(undefined, 4), false);
+  });
+});
+
+describe('planExercise: linear', () => {
+  const rule = { type: 'linear', increment: 2.5 };
+
+  test('первая тренировка берёт стартовый вес', () => {
+    const planned = planExercise(squat({ ...rule, start_weight: 60 }), { week: 1, history: [], e1rm: 0 });
+    assert.deepEqual(weights(planned), [60, 60, 60]);
+    assert.equal(planned.note, 'Первая тренировка: подберите рабочий вес');
+  });
+
+  test('все повторы выполнены — вес растёт на шаг', () => {
+    const history = [session(1, [100, 5], [100, 5], [100, 5])];
+    const planned = planExercise(squat(rule), { week: 2, history, e1rm: 0 });
+    assert.deepEqual(weights(planned), [102.5, 102.5, 102.5]);
+    assert.deepEqual(reps(planned), [5, 5, 5]);
+  });
+
+  test('недобор повторов — вес повторяется', () => {
+    const history = [session(1, [100, 5], [100, 5], [100, 4])];
+    const planned = planExercise(squat(rule), { week: 2, history, e1rm: 0 });
+    assert.deepEqual(weights(planned), [100, 100, 100]);
+  });
+
+  test('без отягощения прогрессия идёт повторами', () => {
+    const history = [session(1, [0, 10], [0, 10], [0, 10])];
+    const planned = planExercise(squat(rule, working(3, 10)), { week: 2, history, e1rm: 0 });
+    assert.deepEqual(weights(planned), [0, 0, 0]);
+    assert.deepEqual(reps(planned), [11, 11, 11]);
+  });
+
+  test('прогрессия считается от последней неразгрузочной недели', () => {
+    const deloadRule = { ...rule, deload: { every_weeks: 4 } };
+    const history = [session(4, [60, 5]), session(3, [100, 5], [100, 5], [100, 5])];
+    const planned = planExercise(squat(deloadRule), { week: 5, history, e1rm: 0 });
+    assert.deepEqual(weights(planned), [102.5, 102.5, 102.5]);
+  });
+});
+
+describe('planExercise: double', () => {
+  const rule = { type: 'double', reps_min: 8, reps_max: 12, increment: 2.5 };
+
+  test('верх диапазона во всех подходах — вес растёт, повторы с низа диапазона', () => {
+    const history = [session(1, [40, 12], [40, 12], [40, 12])];
+    const planned = planExercise(squat(rule, working(3, 8)), { week: 2, history, e1rm: 0 });
+    assert.deepEqual(weights(planned), [42.5, 42.5, 42.5]);
+    assert.deepEqual(reps(planned), [8, 8, 8]);
+    assert.ok(workingSets(planned).every(set => set.reps_max === 12));
+  });
+
+  test('верх не достигнут — вес тот же, добавляются повторы', () => {
+    const history = [session(1, [40, 12], [40, 11], [40, 9])];
+    const planned = planExercise(squat(rule, working(3, 8)), { week: 2, history, e1rm: 0 });
+    assert.deepEqual(weights(planned), [40, 40, 40]);
+    assert.equal(planned.note, 'Добавляйте повторы до 12 во всех подходах');
+  });
+});
+
+describe('planExercise: percentage', () => {
+  const rule = {
+    type: 'percentage',
+    training_max_percent: 90,
+    waves: [{ percent: 70, reps: 5, sets: 3 }, { percent: 80, reps: 3, sets: 3 }],
+  };
+
+  test('вес — процент волны от рабочего максимума, округлённый до шага', () => {
+    // 100 × 90% × 80% = 72 → 72.5
+    const planned = planExercise(squat(rule), { week: 2, history: [], e1rm: 100 });
+    assert.deepEqual(weights(planned), [72.5, 72.5, 72.5]);
+    assert.deepEqual(reps(planned), [3, 3, 3]);
+  });
+
+  test('волны идут по кругу', () => {
+    const planned = planExercise(squat(rule), { week: 3, history: [], e1rm: 100 });
+    assert.deepEqual(reps(planned), [5, 5, 5]);
+  });
+
+  test('без расчётного 1ПМ вес не задаётся', () => {
+    const planned = planExercise(squat(rule), { week: 1, history: [], e1rm: 0 });
+    assert.deepEqual(weights(planned), [null, null, null]);
+  });
+});
+
+describe('planExercise: разгрузка и округление', () => {
+  test('в разгрузочную неделю снижаются вес и число подходов', () => {
+    const rule = { type: 'linear', increment: 2.5, deload: { every_weeks: 4 } };
+    const history = [session(3, [100, 5], [100, 5], [100, 5])];
+    const planned = planExercise(squat(rule), { week: 4, history, e1rm: 0 });
+    // 102.5 × 60% = 61.5 → 62.5; 3 подхода × 50% → 2
+    assert.equal(planned.deload, true);
+    assert.equal(planned.note, 'Разгрузочная неделя');
+    assert.deepEqual(weights(planned), [62.5, 62.5]);
+  });
+
+  test('в разгрузку остаётся хотя бы один подход', () => {
+    const rule = { type: 'linear', start_weight: 50, deload: { every_weeks: 2, volume_percent: 10 } };
+    const planned = planExercise(squat(rule, working(2, 5)), { week: 2, history: [], e1rm: 0 });
+    assert.equal(workingSets(planned).length, 1);
+  });
+
+  test('вес округляется до шага правила', () => {
+    const rule = { type: 'linear', increment: 1, rounding: 5 };
+    const history = [session(1, [61, 5], [61, 5], [61, 5])];
+    const planned = planExercise(squat(rule), { week: 2, history, e1rm: 0 });
+    assert.deepEqual(weights(planned), [60, 60, 60]);
+  });
+});
+
+describe('planExercise без правила', () => {
+  test('разминка сохраняется, недостающий вес берётся из прошлой тренировки', () => {
+    const exercise = {
+      name: 'Тяга',
+      sets: [{ type: 'warmup', weight: 40, reps: 8 }, { type: 'working', reps: 5 }, { type: 'working', weight: 90, reps: 5 }],
+    };
+    const planned = planExercise(exercise, { week: 2, history: [session(1, [80, 5], [85, 5])], e1rm: 0 });
+    assert.equal(planned.progression, null);
+    assert.deepEqual(planned.sets.map(set => set.weight), [40, 80, 90]);
+  });
+});
@@ -0,0 +1,136 @@
+// План шагов покупки (src/services/purchases.js) без базы данных:
+// какие шаги PURCHASE_STEP_ORDER выполняются для заказа и на какие части делятся.
+// Сбои на каждом шаге с настоящей MongoDB проверяет test/purchases.test.js.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PURCHASE_STEPS, PURCHASE_STEP_ORDER, planPurchaseSteps } from '../src/services/purchases.js';
+
+const BUYER = 1001;
+const TRAINER = 2001;
+const SECOND_TRAINER = 2002;
+const REFERRAL = 3001;
+
+function share({ trainer = 0, platform = 0, referralId = null, referral = 0 } = {}) {
+  return {
+    trainer_share: trainer,
+    platform_share: platform,
+    referral_id: referralId,
+    referral_share: referral,
+  };
+}
+
+function programOrder(overrides = {}) {
+  return {
+    id: 'order_1',
+    telegram_id: BUYER,
+    program_id: 'prog_strength',
+    author_id: TRAINER,
+    payment_method: 'balance',
+    amount: 90,
+    list_price: 100,
+    discount: null,
+    bundle_id: null,
+    items: [],
+    revenue_share: share({ trainer: 76.5, platform: 9, referralId: REFERRAL, referral: 4.5 }),
+    ...overrides,
+  };
+}
+
+function bundleOrder(overrides = {}) {
+  return {
+    id: 'order_2',
+    telegram_id: BUYER,
+    program_id: '',
+    author_id: TRAINER,
+    payment_method: 'balance',
+    amount: 120,
+    discount: null,
+    bundle_id: 'bundle_1',
+    items: [
+      { program_id: 'prog_strength', author_id: TRAINER, amount: 75, revenue_share: share({ trainer: 67.5, platform: 7.5 }) },
+      { program_id: 'prog_mass', author_id: SECOND_TRAINER, amount: 45, revenue_share: share({ trainer: 40.5, platform: 4.5 }) },
+    ],
+    revenue_share: share({ trainer: 108, platform: 12 }),
+    ...overrides,
+  };
+}
+
+const stepNames = (order) => planPurchaseSteps(order).map(step => step.name);
+
+describe('PURCHASE_STEP_ORDER', () => {
+  test('у каждого шага есть run, isApplied и compensate', () => {
+    for (const name of PURCHASE_STEP_ORDER) {
+      const step = PURCHASE_STEPS[name];
+      assert.ok(step, name);
+      for (const method of ['applies', 'run', 'isApplied', 'compensate']) {
+        assert.equal(typeof step[method], 'function', `${name}.${method}`);
+      }
+    }
+    assert.deepEqual(Object.keys(PURCHASE_STEPS).sort(), [...PURCHASE_STEP_ORDER].sort());
+  });
+
+  test('деньги списываются до выдачи доступа и начислений', () => {
+    const index = (name) => PURCHASE_STEP_ORDER.indexOf(name);
+    assert.ok(index('redeem') < index('debit'));
+    assert.ok(index('debit') < index('grant'));
+    assert.ok(index('grant') < index('trainer_credit'));
+  });
+});
+
+describe('planPurchaseSteps', () => {
+  test('покупка с баланса с промокодом и рефералом проходит все шаги, кроме счётчика комплекта', () => {
+    const order = programOrder({ discount: { discount_id: 'disc_1', kind: 'coupon', code: 'STRONG10', amount: 10 } });
+    assert.deepEqual(stepNames(order), ['redeem', 'debit', 'grant', 'trainer_credit', 'referral_credit', 'platform_credit']);
+  });
+
+  test('оплата криптой не списывает баланс', () => {
+    assert.deepEqual(stepNames(programOrder({ payment_method: 'crypto' })),
+      ['grant', 'trainer_credit', 'referral_credit', 'platform_credit']);
+  });
+
+  test('автоматическая скидка не расходует лимит промокода', () => {
+    const order = programOrder({ discount: { discount_id: 'disc_2', kind: 'sale', code: null, amount: 10 } });
+    assert.equal(stepNames(order).includes('redeem'), false);
+  });
+
+  test('бесплатная программа: без списания и начислений', () => {
+    const order = programOrder({ amount: 0, list_price: 0, revenue_share: share() });
+    assert.deepEqual(stepNames(order), ['grant']);
+  });
+
+  test('без реферала и комиссии платформы — только доля тренера', () => {
+    const order = programOrder({ revenue_share: share({ trainer: 90 }) });
+    assert.deepEqual(stepNames(order), ['debit', 'grant', 'trainer_credit']);
+  });
+
+  test('комплект делится на части по программам и по тренерам', () => {
+    assert.deepEqual(stepNames(bundleOrder()), [
+      'debit',
+      'grant:prog_strength',
+      'grant:prog_mass',
+      'bundle_count',
+      `trainer_credit:${TRAINER}`,
+      `trainer_credit:${SECOND_TRAINER}`,
+      'platform_credit',
+    ]);
+  });
+
+  test('доли одного получателя в комплекте начисляются одной частью', () => {
+    const order = bundleOrder({
+      items: [
+        { program_id: 'prog_a', author_id: TRAINER, amount: 60, revenue_share: share({ trainer: 50, platform: 6, referralId: REFERRAL, referral: 4 }) },
+        { program_id: 'prog_b', author_id: TRAINER, amount: 60, revenue_share: share({ trainer: 50, platform: 6, referralId: REFERRAL, referral: 4 }) },
+      ],
+    });
+    const names = stepNames(order);
+    assert.deepEqual(names.filter(name => name.startsWith('trainer_credit')), [`trainer_credit:${TRAINER}`]);
+    assert.deepEqual(names.filter(name => name.startsWith('referral_credit')), [`referral_credit:${REFERRAL}`]);
+  });
+
+  test('вместе программа и комплект покрывают все шаги PURCHASE_STEP_ORDER', () => {
+    const order = programOrder({ discount: { discount_id: 'disc_1', kind: 'coupon', code: 'STRONG10', amount: 10 } });
+    const covered = new Set([...stepNames(order), ...stepNames(bundleOrder())].map(name => name.split(':')[0]));
+    assert.deepEqual([...covered].sort(), [...PURCHASE_STEP_ORDER].sort());
+  });
+});
@@ -0,0 +1,381 @@
+// Покупка программы и комплекта со сбоем на каждом шаге (src/services/purchases.js).
+// После сбоя балансы, журнал, Purchase и PurchaseOrder должны остаться согласованными:
+// в режиме транзакции — откат, в режиме саги — компенсация или дозавершение после остановки процесса,
+// а оплаченный криптой заказ проводится повторно через recoverPendingPurchases().
+//
+// Нужна MongoDB: MONGODB_TEST_URI=mongodb://localhost:27017 npm test
+// Тесты режима транзакции требуют replica set и без него пропускаются.
+// Каждый запуск работает в отдельной базе и удаляет её в конце.
+
+import { after, afterEach, before, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { config } from '../src/config.js';
+import { Bundle, Discount, Program, Purchase, PurchaseOrder, User } from '../src/database/models.js';
+import {
+  createBundle,
+  createProgram,
+  createUser,
+  getBundle,
+  getProgram,
+  reconcileBalances,
+  updateUserBalance,
+} from '../src/database/users.js';
+import { createDiscount, quoteProgramPrice, reserveDiscount } from '../src/services/discounts.js';
+import { setProgramRevenueShare } from '../src/services/revenueShare.js';
+import {
+  PURCHASE_STEPS,
+  PURCHASE_STEP_ORDER,
+  completeCryptoBundlePurchase,
+  completeCryptoPurchase,
+  purchaseBundleWithBalance,
+  purchaseWithBalance,
+  recoverPendingPurchases,
+} from '../src/services/purchases.js';
+
+const MONGODB_URI = process.env.MONGODB_TEST_URI;
+
+const BUYER = 1001;
+const TRAINER = 2001;
+const SECOND_TRAINER = 2002;
+const REFERRAL = 3001;
+const ADMIN = 9001;
+
+const roundMoney = (value) => Math.round(((value || 0) + Number.EPSILON) * 100) / 100;
+
+const skipAll = MONGODB_URI ? false : 'MONGODB_TEST_URI не задан';
+let skipTransactions = skipAll;
+
+if (MONGODB_URI) {
+  await mongoose.connect(MONGODB_URI, { dbName: `fitmarket_purchases_test_${process.pid}` });
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  if (!hello.setName && hello.msg !== 'isdbgrid') {
+    skipTransactions = 'MongoDB без replica set';
+  }
+}
+
+// ==========================================
+// ДАННЫЕ
+// ==========================================
+
+let bundleId = null;
+
+async function seed() {
+  for (const telegramId of [BUYER, TRAINER, SECOND_TRAINER, REFERRAL, ADMIN]) {
+    await createUser(telegramId, {});
+  }
+  await updateUserBalance(BUYER, 500, { type: 'DEPOSIT', external: true, description: 'Тестовое пополнение' });
+
+  await createProgram(TRAINER, { id: 'prog_strength', title: 'Сила', price: 100, isPublished: true });
+  await createProgram(SECOND_TRAINER, { id: 'prog_mass', title: 'Масса', price: 60, isPublished: true });
+  await setProgramRevenueShare('prog_strength', { referralTelegramId: REFERRAL, referralPercent: 5 });
+
+  await createDiscount(TRAINER, {
+    kind: 'coupon',
+    code: 'STRONG10',
+    discountType: 'percent',
+    value: 10,
+    programIds: ['prog_strength'],
+    maxUses: 10,
+  });
+  const bundle = await createBundle(TRAINER, {
+    title: 'Сила и масса',
+    programIds: ['prog_strength', 'prog_mass'],
+    price: 120,
+    isPublished: true,
+  });
+  bundleId = bundle.id;
+}
+
+// Очистка коллекций в обход моделей: проводки журнала через модель удалить нельзя
+async function resetDatabase() {
+  await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+  await seed();
+}
+
+async function snapshot() {
+  const [users, purchases, programs, coupon, bundle] = await Promise.all([
+    User.find({}, { _id: 0, telegram_id: 1, balance: 1 }).lean(),
+    Purchase.find({}, { _id: 0, telegram_id: 1, program_id: 1, amount: 1 }).lean(),
+    Program.find({}, { _id: 0, id: 1, purchase_count: 1 }).lean(),
+    Discount.findOne({ code: 'STRONG10' }).lean(),
+    Bundle.findOne({ id: bundleId }).lean(),
+  ]);
+  return {
+    balances: Object.fromEntries(users.map(u => [u.telegram_id, roundMoney(u.balance)])),
+    purchases: purchases.map(p => `${p.telegram_id}:${p.program_id}:${roundMoney(p.amount)}`).sort(),
+    programSales: Object.fromEntries(programs.map(p => [p.id, p.purchase_count || 0])),
+    couponUses: coupon.used_count,
+    bundleSales: bundle.purchase_count,
+    pendingMarks: [...coupon.pending_orders, ...bundle.pending_orders],
+    couponReservations: coupon.reservations.length,
+  };
+}
+
+// Каждая проводка уравновешена, а баланс пользователя равен сумме его проводок
+async function assertLedgerConsistent() {
+  const report = await reconcileBalances();
+  assert.deepEqual(report.mismatches, []);
+  assert.deepEqual(report.unbalancedTransactions, []);
+}
+
+async function lastOrder() {
+  return PurchaseOrder.findOne({}).sort({ created_at: -1 }).lean();
+}
+
+// ==========================================
+// СЦЕНАРИИ
+// ==========================================
+
+// Программа с промокодом и реферальной долей и комплект из программ двух тренеров
+// вместе проходят все шаги PURCHASE_STEP_ORDER
+const SCENARIOS = {
+  program: {
+    steps: {
+      balance: ['redeem', 'debit', 'grant', 'trainer_credit', 'referral_credit', 'platform_credit'],
+      crypto: ['redeem', 'grant', 'trainer_credit', 'referral_credit', 'platform_credit'],
+    },
+    async balance() {
+      const program = await getProgram('prog_strength');
+      const quote = await quoteProgramPrice(BUYER, program, { code: 'STRONG10' });
+      return purchaseWithBalance(BUYER, program, quote);
+    },
+    // Промокод зарезервирован при создании инвойса (POST /api/crypto/purchase)
+    async crypto() {
+      const program = await getProgram('prog_strength');
+      const quote = await quoteProgramPrice(BUYER, program, { code: 'STRONG10' });
+      await reserveDiscount(quote.discount.id, {
+        invoiceId: 'inv_program',
+        telegramId: BUYER,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      });
+      return completeCryptoPurchase(BUYER, program, {
+        invoiceId: 'inv_program',
+        amount: quote.amount,
+        trainerId: TRAINER,
+        listPrice: quote.listPrice,
+        discount: quote.discount,
+      });
+    },
+  },
+  bundle: {
+    steps: {
+      balance: ['debit', 'grant', 'bundle_count', 'trainer_credit', 'referral_credit', 'platform_credit'],
+      crypto: ['grant', 'bundle_count', 'trainer_credit', 'referral_credit', 'platform_credit'],
+    },
+    async balance() {
+      const bundle = await getBundle(bundleId);
+      const programs = await Promise.all(bundle.programIds.map(id => getProgram(id)));
+      return purchaseBundleWithBalance(BUYER, bundle, programs);
+    },
+    async crypto() {
+      const bundle = await getBundle(bundleId);
+      const programs = await Promise.all(bundle.programIds.map(id => getProgram(id)));
+      return completeCryptoBundlePurchase(BUYER, bundle, programs, { invoiceId: 'inv_bundle', amount: bundle.price });
+    },
+  },
+};
+
+// Состояние после покупки без сбоев — с ним сравнивается дозавершённая покупка
+async function expectedAfterPurchase(purchase) {
+  await resetDatabase();
+  const result = await purchase();
+  assert.equal(result.success, true);
+  const expected = await snapshot();
+  await resetDatabase();
+  return expected;
+}
+
+// ==========================================
+// ВНЕДРЕНИЕ СБОЕВ
+// ==========================================
+
+class InjectedFailure extends Error {}
+
+// Последняя часть шага: у комплекта сбой случается, когда предыдущие части уже выполнены
+function isLastPart(step, order, part) {
+  if (!step.parts) return true;
+  const parts = step.parts(order);
+  return part.key === parts[parts.length - 1].key;
+}
+
+// Шаг stepName падает, ничего не сделав
+function failAt(stepName) {
+  const step = PURCHASE_STEPS[stepName];
+  const run = step.run;
+  const mocked = mock.method(step, 'run', async (order, session, part = {}) => {
+    if (isLastPart(step, order, part)) throw new InjectedFailure(`Сбой на шаге ${stepName}`);
+    return run.call(step, order, session, part);
+  });
+  return () => mocked.mock.restore();
+}
+
+// Процесс останавливается сразу после шага stepName: шаг выполнен, но не отмечен в заказе,
+// и ни компенсации, ни других записей в заказ уже не происходит
+function crashAfter(stepName) {
+  let crashed = false;
+  const crash = () => {
+    crashed = true;
+    throw new InjectedFailure(`Процесс остановлен после шага ${stepName}`);
+  };
+
+  const step = PURCHASE_STEPS[stepName];
+  const run = step.run;
+  const mocks = [
+    mock.method(step, 'run', async (order, session, part = {}) => {
+      await run.call(step, order, session, part);
+      if (isLastPart(step, order, part)) crash();
+    }),
+  ];
+  for (const name of PURCHASE_STEP_ORDER) {
+    const compensate = PURCHASE_STEPS[name].compensate;
+    mocks.push(mock.method(PURCHASE_STEPS[name], 'compensate', (...args) => (crashed ? crash() : compensate(...args))));
+  }
+  const updateOne = PurchaseOrder.updateOne;
+  mocks.push(mock.method(PurchaseOrder, 'updateOne', function (...args) {
+    return crashed ? crash() : updateOne.apply(this, args);
+  }));
+
+  // «Перезапуск процесса»
+  return () => mocks.forEach(m => m.mock.restore());
+}
+
+// Дозавершение сразу, без ожидания PURCHASE_RECOVERY_TIMEOUT_MS
+const recoverNow = () => recoverPendingPurchases(-60 * 1000);
+
+// ==========================================
+// ТЕСТЫ
+// ==========================================
+
+describe('покупка: сбой на каждом шаге', { skip: skipAll }, () => {
+  let adminTelegramId;
+  let purchaseMode;
+
+  before(async () => {
+    adminTelegramId = config.adminTelegramId;
+    purchaseMode = config.purchases.mode;
+    config.adminTelegramId = ADMIN;
+    await mongoose.connection.syncIndexes();
+  });
+
+  after(async () => {
+    config.adminTelegramId = adminTelegramId;
+    config.purchases.mode = purchaseMode;
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  });
+
+  beforeEach(async () => {
+    // Ожидаемые сбои логируются сервисом — в выводе тестов они не нужны
+    mock.method(console, 'error', () => {});
+    mock.method(console, 'warn', () => {});
+    await resetDatabase();
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('сценарии проходят все шаги покупки', () => {
+    const covered = new Set(Object.values(SCENARIOS).flatMap(s => [...s.steps.balance, ...s.steps.crypto]));
+    assert.deepEqual(PURCHASE_STEP_ORDER.filter(name => !covered.has(name)), []);
+  });
+
+  describe('оплата с баланса, сага', () => {
+    before(() => { config.purchases.mode = 'saga'; });
+
+    for (const [name, scenario] of Object.entries(SCENARIOS)) {
+      for (const stepName of scenario.steps.balance) {
+        test(`${name}: сбой на шаге ${stepName} компенсируется`, async () => {
+          const initial = await snapshot();
+          failAt(stepName);
+
+          await assert.rejects(scenario.balance(), InjectedFailure);
+
+          assert.deepEqual(await snapshot(), initial);
+          await assertLedgerConsistent();
+          const order = await lastOrder();
+          assert.equal(order.mode, 'saga');
+          assert.equal(order.status, 'COMPENSATED');
+          assert.deepEqual(order.completed_steps, []);
+        });
+
+        test(`${name}: остановка после шага ${stepName} дозавершается без повторов`, async () => {
+          const expected = await expectedAfterPurchase(() => scenario.balance());
+          const restart = crashAfter(stepName);
+
+          await assert.rejects(scenario.balance(), InjectedFailure);
+          assert.equal((await lastOrder()).status, 'PENDING');
+
+          restart();
+          assert.equal(await recoverNow(), 1);
+
+          assert.deepEqual(await snapshot(), expected);
+          await assertLedgerConsistent();
+          assert.equal((await lastOrder()).status, 'COMPLETED');
+          assert.equal(await recoverNow(), 0);
+        });
+      }
+    }
+  });
+
+  describe('оплата с баланса, транзакция', { skip: skipTransactions }, () => {
+    before(() => { config.purchases.mode = 'auto'; });
+
+    for (const [name, scenario] of Object.entries(SCENARIOS)) {
+      for (const stepName of scenario.steps.balance) {
+        test(`${name}: сбой на шаге ${stepName} откатывает транзакцию`, async () => {
+          const initial = await snapshot();
+          failAt(stepName);
+
+          await assert.rejects(scenario.balance(), InjectedFailure);
+
+          assert.deepEqual(await snapshot(), initial);
+          await assertLedgerConsistent();
+          const order = await lastOrder();
+          assert.equal(order.mode, 'transaction');
+          assert.equal(order.status, 'FAILED');
+        });
+
+        test(`${name}: остановка после шага ${stepName} ничего не меняет`, async () => {
+          const initial = await snapshot();
+          const restart = crashAfter(stepName);
+
+          await assert.rejects(scenario.balance(), InjectedFailure);
+          assert.equal((await lastOrder()).status, 'PENDING');
+
+          restart();
+          assert.equal(await recoverNow(), 0);
+
+          assert.deepEqual(await snapshot(), initial);
+          await assertLedgerConsistent();
+          assert.equal((await lastOrder()).status, 'FAILED');
+        });
+      }
+    }
+  });
+
+  for (const [mode, skip] of [['saga', false], ['auto', skipTransactions]]) {
+    describe(`оплата криптой, ${mode === 'saga' ? 'сага' : 'транзакция'}: заказ проводится после сбоя`, { skip }, () => {
+      before(() => { config.purchases.mode = mode; });
+
+      for (const [name, scenario] of Object.entries(SCENARIOS)) {
+        for (const stepName of scenario.steps.crypto) {
+          test(`${name}: сбой на шаге ${stepName}`, async () => {
+            const expected = await expectedAfterPurchase(() => scenario.crypto());
+            const restore = failAt(stepName);
+
+            await assert.rejects(scenario.crypto(), InjectedFailure);
+            assert.equal((await lastOrder()).status, 'PENDING');
+
+            restore();
+            assert.equal(await recoverNow(), 1);
+
+            assert.deepEqual(await snapshot(), expected);
+            await assertLedgerConsistent();
+            assert.equal((await lastOrder()).status, 'COMPLETED');
+            assert.equal(await PurchaseOrder.countDocuments(), 1);
+          });
+        }
+      }
+    });
+  }
+});
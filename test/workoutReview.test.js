@@ -0,0 +1,152 @@
+// Факты для разбора тренировки (src/services/workoutReview.js) без базы данных и модели:
+// статус упражнения относительно прошлых сессий, следующая нагрузка и повод для нового разбора.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeSession, haveWorkingSetsChanged } from '../src/services/workoutReview.js';
+import { estimateOneRepMax } from '../src/services/personalRecords.js';
+
+const EXERCISE = 'Жим лёжа';
+
+function log(...pairs) {
+  return {
+    exercises: [{
+      name: EXERCISE,
+      sets: pairs.map(([weight, reps]) => ({ type: 'working', weight, reps })),
+    }],
+  };
+}
+
+const threeByFive = (weight) => log([weight, 5], [weight, 5], [weight, 5]);
+
+function analyze(current, previous = [], records = new Map()) {
+  return analyzeSession(current, previous, records).exercises[0];
+}
+
+describe('analyzeSession: статус упражнения', () => {
+  test('без прошлых сессий — new', () => {
+    const result = analyze(threeByFive(100));
+    assert.equal(result.status, 'new');
+    assert.equal(result.previousTop, null);
+    assert.equal(result.tonnage, 1500);
+  });
+
+  test('рост расчётного 1ПМ или объёма — progress', () => {
+    assert.equal(analyze(threeByFive(102.5), [threeByFive(100)]).status, 'progress');
+    assert.equal(analyze(log([100, 5], [100, 5], [100, 5], [100, 5]), [threeByFive(100)]).status, 'progress');
+  });
+
+  test('без роста после одной прошлой сессии — same', () => {
+    assert.equal(analyze(threeByFive(100), [threeByFive(100)]).status, 'same');
+  });
+
+  test('третья сессия подряд без роста — stall', () => {
+    assert.equal(analyze(threeByFive(100), [threeByFive(100), threeByFive(100)]).status, 'stall');
+  });
+
+  test('рост относительно старых сессий, но не последней, — stall', () => {
+    assert.equal(analyze(threeByFive(100), [threeByFive(100), threeByFive(105)]).status, 'stall');
+  });
+
+  test('рабочий вес ниже 90% прошлой сессии — drop', () => {
+    assert.equal(analyze(threeByFive(85), [threeByFive(100)]).status, 'drop');
+  });
+
+  test('объём ниже 90% прошлой сессии — drop даже с тем же весом', () => {
+    assert.equal(analyze(log([100, 5], [100, 5]), [threeByFive(100)]).status, 'drop');
+  });
+
+  test('ровно 90% веса и объёма — ещё не спад', () => {
+    assert.equal(analyze(threeByFive(90), [threeByFive(100)]).status, 'same');
+  });
+
+  test('разминка и невыполненные подходы не учитываются', () => {
+    const current = {
+      exercises: [{
+        name: EXERCISE,
+        sets: [
+          { type: 'warmup', weight: 60, reps: 10 },
+          { type: 'working', weight: 100, reps: 5 },
+          { type: 'working', weight: 100, reps: 5 },
+          { type: 'working', weight: 100, reps: 5 },
+          { type: 'working', weight: 100, reps: 5, completed: false },
+        ],
+      }],
+    };
+    const result = analyze(current, [threeByFive(100)]);
+    assert.equal(result.tonnage, 1500);
+    assert.equal(result.status, 'same');
+  });
+
+  test('упражнения без рабочих подходов пропускаются', () => {
+    const current = { exercises: [{ name: 'Разминка', sets: [{ type: 'warmup', weight: 20, reps: 10 }] }] };
+    assert.deepEqual(analyzeSession(current, [], new Map()).exercises, []);
+  });
+});
+
+describe('analyzeSession: следующая нагрузка', () => {
+  test('все подходы выполнены — вес растёт на 2.5 кг', () => {
+    assert.deepEqual(analyze(threeByFive(100)).nextLoad, { weight: 102.5, reps: 5 });
+  });
+
+  test('недобор в части подходов — вес повторяется', () => {
+    assert.deepEqual(analyze(log([100, 5], [100, 5], [100, 3])).nextLoad, { weight: 100, reps: 5 });
+  });
+
+  test('лёгкий вес растёт на 1 кг', () => {
+    assert.deepEqual(analyze(log([10, 12], [10, 12])).nextLoad, { weight: 11, reps: 12 });
+  });
+
+  test('без роста — тот же вес на повтор больше', () => {
+    assert.deepEqual(analyze(threeByFive(100), [threeByFive(100)]).nextLoad, { weight: 100, reps: 6 });
+  });
+
+  test('застой — разгрузка на 10% с округлением до шага', () => {
+    const result = analyze(threeByFive(80), [threeByFive(80), threeByFive(80)]);
+    // 80 × 0.9 = 72 → 72.5
+    assert.deepEqual(result.nextLoad, { weight: 72.5, reps: 5 });
+  });
+
+  test('спад — вернуться к весу прошлой сессии', () => {
+    assert.deepEqual(analyze(threeByFive(85), [log([100, 6], [100, 6])]).nextLoad, { weight: 100, reps: 6 });
+  });
+
+  test('без отягощения прогрессия идёт повторами', () => {
+    assert.deepEqual(analyze(log([0, 12], [0, 12])).nextLoad, { weight: 0, reps: 13 });
+    assert.deepEqual(analyze(log([0, 8], [0, 8]), [log([0, 12], [0, 12])]).nextLoad, { weight: 0, reps: 9 });
+  });
+});
+
+describe('analyzeSession: рекорд', () => {
+  test('процент от рекордного 1ПМ', () => {
+    const bestE1rm = estimateOneRepMax(110, 5);
+    const result = analyze(threeByFive(100), [], new Map([[EXERCISE, { best_e1rm: bestE1rm }]]));
+    assert.equal(result.recordE1rm, bestE1rm);
+    assert.equal(result.percentOfRecord, Math.round(estimateOneRepMax(100, 5) / bestE1rm * 100));
+  });
+
+  test('без рекорда процент не считается', () => {
+    const result = analyze(threeByFive(100));
+    assert.equal(result.recordE1rm, 0);
+    assert.equal(result.percentOfRecord, null);
+  });
+});
+
+describe('haveWorkingSetsChanged', () => {
+  test('правка заметок и разминки не требует нового разбора', () => {
+    const before = [{ name: EXERCISE, sets: [{ type: 'working', weight: 100, reps: 5 }] }];
+    const after = [{
+      name: ` ${EXERCISE} `,
+      notes: 'тяжело',
+      sets: [{ type: 'warmup', weight: 40, reps: 10 }, { type: 'working', weight: 100, reps: 5, rpe: 9 }],
+    }];
+    assert.equal(haveWorkingSetsChanged(before, after), false);
+  });
+
+  test('другой вес, повторы или упражнение — новый разбор', () => {
+    const before = threeByFive(100).exercises;
+    assert.equal(haveWorkingSetsChanged(before, threeByFive(102.5).exercises), true);
+    assert.equal(haveWorkingSetsChanged(before, log([100, 5], [100, 5], [100, 4]).exercises), true);
+    assert.equal(haveWorkingSetsChanged(before, [{ ...before[0], name: 'Присед' }]), true);
+  });
+});